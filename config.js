@@ -3,5 +3,34 @@ module.exports = {
     storagePath: process.env.STORAGE_PATH || './storage',
     whatsappAuthPath: process.env.WHATSAPP_AUTH_PATH || './whatsapp_auth',
     dataPath: process.env.DATA_PATH || './data',
-    logsPath: process.env.LOGS_PATH || './logs'
-};
\ No newline at end of file
+    logsPath: process.env.LOGS_PATH || './logs',
+    // Print backend: 'windows' (wmic/print) or 'cups' (CUPS/IPP)
+    printBackend: process.env.PRINT_BACKEND || (process.platform === 'win32' ? 'windows' : 'cups'),
+    cupsUrl: process.env.CUPS_URL || 'http://localhost:631',
+    cupsUser: process.env.CUPS_USER || 'inkoro',
+    // Jobs with 1 copy, normal priority and a quote at or below this amount skip the yes/edit/cancel step (0 = always confirm)
+    autoConfirmMaxPrice: parseFloat(process.env.AUTO_CONFIRM_MAX_PRICE || '0'),
+    // Queue ETA: printing speed plus a fixed hand-off time per job
+    pagesPerMinute: parseFloat(process.env.PAGES_PER_MINUTE || '20'),
+    jobHandlingMinutes: parseFloat(process.env.JOB_HANDLING_MINUTES || '1'),
+    // Shop clock: deadlines like "by 5pm" or "EOD" are read in this timezone and against these opening hours
+    shopTimezone: process.env.SHOP_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+    shopOpenTime: process.env.SHOP_OPEN_TIME || '09:00',
+    shopCloseTime: process.env.SHOP_CLOSE_TIME || '19:00',
+    // Scheduling: a waiting job moves up one priority class every N minutes (0 disables aging)
+    priorityAgingMinutes: parseFloat(process.env.PRIORITY_AGING_MINUTES || '30'),
+    // Print queued jobs automatically in scheduled order instead of waiting for dashboard acceptance
+    autoProcessQueue: process.env.AUTO_PROCESS_QUEUE === 'true',
+    // Payments: UPI ID customers pay to (shown in order messages), and unpaid orders above this total wait for payment before printing (0 = never hold)
+    upiId: process.env.UPI_ID || '',
+    requirePaymentAbove: parseFloat(process.env.REQUIRE_PAYMENT_ABOVE || '0'),
+    // Reprints: customers can re-order jobs from the last N days whose file is still stored (0 = no age limit)
+    reprintDays: parseFloat(process.env.REPRINT_DAYS || '30'),
+    // Previews: the first N pages of each document (or photo sheet) are rendered with pdftoppm, sent on WhatsApp before confirming and shown on job cards (0 = off)
+    previewPages: parseInt(process.env.PREVIEW_PAGES || '2', 10),
+    previewSize: parseInt(process.env.PREVIEW_SIZE || '640', 10),
+    pdftoppmPath: process.env.PDFTOPPM_PATH || 'pdftoppm',
+    // Office conversion: Word, PowerPoint, Excel, OpenDocument and text files are converted to PDF on arrival with headless LibreOffice
+    sofficePath: process.env.SOFFICE_PATH || 'soffice',
+    conversionTimeoutSeconds: parseFloat(process.env.CONVERSION_TIMEOUT_SECONDS || '120')
+};
@@ -94,6 +94,9 @@ function App() {
     const isImage = (fileName) => ['jpg', 'jpeg', 'png', 'gif', 'bmp'].includes(getFileExtension(fileName));
     // Helper to check if file is PDF
     const isPDF = (fileName) => getFileExtension(fileName) === 'pdf';
+    // Office files are converted to PDF on arrival; they are listed and previewed as their PDF
+    const isConvertedOffice = (doc) => !!doc.convertedTo;
+    const pdfFileName = (doc) => (isConvertedOffice(doc) ? `${doc.convertedTo}.pdf` : doc.fileName);
     // State for image print options
     const [imagePrintOptions, setImagePrintOptions] = useState({}); // { [fileId]: { color: true, perPage: 1 } }
     // State for reprint BW
@@ -127,7 +130,7 @@ function App() {
     };
 
     // Split documents
-    const pdfDocuments = recentDocuments.filter(doc => isPDF(doc.originalName || doc.fileName));
+    const pdfDocuments = recentDocuments.filter(doc => isPDF(doc.originalName || doc.fileName) || isConvertedOffice(doc));
     const imageDocuments = recentDocuments.filter(doc => isImage(doc.originalName || doc.fileName));
 
     if (error) {
@@ -183,6 +186,9 @@ function App() {
                                         <p className="font-medium">{doc.originalName || doc.fileName}</p>
                                         <p className="text-xs text-gray-500">Received: {new Date(doc.timestamp).toLocaleString()}</p>
                                         <p className="text-xs text-gray-500">Size: {(doc.size / 1024).toFixed(2)} KB</p>
+                                        {isConvertedOffice(doc) && (
+                                            <p className="text-xs text-blue-600">Converted to PDF for printing</p>
+                                        )}
                                     </div>
                                     <div className="flex gap-2">
                                         <button
@@ -217,7 +223,7 @@ function App() {
                             <h3 className="text-lg font-semibold mb-2">PDF Preview: {pdfPreview.doc.originalName || pdfPreview.doc.fileName}</h3>
                             <div className="w-full" style={{ height: '70vh' }}>
                                 <iframe
-                                    src={`/storage/documents/${pdfPreview.doc.fileName}`}
+                                    src={`/storage/documents/${pdfFileName(pdfPreview.doc)}`}
                                     title="PDF Preview"
                                     className="w-full h-full border rounded"
                                 ></iframe>
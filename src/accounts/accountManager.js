@@ -0,0 +1,271 @@
+const EventEmitter = require('events');
+const path = require('path');
+const config = require('../../config');
+const Journal = require('../utils/journal');
+const printQueue = require('../queue/printQueue');
+const orderManager = require('../orders/orderManager');
+const rateCard = require('../pricing/rateCard');
+const shopClock = require('../utils/shopClock');
+
+const TOP_UP_METHODS = ['cash', 'upi'];
+const REFUNDED_STATUSES = ['failed', 'cancelled', 'removed'];
+
+function round(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+// "+91 98765 43210" or "919876543210" → "919876543210@s.whatsapp.net"; JIDs pass through
+function toJid(value) {
+    const text = String(value || '').trim();
+    if (text.includes('@')) return text;
+    const digits = text.replace(/\D/g, '');
+    if (!digits) {
+        throw new Error('A WhatsApp number or JID is required');
+    }
+    return `${digits}@s.whatsapp.net`;
+}
+
+function parseAmount(amount) {
+    const value = round(parseFloat(amount));
+    if (!Number.isFinite(value) || value <= 0) {
+        throw new Error('Amount must be a positive number');
+    }
+    return value;
+}
+
+/**
+ * Prepaid wallets for regular customers, keyed by WhatsApp JID.
+ *
+ * Placing an order on a wallet holds each job's price against the balance and marks the order paid
+ * (a 'prepaid' ledger entry). A job is debited when it prints; if it fails or is cancelled
+ * or removed first, the hold is released back as a refund, and a job stopped at the printer after
+ * it was debited is refunded too. A credit limit lets trusted customers (e.g. offices settling
+ * monthly) go below zero.
+ * Every change is kept in the account's transaction history. Accounts are journaled to
+ * <dataPath>/accounts.jsonl, with only the new transactions written on each change.
+ */
+class AccountManager extends EventEmitter {
+    constructor() {
+        super();
+        const baseData = path.isAbsolute(config.dataPath) ? config.dataPath : path.join(process.cwd(), config.dataPath);
+        this.accounts = new Journal(path.join(baseData, 'accounts.jsonl'), { label: 'accounts', appendOnly: ['transactions'] });
+
+        printQueue.on('statusUpdated', ({ jobId, status }) => this.syncJob(jobId, status));
+    }
+
+    async openAccount({ jid, name = null, creditLimit = 0, by = 'Dashboard' }) {
+        jid = toJid(jid);
+        if (this.accounts.get(jid)) {
+            throw new Error(`${jid.split('@')[0]} already has an account`);
+        }
+        const card = await rateCard.get();
+        const now = new Date();
+        const account = {
+            id: jid,
+            name,
+            currency: card.currency,
+            symbol: card.symbol,
+            balance: 0,
+            held: 0,
+            creditLimit: Math.max(0, round(parseFloat(creditLimit) || 0)),
+            holds: {},
+            transactions: [],
+            createdAt: now,
+            updatedAt: now
+        };
+        this._record(account, { type: 'opened', amount: 0, by, note: account.creditLimit > 0 ? `Credit limit ${account.creditLimit}` : null });
+        return account;
+    }
+
+    getAccount(jid) {
+        return this.accounts.get(jid) || null;
+    }
+
+    // Accounts by name (then number), without their transaction history
+    getAccounts() {
+        return this.accounts.all()
+            .map(({ transactions, ...account }) => ({ ...account, available: this.available(account) }))
+            .sort((a, b) => (a.name || a.id).localeCompare(b.name || b.id));
+    }
+
+    // What the customer can still spend: balance plus credit, less what queued jobs are holding
+    available(account) {
+        return round(account.balance + account.creditLimit - account.held);
+    }
+
+    topUp(jid, { amount, method = 'cash', reference = null, by = 'Dashboard' }) {
+        if (!TOP_UP_METHODS.includes(method)) {
+            throw new Error(`Unknown top-up method "${method}" (use ${TOP_UP_METHODS.join(', ')})`);
+        }
+        const account = this._requireAccount(jid);
+        const value = parseAmount(amount);
+        account.balance = round(account.balance + value);
+        return this._record(account, { type: 'topup', amount: value, method, reference, by });
+    }
+
+    // Staff corrections; a negative amount takes money off the balance
+    adjust(jid, { amount, note = null, by = 'Dashboard' }) {
+        const account = this._requireAccount(jid);
+        const value = round(parseFloat(amount));
+        if (!Number.isFinite(value) || value === 0) {
+            throw new Error('Adjustment must be a non-zero amount');
+        }
+        account.balance = round(account.balance + value);
+        return this._record(account, { type: 'adjustment', amount: value, note, by });
+    }
+
+    updateAccount(jid, { name, creditLimit, by = 'Dashboard' }) {
+        const account = this._requireAccount(jid);
+        const notes = [];
+        if (name !== undefined && name !== account.name) {
+            account.name = name || null;
+            notes.push(`Name ${account.name || 'cleared'}`);
+        }
+        if (creditLimit !== undefined) {
+            const limit = round(parseFloat(creditLimit));
+            if (!Number.isFinite(limit) || limit < 0) {
+                throw new Error('Credit limit must be zero or more');
+            }
+            if (limit !== account.creditLimit) {
+                account.creditLimit = limit;
+                notes.push(`Credit limit ${limit}`);
+            }
+        }
+        if (notes.length === 0) return account;
+        return this._record(account, { type: 'updated', amount: 0, note: notes.join(', '), by });
+    }
+
+    /**
+     * Pay for an order from the customer's wallet: hold each job's price and mark the order paid.
+     * @returns {object} The account after the holds.
+     * @throws {Error} When the customer has no account or not enough available.
+     */
+    chargeOrder(orderId, { by = 'Wallet' } = {}) {
+        const order = orderManager.getOrder(orderId);
+        if (!order) {
+            throw new Error(`Order ${orderId} not found`);
+        }
+        const account = this._requireAccount(order.customer.jid);
+        if (order.paid) {
+            throw new Error(`Order ${orderId} is already paid`);
+        }
+        const items = order.items.filter(item => item.amount > 0 && !REFUNDED_STATUSES.includes(item.status) && !account.holds[item.jobId]);
+        const total = round(items.reduce((sum, item) => sum + item.amount, 0));
+        if (total <= 0) {
+            throw new Error(`Order ${orderId} has nothing left to charge`);
+        }
+        this._requireAvailable(account, total);
+
+        for (const item of items) {
+            this._hold(account, item.jobId, orderId, item.amount, by);
+        }
+        const ledger = require('../payments/ledger');
+        // Only what was held is paid; the order stays unpaid if that does not cover its total
+        ledger.recordPayment({ orderId, method: 'prepaid', amount: total, reference: `WALLET-${account.id.split('@')[0]}`, by, source: 'wallet' });
+        return account;
+    }
+
+    // Settle holds as the jobs they cover finish
+    syncJob(jobId, status) {
+        const account = this.accounts.all().find(a => a.holds[jobId]);
+        if (account) {
+            const hold = account.holds[jobId];
+            if (status === 'completed') {
+                delete account.holds[jobId];
+                account.held = round(account.held - hold.amount);
+                account.balance = round(account.balance - hold.amount);
+                this._record(account, { type: 'debit', amount: hold.amount, jobId, orderId: hold.orderId, by: 'Printer' });
+            } else if (REFUNDED_STATUSES.includes(status)) {
+                delete account.holds[jobId];
+                account.held = round(account.held - hold.amount);
+                this._record(account, { type: 'refund', amount: hold.amount, jobId, orderId: hold.orderId, by: 'Printer', note: `Job ${status}` });
+            }
+            return;
+        }
+
+        const charged = this._lastJobTransaction(jobId);
+        if (!charged) return;
+        const { account: chargedAccount, transaction } = charged;
+        if (status === 'queued' && transaction.type === 'refund') {
+            // A refunded job that is retried goes back on the wallet it was charged to, if the wallet still covers it
+            try {
+                this._requireAvailable(chargedAccount, transaction.amount);
+            } catch (error) {
+                console.warn(`⚠️ Retried job ${jobId} not held on ${chargedAccount.id}: ${error.message}`);
+                return;
+            }
+            this._hold(chargedAccount, jobId, transaction.orderId, transaction.amount, 'Retry');
+        } else if (status === 'cancelled' && transaction.type === 'debit') {
+            // Stopped at the printer after it was debited: the money goes back
+            chargedAccount.balance = round(chargedAccount.balance + transaction.amount);
+            this._record(chargedAccount, { type: 'refund', amount: transaction.amount, jobId, orderId: transaction.orderId, by: 'Printer', note: 'Job cancelled at the printer' });
+        }
+    }
+
+    // The account a job was charged to and the latest wallet entry for it
+    _lastJobTransaction(jobId) {
+        for (const account of this.accounts.all()) {
+            const transaction = account.transactions.filter(txn => txn.jobId === jobId).pop();
+            if (transaction) return { account, transaction };
+        }
+        return null;
+    }
+
+    /**
+     * Transactions across all accounts, newest first.
+     * @param {object} filter - { date: 'YYYY-MM-DD' shop day, type }
+     */
+    getTransactions({ date = null, type = null } = {}) {
+        const range = date ? shopClock.dayRange(date) : null;
+        return this.accounts.all()
+            .flatMap(account => account.transactions.map(txn => ({ ...txn, account: account.id, name: account.name, symbol: account.symbol })))
+            .filter(txn => !range || (new Date(txn.at) >= range.start && new Date(txn.at) < range.end))
+            .filter(txn => !type || txn.type === type)
+            .sort((a, b) => new Date(b.at) - new Date(a.at));
+    }
+
+    _hold(account, jobId, orderId, amount, by) {
+        account.holds[jobId] = { orderId, amount };
+        account.held = round(account.held + amount);
+        this._record(account, { type: 'hold', amount, jobId, orderId, by });
+    }
+
+    _requireAvailable(account, amount) {
+        if (amount > this.available(account)) {
+            throw new Error(`Not enough prepaid balance (${account.symbol}${this.available(account).toFixed(2)} available, ${account.symbol}${amount.toFixed(2)} needed)`);
+        }
+    }
+
+    _requireAccount(jid) {
+        const account = this.getAccount(toJid(jid));
+        if (!account) {
+            throw new Error(`No prepaid account for ${String(jid).split('@')[0]}`);
+        }
+        return account;
+    }
+
+    _record(account, { type, amount, method = null, reference = null, jobId = null, orderId = null, note = null, by }) {
+        const transaction = {
+            id: account.transactions.length + 1,
+            type,
+            amount,
+            method,
+            reference,
+            jobId,
+            orderId,
+            note,
+            by,
+            balanceAfter: account.balance,
+            availableAfter: this.available(account),
+            at: new Date().toISOString()
+        };
+        account.transactions.push(transaction);
+        account.updatedAt = new Date();
+        this.accounts.save(account, type);
+        this.emit('accountUpdated', account, transaction);
+        return account;
+    }
+}
+
+module.exports = new AccountManager();
+module.exports.toJid = toJid;
@@ -0,0 +1,243 @@
+const EventEmitter = require('events');
+const path = require('path');
+const config = require('../../config');
+const Journal = require('../utils/journal');
+const printQueue = require('../queue/printQueue');
+
+// lastSeen moves with every message; only write it through when it has moved this far
+const LAST_SEEN_SAVE_MS = 5 * 60 * 1000;
+
+function round(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Everyone who has messaged the shop on WhatsApp, keyed by JID: display name, phone,
+ * first/last seen, printed jobs and spend, saved print preferences, staff notes and a block flag.
+ * A printed job counts towards the totals until it leaves the queue; if it is cancelled or fails
+ * before then (e.g. stopped at the printer), it is taken off again.
+ * Profiles are journaled to <dataPath>/customers.jsonl so they survive restarts.
+ */
+class CustomerDirectory extends EventEmitter {
+    constructor() {
+        super();
+        const baseData = path.isAbsolute(config.dataPath) ? config.dataPath : path.join(process.cwd(), config.dataPath);
+        this.customers = new Journal(path.join(baseData, 'customers.jsonl'), { label: 'customers' });
+        this.lastSaved = new Map();
+        if (this.customers.all().length === 0) {
+            this._importFromQueue();
+        }
+
+        printQueue.on('statusUpdated', ({ jobId, status }) => {
+            if (status === 'completed') {
+                this.recordPrintedJob(printQueue.getJob(jobId));
+            } else if (status === 'cancelled' || status === 'failed') {
+                this.reversePrintedJob(jobId);
+            }
+        });
+    }
+
+    /**
+     * Note a message from a sender, creating their profile on first contact.
+     * @param {string} jid
+     * @param {object} details - { name: WhatsApp display name (pushName), at: Date }
+     */
+    recordMessage(jid, { name = null, at = new Date() } = {}) {
+        let customer = this.customers.get(jid);
+        if (!customer) {
+            customer = this._newCustomer(jid, at);
+            customer.name = name;
+            customer.messageCount = 1;
+            this._save(customer, 'firstSeen');
+            return customer;
+        }
+
+        customer.lastSeen = at.toISOString();
+        customer.messageCount = (customer.messageCount || 0) + 1;
+        const renamed = name && name !== customer.name && !customer.nameSetByStaff;
+        if (renamed) customer.name = name;
+        if (renamed || at - (this.lastSaved.get(jid) || 0) >= LAST_SEEN_SAVE_MS) {
+            this._save(customer, 'seen');
+        }
+        return customer;
+    }
+
+    recordPrintedJob(job) {
+        if (!job || !job.data || !job.data.sender) return;
+        const customer = this.customers.get(job.data.sender) || this._newCustomer(job.data.sender, new Date(job.createdAt));
+        const amount = job.data.quote ? job.data.quote.total : 0;
+        customer.totalJobs = (customer.totalJobs || 0) + 1;
+        customer.totalSpend = round((customer.totalSpend || 0) + amount);
+        customer.lastJobAt = new Date().toISOString();
+        customer.printedJobs = this._printedJobsInQueue(customer);
+        customer.printedJobs[job.id] = amount;
+        this._save(customer, 'jobPrinted');
+    }
+
+    // A counted job that was cancelled or failed after all: take it back off the customer's totals
+    reversePrintedJob(jobId) {
+        const customer = this.customers.all().find(c => c.printedJobs && c.printedJobs[jobId] !== undefined);
+        if (!customer) return;
+        const amount = customer.printedJobs[jobId];
+        delete customer.printedJobs[jobId];
+        customer.totalJobs = Math.max(0, customer.totalJobs - 1);
+        customer.totalSpend = Math.max(0, round(customer.totalSpend - amount));
+        this._save(customer, 'jobReversed');
+    }
+
+    getCustomer(jid) {
+        return this.customers.get(jid) || null;
+    }
+
+    // The name to greet or label a customer with
+    displayName(jid) {
+        const customer = this.getCustomer(jid);
+        return (customer && customer.name) || null;
+    }
+
+    /**
+     * Customers, most recently seen first.
+     * @param {object} filter - { search: matched against name, phone and notes; blocked: true|false }
+     */
+    getCustomers({ search = null, blocked = null } = {}) {
+        const wanted = search ? String(search).toLowerCase().trim() : null;
+        const digits = wanted ? wanted.replace(/\D/g, '') : '';
+        return this.customers.all()
+            .filter(customer => blocked === null || !!customer.blocked === blocked)
+            .filter(customer => !wanted ||
+                (customer.name || '').toLowerCase().includes(wanted) ||
+                (customer.notes || '').toLowerCase().includes(wanted) ||
+                (digits.length > 0 && customer.phone.includes(digits)))
+            .sort((a, b) => new Date(b.lastSeen) - new Date(a.lastSeen));
+    }
+
+    // Staff edits: a name set here sticks even if the customer's WhatsApp name changes
+    updateCustomer(jid, { name, notes }) {
+        const customer = this._requireCustomer(jid);
+        if (name !== undefined) {
+            customer.name = name || null;
+            customer.nameSetByStaff = !!name;
+        }
+        if (notes !== undefined) {
+            customer.notes = notes || '';
+        }
+        return this._save(customer, 'updated');
+    }
+
+    getPreferences(jid) {
+        const customer = this.getCustomer(jid);
+        return (customer && customer.preferences) || {};
+    }
+
+    setPreferences(jid, preferences) {
+        const customer = this.getCustomer(jid) || this._newCustomer(jid);
+        customer.preferences = { ...preferences };
+        return this._save(customer, 'preferences');
+    }
+
+    // What the customer's last order asked for, for "same as last time"
+    recordInstructions(jid, instructions) {
+        const customer = this.getCustomer(jid) || this._newCustomer(jid);
+        customer.lastInstructions = { ...instructions };
+        return this._save(customer, 'instructions');
+    }
+
+    block(jid, { reason = null, by = 'Dashboard' } = {}) {
+        const customer = this.getCustomer(jid) || this._newCustomer(jid);
+        customer.blocked = true;
+        customer.blockedReason = reason;
+        customer.blockedBy = by;
+        customer.blockedAt = new Date().toISOString();
+        return this._save(customer, 'blocked');
+    }
+
+    unblock(jid) {
+        const customer = this._requireCustomer(jid);
+        customer.blocked = false;
+        customer.blockedReason = null;
+        customer.blockedBy = null;
+        customer.blockedAt = null;
+        return this._save(customer, 'unblocked');
+    }
+
+    isBlocked(jid) {
+        const customer = this.getCustomer(jid);
+        return !!(customer && customer.blocked);
+    }
+
+    _newCustomer(jid, at = new Date()) {
+        return {
+            id: jid,
+            name: null,
+            nameSetByStaff: false,
+            phone: jid.split('@')[0],
+            firstSeen: at.toISOString(),
+            lastSeen: at.toISOString(),
+            messageCount: 0,
+            totalJobs: 0,
+            totalSpend: 0,
+            lastJobAt: null,
+            // jobId → amount for printed jobs still in the queue, so a later cancellation can be reversed
+            printedJobs: {},
+            preferences: {},
+            lastInstructions: null,
+            notes: '',
+            blocked: false,
+            blockedReason: null,
+            blockedBy: null,
+            blockedAt: null,
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+    }
+
+    // Only jobs still in the queue can change status again; forget the rest
+    _printedJobsInQueue(customer) {
+        return Object.fromEntries(Object.entries(customer.printedJobs || {})
+            .filter(([jobId]) => printQueue.getJob(Number(jobId))));
+    }
+
+    _requireCustomer(jid) {
+        const customer = this.getCustomer(jid);
+        if (!customer) {
+            throw new Error(`Customer ${String(jid).split('@')[0]} not found`);
+        }
+        return customer;
+    }
+
+    _save(customer, event) {
+        customer.updatedAt = new Date();
+        this.lastSaved.set(customer.id, Date.now());
+        this.customers.save(customer, event);
+        this.emit('customerUpdated', customer);
+        return customer;
+    }
+
+    // First start with a directory: seed profiles from the senders already in the job journal
+    _importFromQueue() {
+        const jobs = printQueue.getJobs()
+            .filter(job => job.data && job.data.sender)
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+        const seeded = new Map();
+        for (const job of jobs) {
+            const customer = seeded.get(job.data.sender) || this._newCustomer(job.data.sender, new Date(job.createdAt));
+            customer.lastSeen = new Date(job.createdAt).toISOString();
+            if (job.status === 'completed') {
+                customer.totalJobs++;
+                const amount = job.data.quote ? job.data.quote.total : 0;
+                customer.totalSpend = round(customer.totalSpend + amount);
+                customer.printedJobs[job.id] = amount;
+                customer.lastJobAt = new Date(job.updatedAt).toISOString();
+            }
+            seeded.set(job.data.sender, customer);
+        }
+        for (const customer of seeded.values()) {
+            this.customers.save(customer, 'imported');
+        }
+        if (seeded.size > 0) {
+            console.log(`👥 Imported ${seeded.size} customers from the job journal`);
+        }
+    }
+}
+
+module.exports = new CustomerDirectory();
@@ -2,6 +2,9 @@ require('dotenv').config();
 const Server = require('./server');
 const WhatsAppClient = require('./whatsapp/client');
 const printQueue = require('./queue/printQueue');
+const orderManager = require('./orders/orderManager');
+const ledger = require('./payments/ledger');
+const accountManager = require('./accounts/accountManager');
 const config = require('../config');
 const { ensureDirectoriesExist } = require('./utils/fileSystem');
 
@@ -29,6 +32,29 @@ async function start() {
             }
         });
 
+        // Tell the customer once when every job in their order has printed
+        orderManager.on('orderReady', (order) => {
+            if (whatsapp.onOrderReady) {
+                whatsapp.onOrderReady(order);
+            }
+        });
+
+        // Let customers know whether the UPI reference they sent was found
+        for (const event of ['paymentConfirmed', 'paymentRejected']) {
+            ledger.on(event, (payment) => {
+                if (whatsapp.onPaymentUpdate) {
+                    whatsapp.onPaymentUpdate(payment);
+                }
+            });
+        }
+
+        // Confirm wallet top-ups and refunds to the customer
+        accountManager.on('accountUpdated', (account, transaction) => {
+            if (whatsapp.onAccountTransaction) {
+                whatsapp.onAccountTransaction(account, transaction);
+            }
+        });
+
         // Initialize server with WhatsApp instance and print queue for API control
         const server = new Server(whatsapp, printQueue);
         await server.start(config.port);
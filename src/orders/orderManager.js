@@ -0,0 +1,243 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const path = require('path');
+const config = require('../../config');
+const Journal = require('../utils/journal');
+const printQueue = require('../queue/printQueue');
+
+const ACTIVE_JOB_STATUSES = ['queued', 'processing'];
+const PICKUP_CODE_DIGITS = 6;
+
+function round(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * A customer's order: the print jobs submitted together from one WhatsApp cart.
+ *
+ * Status follows the jobs: queued → printing → ready (all jobs done) → collected.
+ * An order with a failed job waits in 'attention' until the job is retried or removed,
+ * and one whose jobs were all cancelled ends as 'cancelled'. Payment is tracked separately.
+ * A ready order gets a pickup code that the customer shows at the counter to collect it.
+ * Orders are journaled to <dataPath>/orders.jsonl.
+ */
+class OrderManager extends EventEmitter {
+    constructor() {
+        super();
+        const baseData = path.isAbsolute(config.dataPath) ? config.dataPath : path.join(process.cwd(), config.dataPath);
+        this.orders = new Journal(path.join(baseData, 'orders.jsonl'), { label: 'orders' });
+        this.jobOrders = new Map();
+        this.lastOrderStamp = 0;
+        for (const order of this.orders.all()) {
+            order.items.forEach(item => this.jobOrders.set(item.jobId, order.id));
+        }
+
+        printQueue.on('statusUpdated', ({ jobId, status }) => this.syncJob(jobId, status));
+    }
+
+    // Short, time-based and unique: ORD-MVFHJXQV
+    newOrderId() {
+        this.lastOrderStamp = Math.max(Date.now(), this.lastOrderStamp + 1);
+        return `ORD-${this.lastOrderStamp.toString(36).toUpperCase()}`;
+    }
+
+    /**
+     * Record an order over jobs already in the queue.
+     * @param {object} details - { id, sender, customerName, jobs: [queued job] }
+     */
+    createOrder({ id, sender, customerName = null, jobs }) {
+        if (!jobs || jobs.length === 0) {
+            throw new Error('An order needs at least one print job');
+        }
+        if (this.orders.get(id)) {
+            throw new Error(`Order ${id} already exists`);
+        }
+
+        const quoted = jobs.map(job => job.data.quote).find(Boolean);
+        const items = jobs.map(job => ({
+            jobId: job.id,
+            fileId: job.data.fileId || null,
+            fileName: job.data.fileName || `${(job.data.images || []).length} images`,
+            copies: (job.data.instructions && job.data.instructions.copies) || 1,
+            pages: job.data.quote ? job.data.quote.printedPages : null,
+            amount: job.data.quote ? job.data.quote.total : null,
+            status: job.status
+        }));
+
+        const now = new Date();
+        const order = {
+            id,
+            customer: { jid: sender, name: customerName },
+            items,
+            currency: quoted ? quoted.currency : null,
+            symbol: quoted ? quoted.symbol : null,
+            total: round(items.reduce((sum, item) => sum + (item.amount || 0), 0)),
+            status: 'queued',
+            paid: false,
+            payment: null,
+            readyAt: null,
+            pickupCode: null,
+            collectedAt: null,
+            collectedBy: null,
+            history: [{ status: 'queued', at: now.toISOString() }],
+            createdAt: now,
+            updatedAt: now
+        };
+
+        items.forEach(item => this.jobOrders.set(item.jobId, id));
+        this.orders.save(order, 'created');
+        this.emit('orderCreated', order);
+        // A job may have moved on while the order was being put together
+        this._refreshStatus(order);
+        return order;
+    }
+
+    getOrder(id) {
+        return this.orders.get(id) || null;
+    }
+
+    getOrderForJob(jobId) {
+        return this.getOrder(this.jobOrders.get(jobId));
+    }
+
+    /**
+     * Orders, newest first.
+     * @param {object} filter - { status, sender, paid }
+     */
+    getOrders({ status = null, sender = null, paid = null } = {}) {
+        return this.orders.all()
+            .filter(order => !status || order.status === status)
+            .filter(order => !sender || order.customer.jid === sender)
+            .filter(order => paid === null || order.paid === paid)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    // The order with its jobs as they are now in the queue (removed jobs come back as null)
+    getOrderDetails(id) {
+        const order = this.getOrder(id);
+        if (!order) return null;
+        return {
+            ...order,
+            jobs: order.items.map(item => printQueue.getJob(item.jobId) || null)
+        };
+    }
+
+    syncJob(jobId, status) {
+        const order = this.getOrderForJob(jobId);
+        if (!order) return;
+        const item = order.items.find(i => i.jobId === jobId);
+        const itemStatus = status === 'removed' ? 'cancelled' : status;
+        // Progress updates repeat 'processing'; only changes are worth journaling
+        if (item.status === itemStatus) return;
+        item.status = itemStatus;
+        order.updatedAt = new Date();
+        if (!this._refreshStatus(order)) {
+            this.orders.save(order, 'jobUpdated');
+            this.emit('orderUpdated', order);
+        }
+    }
+
+    markPaid(id, { method = 'cash', reference = null, by = 'Dashboard' } = {}) {
+        const order = this._requireOrder(id);
+        if (order.paid) {
+            throw new Error(`Order ${id} is already paid`);
+        }
+        order.paid = true;
+        order.payment = { method, reference, by, at: new Date().toISOString() };
+        order.updatedAt = new Date();
+        this.orders.save(order, 'paid');
+        this.emit('orderUpdated', order);
+        return order;
+    }
+
+    // The order a pickup code belongs to; typed codes may contain spaces or dashes
+    findByPickupCode(code) {
+        const normalized = String(code || '').replace(/\D/g, '');
+        if (!normalized) return null;
+        // Codes are only unique among uncollected orders, so prefer those over old collected ones
+        const matches = this.orders.all().filter(order => order.pickupCode === normalized);
+        return matches.find(order => order.status !== 'collected') || matches.pop() || null;
+    }
+
+    /**
+     * Counter staff hand the prints over.
+     * @param {string} id - Order ID.
+     * @param {object} options - { by: staff member, code: pickup code the customer showed (omit for a manual hand-over) }
+     */
+    confirmPickup(id, { by = 'Dashboard', code = null } = {}) {
+        const order = this._requireOrder(id);
+        if (order.status !== 'ready') {
+            throw new Error(`Order ${id} is ${order.status}, not ready for pickup`);
+        }
+        if (code !== null && String(code).replace(/\D/g, '') !== order.pickupCode) {
+            throw new Error(`Pickup code does not match order ${id}`);
+        }
+        order.collectedAt = new Date().toISOString();
+        order.collectedBy = by;
+        this._setStatus(order, 'collected', { by, verifiedBy: code !== null ? 'pickup code' : 'manual' });
+        return order;
+    }
+
+    collectByCode(code, { by = 'Dashboard' } = {}) {
+        const order = this.findByPickupCode(code);
+        if (!order) {
+            throw new Error(`No order with pickup code ${code}`);
+        }
+        return this.confirmPickup(order.id, { by, code });
+    }
+
+    _requireOrder(id) {
+        const order = this.getOrder(id);
+        if (!order) {
+            throw new Error(`Order ${id} not found`);
+        }
+        return order;
+    }
+
+    // Random digits, unique among orders that have not been collected yet
+    _newPickupCode() {
+        const outstanding = new Set(this.orders.all()
+            .filter(order => order.status !== 'collected' && order.pickupCode)
+            .map(order => order.pickupCode));
+        let code;
+        do {
+            code = String(crypto.randomInt(0, 10 ** PICKUP_CODE_DIGITS)).padStart(PICKUP_CODE_DIGITS, '0');
+        } while (outstanding.has(code));
+        return code;
+    }
+
+    _statusFromItems(order) {
+        const statuses = order.items.map(item => item.status);
+        if (statuses.includes('processing')) return 'printing';
+        if (statuses.some(status => ACTIVE_JOB_STATUSES.includes(status))) return 'queued';
+        if (statuses.includes('failed')) return 'attention';
+        if (statuses.includes('completed')) return 'ready';
+        return 'cancelled';
+    }
+
+    // Returns true when the status changed (and the order was saved)
+    _refreshStatus(order) {
+        if (order.status === 'collected') return false;
+        const status = this._statusFromItems(order);
+        if (status === order.status) return false;
+        if (status === 'ready') {
+            order.readyAt = new Date().toISOString();
+            order.pickupCode = order.pickupCode || this._newPickupCode();
+        }
+        this._setStatus(order, status);
+        return true;
+    }
+
+    _setStatus(order, status, details = {}) {
+        order.status = status;
+        order.updatedAt = new Date();
+        order.history.push({ status, at: order.updatedAt.toISOString(), ...details });
+        this.orders.save(order, 'statusUpdated');
+        this.emit('orderUpdated', order);
+        if (status === 'ready') {
+            this.emit('orderReady', order);
+        }
+    }
+}
+
+module.exports = new OrderManager();
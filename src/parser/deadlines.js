@@ -0,0 +1,192 @@
+// Deadline grammar: turns "by 5pm", "tomorrow morning", "in 2 hours", "before 10:30", "Monday" or "EOD"
+// into an absolute timestamp. Wall-clock times are read in the shop's timezone (config.shopTimezone),
+// whatever timezone the server runs in.
+
+const config = require('../../config');
+const { WEEKDAYS, zonedParts, atShopTime } = require('../utils/shopClock');
+
+const WEEKDAY_PATTERN = /\b(next\s+)?(sun(?:day)?|mon(?:day)?|tue(?:s|sday)?|wed(?:nesday)?|thu(?:rs?|rsday)?|fri(?:day)?|sat(?:urday)?)\b/;
+const PARTS_OF_DAY = {
+    morning: '10:00',
+    noon: '12:00',
+    midday: '12:00',
+    lunch: '13:00',
+    lunchtime: '13:00',
+    afternoon: '15:00',
+    evening: '18:00'
+};
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6 };
+// Words that introduce a bare hour ("by 5", "deadline 10")
+const TIME_TRIGGER = '(?:by|before|until|till|til|deadline|due|latest)';
+
+function toMinutes(clock) {
+    const [hours, minutes] = clock.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function withinShopHours(date, timeZone) {
+    const p = zonedParts(date, timeZone);
+    const minutes = p.hour * 60 + p.minute;
+    return minutes >= toMinutes(config.shopOpenTime) && minutes <= toMinutes(config.shopCloseTime);
+}
+
+function findRelative(text) {
+    const match = text.match(/\b(?:in|within)\s+(\d+(?:\.\d+)?|an?|one|two|three|four|five|six|half\s+an?)\s*(hours?|hrs?|h|minutes?|mins?|m)\b/);
+    if (!match) return null;
+    const amount = /^half/.test(match[1]) ? 0.5 : (NUMBER_WORDS[match[1]] || parseFloat(match[1]));
+    const unitMinutes = /^h/.test(match[2]) ? 60 : 1;
+    return { phrase: match[0], minutes: Math.round(amount * unitMinutes) };
+}
+
+function findDay(text, today) {
+    if (/\bday\s+after\s+tomorrow\b/.test(text)) return { phrase: 'day after tomorrow', addDays: 2 };
+    const tomorrow = text.match(/\b(?:tomorrow|tmrw?|tomorow)\b/);
+    if (tomorrow) return { phrase: tomorrow[0], addDays: 1 };
+    const todayWord = text.match(/\b(?:today|tonight)\b/);
+    if (todayWord) return { phrase: todayWord[0], addDays: 0 };
+
+    const weekday = text.match(WEEKDAY_PATTERN);
+    if (weekday) {
+        let addDays = (WEEKDAYS.indexOf(weekday[2].slice(0, 3)) - today.weekday + 7) % 7;
+        if (weekday[1] && addDays === 0) addDays = 7;
+        return { phrase: weekday[0], addDays };
+    }
+    return null;
+}
+
+function findTime(text) {
+    if (/\b(?:eod|end\s+of\s+(?:the\s+)?day|close\s+of\s+business|cob|closing(?:\s+time)?)\b/.test(text)) {
+        return { phrase: 'end of day', minutes: toMinutes(config.shopCloseTime) };
+    }
+    if (/\btonight\b/.test(text)) {
+        return { phrase: 'tonight', minutes: toMinutes(config.shopCloseTime) };
+    }
+
+    const meridiem = text.match(/\b(\d{1,2})(?:[:.](\d{2}))?\s*([ap])\.?m\b\.?/);
+    if (meridiem) {
+        const hours = parseInt(meridiem[1], 10);
+        const minutes = meridiem[2] ? parseInt(meridiem[2], 10) : 0;
+        if (hours < 1 || hours > 12 || minutes > 59) return { phrase: meridiem[0], invalid: true };
+        return { phrase: meridiem[0], minutes: ((hours % 12) + (meridiem[3] === 'p' ? 12 : 0)) * 60 + minutes };
+    }
+
+    const clock = text.match(/\b(\d{1,2}):(\d{2})\b/);
+    if (clock) {
+        const hours = parseInt(clock[1], 10);
+        const minutes = parseInt(clock[2], 10);
+        if (hours > 23 || minutes > 59) return { phrase: clock[0], invalid: true };
+        // "10:30" is a 24-hour clock time from 13:00, otherwise it could be either half of the day
+        return { phrase: clock[0], minutes: hours * 60 + minutes, bare: hours >= 1 && hours <= 12 };
+    }
+
+    const bareHour = text.match(new RegExp(`\\b${TIME_TRIGGER}\\s+(\\d{1,2})\\b(?!\\s*(?:copies|copy|pages?|sets?|times|x)\\b)`));
+    if (bareHour) {
+        const hours = parseInt(bareHour[1], 10);
+        if (hours > 23) return { phrase: bareHour[0], invalid: true };
+        return { phrase: bareHour[0], minutes: hours * 60, bare: hours >= 1 && hours <= 12 };
+    }
+
+    if (/\bmidnight\b/.test(text)) return { phrase: 'midnight', minutes: 23 * 60 + 59 };
+    for (const [word, time] of Object.entries(PARTS_OF_DAY)) {
+        if (new RegExp(`\\b${word}\\b`).test(text)) return { phrase: word, minutes: toMinutes(time) };
+    }
+    return null;
+}
+
+function formatHour(minutes) {
+    const hours = Math.floor(minutes / 60) % 12 || 12;
+    const rest = minutes % 60;
+    return `${hours}${rest ? `:${String(rest).padStart(2, '0')}` : ''}`;
+}
+
+/**
+ * Find a deadline in free text.
+ * @param {string} text - Customer message.
+ * @param {object} options - { now: Date, timeZone: string }
+ * @returns {object|null} { at: ISO string|null, phrase, unclear: question to ask when `at` could not be settled }
+ *                        or null when the text mentions no deadline.
+ */
+function parse(text, { now = new Date(), timeZone = config.shopTimezone } = {}) {
+    text = String(text || '').toLowerCase();
+
+    const relative = findRelative(text);
+    if (relative) {
+        return { at: new Date(now.getTime() + relative.minutes * 60000).toISOString(), phrase: relative.phrase, unclear: null };
+    }
+
+    const today = zonedParts(now, timeZone);
+    const day = findDay(text, today);
+    const time = findTime(text);
+    if (!day && !time) {
+        if (/\b(?:deadline|need(?:ed)?\s+(?:it\s+|this\s+|them\s+)?by|due)\b/.test(text)) {
+            return { at: null, phrase: text.trim(), unclear: 'When do you need it by?' };
+        }
+        return null;
+    }
+
+    const phrase = Array.from(new Set([day && day.phrase, time && time.phrase].filter(Boolean))).join(' ');
+    if (time && time.invalid) {
+        return { at: null, phrase, unclear: `"${time.phrase}" isn't a time I recognise. When do you need it by?` };
+    }
+
+    // A day on its own means by the time the shop closes that day
+    const minutes = time ? time.minutes : toMinutes(config.shopCloseTime);
+    const readings = time && time.bare ? [minutes % (12 * 60), minutes % (12 * 60) + 12 * 60] : [minutes];
+    const candidates = readings.map(reading => {
+        let at = atShopTime(today, day ? day.addDays : 0, reading, timeZone);
+        // Without a day, a time that has already passed today means the same time tomorrow
+        if (!day && at <= now) at = atShopTime(today, 1, reading, timeZone);
+        return at;
+    }).filter(at => at > now);
+
+    if (candidates.length === 0) {
+        return { at: null, phrase, unclear: `"${phrase}" has already passed. When do you need it by?` };
+    }
+
+    let chosen = candidates;
+    if (readings.length > 1) {
+        // "by 5" means 5pm and "by 10" means 10am when only one of them falls inside shop hours
+        chosen = candidates.filter(at => withinShopHours(at, timeZone));
+        if (chosen.length !== 1) {
+            const hour = formatHour(minutes);
+            return { at: null, phrase, unclear: `Did you mean ${hour}am or ${hour}pm?` };
+        }
+    }
+
+    return { at: chosen[0].toISOString(), phrase, unclear: null };
+}
+
+/**
+ * Turn a stored deadline into a Date: ISO timestamps as they are, and raw phrases from older jobs
+ * ("5pm") read relative to when the job was created.
+ */
+function resolve(deadline, from = new Date()) {
+    if (!deadline) return null;
+    if (deadline instanceof Date) return deadline;
+    if (/^\d{4}-\d{2}-\d{2}T/.test(deadline)) {
+        const parsed = new Date(deadline);
+        return isNaN(parsed.getTime()) ? null : parsed;
+    }
+    const parsed = parse(`by ${deadline}`, { now: from });
+    return parsed && parsed.at ? new Date(parsed.at) : null;
+}
+
+// "today 5:00 pm", "tomorrow 10:00 am" or "Mon 27 Oct, 5:00 pm" in the shop's timezone
+function format(deadline, { now = new Date(), timeZone = config.shopTimezone } = {}) {
+    const date = resolve(deadline, now);
+    if (!date) return 'No deadline';
+    const time = new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', minute: '2-digit', hour12: true }).format(date).toLowerCase();
+    const target = zonedParts(date, timeZone);
+    const today = zonedParts(now, timeZone);
+    const dayDiff = Math.round((Date.UTC(target.year, target.month - 1, target.day) - Date.UTC(today.year, today.month - 1, today.day)) / 86400000);
+    if (dayDiff === 0) return `today ${time}`;
+    if (dayDiff === 1) return `tomorrow ${time}`;
+    const day = new Intl.DateTimeFormat('en-GB', { timeZone, weekday: 'short', day: 'numeric', month: 'short' }).format(date);
+    return `${day}, ${time}`;
+}
+
+module.exports = {
+    parse,
+    resolve,
+    format
+};
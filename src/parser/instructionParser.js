@@ -1,3 +1,27 @@
+const pageRanges = require('./pageRanges');
+const deadlines = require('./deadlines');
+const imposition = require('../processing/imposition');
+
+// What a job gets for anything its instructions don't mention
+const DEFAULT_INSTRUCTIONS = {
+    pages: null,
+    colorPages: [],
+    paperType: 'plain',
+    paperSize: 'a4',
+    copies: 1,
+    priority: 'normal',
+    deadline: null,
+    duplex: false,
+    pagesPerSheet: 1,
+    booklet: false,
+    fitToPage: false,
+    orientation: null
+};
+
+// Settings that carry over from one document to the next (saved defaults, "same as last time");
+// page selections and deadlines only make sense for the job they were given for
+const REUSABLE_FIELDS = ['copies', 'paperType', 'paperSize', 'duplex', 'priority', 'pagesPerSheet'];
+
 class InstructionParser {
     constructor() {
         this.paperTypes = ['plain', 'photo', 'glossy'];
@@ -5,33 +29,121 @@ class InstructionParser {
     }
 
     parse(text) {
-        const instructions = {
+        return { ...DEFAULT_INSTRUCTIONS, ...this.extract(text) };
+    }
+
+    /**
+     * Only the instructions the text actually mentions, so they can be layered over
+     * other instructions ("file 2: 3 copies" must not reset file 2's paper type).
+     */
+    extract(text) {
+        const found = {
+            pages: this.extractPageSelection(text),
             colorPages: this.extractColorPages(text),
             paperType: this.extractPaperType(text),
+            paperSize: this.extractPaperSize(text),
             copies: this.extractCopies(text),
             priority: this.extractPriority(text),
-            deadline: this.extractDeadline(text),
-            duplex: this.extractDuplex(text)
+            duplex: this.extractDuplex(text),
+            pagesPerSheet: this.extractPagesPerSheet(text),
+            booklet: this.extractBooklet(text),
+            orientation: this.extractOrientation(text)
         };
 
+        const instructions = {};
+        for (const [field, value] of Object.entries(found)) {
+            if (value !== null) instructions[field] = value;
+        }
+
+        // A booklet is folded from double-sided sheets unless the customer says otherwise
+        if (instructions.booklet && instructions.duplex === undefined) {
+            instructions.duplex = true;
+        }
+
+        // "A3 to A4" names both sizes; the one it is fitted to is what gets printed on
+        const fit = this.extractFitToPage(text);
+        if (fit) {
+            instructions.fitToPage = true;
+            if (fit.paperSize) instructions.paperSize = fit.paperSize;
+        }
+
+        const deadline = this.extractDeadline(text);
+        if (deadline) {
+            instructions.deadline = deadline.at;
+            // Only present when the customer needs to be asked which time they meant
+            if (deadline.unclear) instructions.deadlineUnclear = deadline.unclear;
+        }
+
         return instructions;
     }
 
-    extractColorPages(text) {
+    reusable(instructions) {
+        const kept = {};
+        for (const field of REUSABLE_FIELDS) {
+            if (instructions && instructions[field] !== undefined && instructions[field] !== null) {
+                kept[field] = instructions[field];
+            }
+        }
+        return kept;
+    }
+
+    // Drop counts that look like page numbers: "2 copies", "3 times", "2 pages per sheet", "4 up"
+    stripCounts(text) {
+        return text
+            .replace(/\b\d+\s*(?:copies|copy|times|sets?|x)\b/gi, ' ')
+            .replace(/\b\d+\s*(?:pages?\s+)?(?:per|on\s+(?:a|one|each))\s+(?:page|sheet|side)\b/gi, ' ')
+            .replace(/\b\d+\s*-?\s*up\b/gi, ' ');
+    }
+
+    // Locate the colour clause ("color pages 1-3", "colour odd pages", "last page in colour")
+    findColorClause(text) {
+        text = this.stripCounts(text);
+        const run = pageRanges.SELECTION_RUN;
         const colorPatterns = [
-            /color\s+pages?\s*:?\s*(\d+(?:,\s*\d+)*)/i,
-            /pages?\s*(\d+(?:,\s*\d+)*)\s+in\s+color/i,
-            /color\s+on\s+pages?\s*(\d+(?:,\s*\d+)*)/i
+            new RegExp(`colou?r(?:ed)?\\s*(?:on|for|in)?\\s*(${run})`, 'i'),
+            new RegExp(`(${run})\\s+in\\s+colou?r`, 'i')
         ];
 
         for (const pattern of colorPatterns) {
             const match = text.match(pattern);
-            if (match) {
-                return match[1].split(/,\s*/).map(num => parseInt(num.trim()));
+            if (!match) continue;
+
+            const spec = pageRanges.parseSelection(match[1], { armed: true });
+            if (spec) {
+                return { clause: match[0], spec };
             }
         }
 
-        return [];
+        return null;
+    }
+
+    extractColorPages(text) {
+        const found = this.findColorClause(text);
+        return found ? pageRanges.normalize(found.spec) : null;
+    }
+
+    // Which pages to print at all: "pages 3-10", "skip page 1", "odd pages", "all except 2"
+    extractPageSelection(text) {
+        const found = this.findColorClause(text);
+        const stripped = this.stripCounts(text);
+        const remaining = found ? stripped.replace(found.clause, ' ') : stripped;
+        const runs = remaining.match(new RegExp(pageRanges.SELECTION_RUN, 'gi')) || [];
+        // A reply that is nothing but a list ("1-3, 7, 10-end") is a page selection too
+        const bareList = runs.length === 1 && runs[0].trim() === remaining.trim() && /[-,–]/.test(runs[0]);
+
+        const combined = { ranges: [], parity: null, except: [] };
+        for (const run of runs) {
+            const spec = pageRanges.parseSelection(run, { armed: bareList });
+            if (!spec) continue;
+            combined.ranges.push(...spec.ranges);
+            combined.except.push(...spec.except);
+            combined.parity = spec.parity || combined.parity;
+        }
+
+        if (combined.ranges.length === 0 && !combined.parity && combined.except.length === 0) {
+            return null; // all pages
+        }
+        return pageRanges.normalize(combined);
     }
 
     extractPaperType(text) {
@@ -47,9 +159,18 @@ class InstructionParser {
         if (textLower.includes('plain') || textLower.includes('normal') || textLower.includes('regular')) {
             return 'plain';
         }
-        
-        // Default to plain paper
-        return 'plain';
+
+        return null;
+    }
+
+    // "A3", "a5 paper", "US letter", "legal size", "big paper" (A3)
+    extractPaperSize(text) {
+        const match = text.match(/\b(a3|a4|a5)\b/i) ||
+            text.match(/\b(letter|legal)\s*(?:-\s*)?(?:paper|size|sized|sheets?)\b/i) ||
+            text.match(/\bus\s+(letter|legal)\b/i);
+        if (match) return match[1].toLowerCase();
+        if (/\b(?:big|bigger|large|larger)\s+(?:paper|size|sheets?)\b/i.test(text)) return 'a3';
+        return null;
     }
 
     extractCopies(text) {
@@ -68,7 +189,7 @@ class InstructionParser {
             }
         }
 
-        return 1; // Default to 1 copy
+        return null;
     }
 
     extractPriority(text) {
@@ -78,23 +199,41 @@ class InstructionParser {
                 return priority;
             }
         }
-        return 'normal'; // Default priority
+        return null;
     }
 
-    extractDeadline(text) {
-        const deadlinePatterns = [
-            /by\s+(\d{1,2}(?::\d{2})?\s*(?:am|pm)?)/i,
-            /deadline\s+(\d{1,2}(?::\d{2})?\s*(?:am|pm)?)/i,
-            /need\s+by\s+(\d{1,2}(?::\d{2})?\s*(?:am|pm)?)/i
-        ];
+    // "by 5pm", "tomorrow morning", "in 2 hours", "EOD"... as an absolute timestamp in the shop's timezone
+    extractDeadline(text, now = new Date()) {
+        return deadlines.parse(text, { now });
+    }
 
-        for (const pattern of deadlinePatterns) {
-            const match = text.match(pattern);
-            if (match) {
-                return match[1].trim();
-            }
-        }
+    // "2 per page", "4 pages per sheet", "2 on one side", "4 up", "2-up"
+    extractPagesPerSheet(text) {
+        const match = text.match(/\b(\d+)\s*(?:pages?\s+)?(?:per|on\s+(?:a|one|each))\s+(?:page|sheet|side)\b/i) ||
+            text.match(/\b(\d+)\s*-?\s*up\b/i);
+        if (!match) return null;
+        const count = parseInt(match[1], 10);
+        return imposition.PAGES_PER_SHEET.includes(count) ? count : null;
+    }
 
+    extractBooklet(text) {
+        if (/\b(?:no|not a|without)\s+booklet\b/i.test(text)) return false;
+        return /\bbooklets?\b/i.test(text) ? true : null;
+    }
+
+    // "fit to A4", "shrink to a4", "A3 to A4", "fit to page"
+    extractFitToPage(text) {
+        const sizes = '(a3|a4|a5|letter|legal)';
+        const match = text.match(new RegExp(`\\b(?:fit|fits|shrink|scale|reduce|resize)\\s+(?:it\\s+|them\\s+)?(?:to|on|onto)\\s+(?:an?\\s+)?${sizes}\\b`, 'i')) ||
+            text.match(new RegExp(`\\b(?:a3|a4|a5|letter|legal)\\s+(?:to|into|on)\\s+${sizes}\\b`, 'i'));
+        if (match) return { paperSize: match[1].toLowerCase() };
+        if (/\b(?:fit|shrink|scale)\s+(?:it\s+|them\s+)?to\s+(?:the\s+)?(?:page|paper|sheet)\b/i.test(text)) return { paperSize: null };
+        return null;
+    }
+
+    extractOrientation(text) {
+        if (/\blandscape\b/i.test(text)) return 'landscape';
+        if (/\bportrait\b/i.test(text)) return 'portrait';
         return null;
     }
 
@@ -117,9 +256,9 @@ class InstructionParser {
             return false;
         }
 
-        // Default to false (single sided)
-        return false;
+        return null;
     }
 }
 
-module.exports = new InstructionParser(); 
\ No newline at end of file
+module.exports = new InstructionParser();
+module.exports.DEFAULT_INSTRUCTIONS = DEFAULT_INSTRUCTIONS;
@@ -0,0 +1,197 @@
+// Page selection grammar shared by page-range and colour-page instructions.
+//
+// A selection is stored on instructions either as a plain array of page numbers
+// (when it can be expanded without knowing the page count, e.g. "1-3, 7") or as a spec:
+//   { ranges: [[from, to]], parity: 'odd'|'even'|null, except: [[from, to]] }
+// where from/to are page numbers, 'end' or 'end-N' (N pages before the last one).
+// An empty `ranges` list means "all pages".
+
+const EXCEPT_WORDS = ['except', 'excluding', 'exclude', 'skip', 'skipping', 'without', 'not', 'omit', 'minus'];
+
+// A run of words that can make up a page selection, used to cut clauses out of free text
+const SELECTION_RUN = '(?:\\s|\\d+|[,&:\\-–]|\\b(?:pages?|pgs?|p|end|last|first|odd|even|all|the|and|to|through|thru|only|onwards|onward|' + EXCEPT_WORDS.join('|') + ')\\b)+';
+
+function tokenize(text) {
+    return String(text).toLowerCase().match(/\d+|[a-z]+|[,&\-–]/g) || [];
+}
+
+function isEndpoint(token) {
+    return /^\d+$/.test(token) || token === 'end' || token === 'last';
+}
+
+function toEndpoint(token) {
+    return /^\d+$/.test(token) ? parseInt(token, 10) : 'end';
+}
+
+/**
+ * Parse a selection phrase such as "pages 1-3, 7, 10-end except 2", "odd pages",
+ * "last page" or "first 2 pages".
+ * @param {string} text
+ * @param {object} options - { armed: true } when the caller already consumed a "pages" keyword
+ *                           (e.g. "colour 1-3"); otherwise bare numbers like "2 copies" are ignored.
+ * @returns {object|null} spec, or null if the text selects nothing in particular.
+ */
+function parseSelection(text, { armed = false } = {}) {
+    const tokens = tokenize(text);
+    const spec = { ranges: [], parity: null, except: [] };
+    let target = spec.ranges;
+    let active = armed;
+    // Numbers must be separated ("1, 3" / "1 and 3"); in "page 3 2 copies" the 2 is not a page
+    let afterRange = false;
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        const next = tokens[i + 1];
+
+        if (token === ',' || token === '&' || token === 'and') {
+            afterRange = false;
+        } else if (token === 'page' || token === 'pages' || token === 'pg' || token === 'pgs' || token === 'p') {
+            active = true;
+            afterRange = false;
+        } else if (EXCEPT_WORDS.includes(token)) {
+            target = spec.except;
+            active = true;
+            afterRange = false;
+        } else if (token === 'odd' || token === 'even') {
+            if (target === spec.ranges) spec.parity = token;
+            active = true;
+        } else if (token === 'first' || token === 'last') {
+            // "first page", "first 3 pages", "last page", "last 2 pages"
+            let count = 1;
+            if (next && /^\d+$/.test(next) && /^pages?$/.test(tokens[i + 2] || '')) {
+                count = parseInt(next, 10);
+                i += 1;
+            } else if (!next || !/^pages?$/.test(next)) {
+                continue;
+            }
+            target.push(token === 'first'
+                ? [1, count]
+                : [count > 1 ? `end-${count - 1}` : 'end', 'end']);
+            active = true;
+        } else if (/^\d+$/.test(token)) {
+            if (afterRange) active = false;
+            if (!active) continue; // "2 copies", "2 pages per sheet"
+            let to = parseInt(token, 10);
+            if (next && ['-', '–', 'to', 'through', 'thru'].includes(next) && isEndpoint(tokens[i + 2] || '')) {
+                to = toEndpoint(tokens[i + 2]);
+                i += 2;
+            } else if (next === 'onwards' || next === 'onward') {
+                to = 'end';
+                i += 1;
+            }
+            target.push([parseInt(token, 10), to]);
+            afterRange = true;
+        }
+    }
+
+    if (spec.ranges.length === 0 && !spec.parity && spec.except.length === 0) return null;
+    return spec;
+}
+
+function resolveEndpoint(value, pageCount) {
+    if (typeof value === 'number') return value;
+    if (pageCount == null) return null;
+    if (value === 'end') return pageCount;
+    const match = /^end-(\d+)$/.exec(value);
+    return match ? pageCount - parseInt(match[1], 10) : null;
+}
+
+function isClosed(spec) {
+    if (!spec) return true;
+    if (spec.ranges.length === 0 || spec.parity) return false;
+    return spec.ranges.concat(spec.except).every(([from, to]) => typeof from === 'number' && typeof to === 'number');
+}
+
+/**
+ * Expand a selection (array or spec) into sorted page numbers.
+ * @param {number[]|object|null} selection
+ * @param {number|null} pageCount - Needed for 'end', parity and "all pages" selections.
+ * @returns {number[]|null} null for "all pages" or when the page count is required but unknown.
+ */
+function resolve(selection, pageCount = null) {
+    if (!selection) return null;
+    if (Array.isArray(selection)) {
+        const pages = selection.filter(p => Number.isInteger(p) && p >= 1 && (pageCount == null || p <= pageCount));
+        return Array.from(new Set(pages)).sort((a, b) => a - b);
+    }
+    if (pageCount == null && !isClosed(selection)) return null;
+
+    const expand = (ranges) => {
+        const pages = new Set();
+        for (const [from, to] of ranges) {
+            const start = resolveEndpoint(from, pageCount);
+            const end = resolveEndpoint(to, pageCount);
+            if (start == null || end == null) continue;
+            for (let page = Math.max(1, Math.min(start, end)); page <= Math.max(start, end); page++) {
+                if (pageCount == null || page <= pageCount) pages.add(page);
+            }
+        }
+        return pages;
+    };
+
+    const included = selection.ranges.length > 0
+        ? expand(selection.ranges)
+        : expand([[1, 'end']]);
+    const excluded = expand(selection.except);
+
+    return Array.from(included)
+        .filter(page => !excluded.has(page))
+        .filter(page => !selection.parity || (page % 2 === 1) === (selection.parity === 'odd'))
+        .sort((a, b) => a - b);
+}
+
+// Collapse [1, 2, 3, 7] into [[1, 3], [7, 7]]
+function toRanges(pages) {
+    const ranges = [];
+    for (const page of pages) {
+        const last = ranges[ranges.length - 1];
+        if (last && page === last[1] + 1) {
+            last[1] = page;
+        } else {
+            ranges.push([page, page]);
+        }
+    }
+    return ranges;
+}
+
+// Selections that can be expanded now are stored as arrays, open-ended ones as specs
+function normalize(spec) {
+    if (!spec) return null;
+    return isClosed(spec) ? resolve(spec) : spec;
+}
+
+function hasPages(selection) {
+    if (!selection) return false;
+    return Array.isArray(selection) ? selection.length > 0 : true;
+}
+
+function formatRanges(ranges) {
+    return ranges.map(([from, to]) => {
+        if (from === 'end' && to === 'end') return 'last';
+        if (typeof from === 'string' && to === 'end') return `last ${parseInt(from.slice(4), 10) + 1}`;
+        return from === to ? `${from}` : `${from}-${to}`;
+    }).join(', ');
+}
+
+// Human-readable form for WhatsApp replies and the dashboard
+function format(selection) {
+    if (!hasPages(selection)) return 'All';
+    if (Array.isArray(selection)) return formatRanges(toRanges(resolve(selection)));
+
+    const parts = [];
+    if (selection.parity) parts.push(`${selection.parity} pages`);
+    if (selection.ranges.length > 0) parts.push(formatRanges(selection.ranges));
+    if (parts.length === 0) parts.push('all');
+    if (selection.except.length > 0) parts.push(`except ${formatRanges(selection.except)}`);
+    return parts.join(' ');
+}
+
+module.exports = {
+    SELECTION_RUN,
+    parseSelection,
+    resolve,
+    normalize,
+    hasPages,
+    toRanges,
+    format
+};
@@ -0,0 +1,329 @@
+const EventEmitter = require('events');
+const path = require('path');
+const config = require('../../config');
+const Journal = require('../utils/journal');
+const orderManager = require('../orders/orderManager');
+const shopClock = require('../utils/shopClock');
+
+const METHODS = ['cash', 'upi', 'prepaid'];
+
+function round(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function normalizeReference(reference) {
+    return String(reference || '').replace(/[\s-]/g, '').toUpperCase();
+}
+
+/**
+ * Payments taken against orders: cash at the counter, UPI transfers and prepaid balance.
+ *
+ * Counter entries are confirmed as they are recorded. A UPI reference a customer sends on WhatsApp
+ * is recorded as pending until staff find it in the day's takings and confirm or reject it.
+ * Once confirmed payments cover an order's total, the order is marked paid. Cancelled jobs are not
+ * charged for; money already taken for them is due back and recorded as a refund entry when handed over.
+ * Entries are journaled to <dataPath>/payments.jsonl.
+ */
+class PaymentLedger extends EventEmitter {
+    constructor() {
+        super();
+        const baseData = path.isAbsolute(config.dataPath) ? config.dataPath : path.join(process.cwd(), config.dataPath);
+        this.payments = new Journal(path.join(baseData, 'payments.jsonl'), { label: 'payments' });
+    }
+
+    /**
+     * Record a payment against an order.
+     * @param {object} details - { orderId, method: cash|upi|prepaid, amount (default: what is still owed),
+     *                           reference, by, source: 'counter'|'whatsapp'|'wallet' }
+     */
+    recordPayment({ orderId, method, amount = null, reference = null, by = 'Dashboard', source = 'counter' }) {
+        if (!METHODS.includes(method)) {
+            throw new Error(`Unknown payment method "${method}" (use ${METHODS.join(', ')})`);
+        }
+        const order = orderManager.getOrder(orderId);
+        if (!order) {
+            throw new Error(`Order ${orderId} not found`);
+        }
+        if (order.paid) {
+            throw new Error(`Order ${orderId} is already paid`);
+        }
+        // Prepaid payments come out of the customer's wallet, which records them here in turn
+        if (method === 'prepaid' && source !== 'wallet') {
+            require('../accounts/accountManager').chargeOrder(orderId, { by });
+            return this.getPayments({ orderId, method: 'prepaid' })[0];
+        }
+
+        const due = amount === null || amount === undefined || amount === '' ? this.outstanding(order) : round(parseFloat(amount));
+        if (!Number.isFinite(due) || due <= 0) {
+            throw new Error('Payment amount must be a positive number');
+        }
+
+        reference = reference ? normalizeReference(reference) : null;
+        if (method === 'upi' && !reference && source === 'whatsapp') {
+            throw new Error('A UPI payment needs its transaction reference');
+        }
+        if (method === 'upi' && reference && this.findByReference(reference)) {
+            throw new Error(`Reference ${reference} has already been used for a payment`);
+        }
+
+        const now = new Date();
+        // Only money staff have seen arrive counts straight away
+        const pending = source === 'whatsapp';
+        const payment = {
+            id: this.payments.nextId(),
+            orderId,
+            customer: order.customer.jid,
+            method,
+            amount: due,
+            currency: order.currency,
+            symbol: order.symbol,
+            reference,
+            source,
+            kind: 'payment',
+            status: pending ? 'pending' : 'confirmed',
+            recordedBy: by,
+            confirmedBy: pending ? null : by,
+            confirmedAt: pending ? null : now.toISOString(),
+            rejectedReason: null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.payments.save(payment, 'recorded');
+        this.emit('paymentRecorded', payment);
+        if (!pending) {
+            this._settle(payment);
+        }
+        return payment;
+    }
+
+    // Staff found a pending UPI transfer in the account
+    confirm(id, { by = 'Dashboard' } = {}) {
+        const payment = this._requirePending(id);
+        payment.status = 'confirmed';
+        payment.confirmedBy = by;
+        payment.confirmedAt = new Date().toISOString();
+        payment.updatedAt = new Date();
+        this.payments.save(payment, 'confirmed');
+        this.emit('paymentConfirmed', payment);
+        this._settle(payment);
+        return payment;
+    }
+
+    // No such transfer arrived; the customer is told to check the reference or pay at the counter
+    reject(id, { by = 'Dashboard', reason = null } = {}) {
+        const payment = this._requirePending(id);
+        payment.status = 'rejected';
+        payment.confirmedBy = by;
+        payment.rejectedReason = reason;
+        payment.updatedAt = new Date();
+        this.payments.save(payment, 'rejected');
+        this.emit('paymentRejected', payment);
+        return payment;
+    }
+
+    getPayment(id) {
+        return this.payments.get(parseInt(id, 10)) || null;
+    }
+
+    // A reference can only pay once; rejected entries free it up for a corrected retry
+    findByReference(reference) {
+        const wanted = normalizeReference(reference);
+        return this.payments.all().find(payment => payment.reference === wanted && payment.status !== 'rejected') || null;
+    }
+
+    /**
+     * Payments, newest first.
+     * @param {object} filter - { date: 'YYYY-MM-DD' shop day, status, method, orderId }
+     */
+    getPayments({ date = null, status = null, method = null, orderId = null } = {}) {
+        const range = date ? shopClock.dayRange(date) : null;
+        return this.payments.all()
+            .filter(payment => !range || (new Date(payment.createdAt) >= range.start && new Date(payment.createdAt) < range.end))
+            .filter(payment => !status || payment.status === status)
+            .filter(payment => !method || payment.method === method)
+            .filter(payment => !orderId || payment.orderId === orderId)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    // What is still owed on an order after confirmed payments (and refunds)
+    outstanding(order) {
+        return round(Math.max(0, this._charged(order) - this._paidIn(order)));
+    }
+
+    // Cash or UPI taken for jobs that were then cancelled; wallets refund themselves
+    refundDue(order) {
+        const payments = this.getPayments({ orderId: order.id, status: 'confirmed' });
+        if (payments.some(payment => payment.method === 'prepaid')) return 0;
+        return round(Math.max(0, this._paidIn(order) - this._charged(order)));
+    }
+
+    /**
+     * Hand back money taken for cancelled jobs, recorded as a negative entry.
+     * @param {object} details - { method: cash|upi (default: how the order was paid), amount (default: all that is due), by, reason }
+     */
+    refund(orderId, { method = null, amount = null, by = 'Dashboard', reason = null } = {}) {
+        const order = orderManager.getOrder(orderId);
+        if (!order) {
+            throw new Error(`Order ${orderId} not found`);
+        }
+        const due = this.refundDue(order);
+        if (due <= 0) {
+            throw new Error(`Nothing to refund on order ${orderId}`);
+        }
+        const value = amount === null || amount === undefined || amount === '' ? due : round(parseFloat(amount));
+        if (!Number.isFinite(value) || value <= 0) {
+            throw new Error('Refund amount must be a positive number');
+        }
+        if (value > due) {
+            throw new Error(`Only ${order.symbol || ''}${due.toFixed(2)} is due back on order ${orderId}`);
+        }
+        const paidWith = this.getPayments({ orderId, status: 'confirmed' }).find(payment => payment.kind !== 'refund');
+        method = method || (paidWith ? paidWith.method : 'cash');
+        if (!['cash', 'upi'].includes(method)) {
+            throw new Error(`Refunds are paid by cash or upi, not "${method}"`);
+        }
+
+        const now = new Date();
+        const refund = {
+            id: this.payments.nextId(),
+            orderId,
+            customer: order.customer.jid,
+            method,
+            amount: -value,
+            currency: order.currency,
+            symbol: order.symbol,
+            reference: null,
+            source: 'counter',
+            kind: 'refund',
+            status: 'confirmed',
+            recordedBy: by,
+            confirmedBy: by,
+            confirmedAt: now.toISOString(),
+            rejectedReason: null,
+            note: reason,
+            createdAt: now,
+            updatedAt: now
+        };
+        this.payments.save(refund, 'refunded');
+        this.emit('paymentRefunded', refund);
+        return refund;
+    }
+
+    /**
+     * End-of-day cash-up: confirmed takings by method (including wallet top-ups) less refunds, what was
+     * charged to wallets, UPI references still to be checked, orders handed over that day without being
+     * paid and paid orders still owed a refund.
+     * @param {string} date - 'YYYY-MM-DD' shop day (default: today)
+     */
+    cashUp(date = shopClock.dayKey()) {
+        const range = shopClock.dayRange(date);
+        const inDay = at => at && new Date(at) >= range.start && new Date(at) < range.end;
+
+        // Takings count on the day the money was confirmed, whenever the reference was sent
+        const confirmed = this.payments.all().filter(payment => payment.status === 'confirmed' && inDay(payment.confirmedAt));
+        const totals = list => ({ count: list.length, amount: round(list.reduce((sum, payment) => sum + Math.abs(payment.amount), 0)) });
+        const byMethod = {};
+        const refunds = {};
+        for (const method of METHODS) {
+            byMethod[method] = totals(confirmed.filter(payment => payment.method === method && payment.kind !== 'refund'));
+        }
+        for (const method of ['cash', 'upi']) {
+            refunds[method] = totals(confirmed.filter(payment => payment.method === method && payment.kind === 'refund'));
+        }
+
+        const recorded = this.getPayments({ date });
+        const pending = this.payments.all()
+            .filter(payment => payment.status === 'pending' && new Date(payment.createdAt) < range.end);
+        const unpaidCollected = orderManager.getOrders({ status: 'collected', paid: false })
+            .filter(order => inDay(order.collectedAt))
+            .map(order => ({ id: order.id, customer: order.customer, total: order.total, outstanding: this.outstanding(order), collectedBy: order.collectedBy }));
+        const refundsDue = orderManager.getOrders({ paid: true })
+            .map(order => ({ id: order.id, customer: order.customer, refundDue: this.refundDue(order) }))
+            .filter(order => order.refundDue > 0);
+        const sample = confirmed[0] || recorded[0];
+
+        // Money paid into wallets is taken in cash or UPI; spending it later brings no new money in
+        const accountManager = require('../accounts/accountManager');
+        const transactions = accountManager.getTransactions({ date });
+        const sum = list => round(list.reduce((total, txn) => total + txn.amount, 0));
+        const topUps = transactions.filter(txn => txn.type === 'topup');
+        const wallets = {
+            topUps: Object.fromEntries(['cash', 'upi'].map(method => {
+                const list = topUps.filter(txn => txn.method === method);
+                return [method, { count: list.length, amount: sum(list) }];
+            })),
+            debited: sum(transactions.filter(txn => txn.type === 'debit')),
+            refunded: sum(transactions.filter(txn => txn.type === 'refund'))
+        };
+
+        return {
+            date,
+            timeZone: config.shopTimezone,
+            currency: sample ? sample.currency : null,
+            symbol: sample ? sample.symbol : (transactions[0] ? transactions[0].symbol : null),
+            byMethod,
+            refunds,
+            wallets,
+            // Money received: cash and UPI sales plus wallet top-ups, less refunds handed back
+            total: round(byMethod.cash.amount + byMethod.upi.amount + wallets.topUps.cash.amount + wallets.topUps.upi.amount -
+                refunds.cash.amount - refunds.upi.amount),
+            // Cash that should be in the drawer from the day's sales and top-ups
+            expectedCash: round(byMethod.cash.amount + wallets.topUps.cash.amount - refunds.cash.amount),
+            pending: {
+                count: pending.length,
+                amount: round(pending.reduce((sum, payment) => sum + payment.amount, 0)),
+                payments: pending
+            },
+            rejected: recorded.filter(payment => payment.status === 'rejected').length,
+            unpaidCollected,
+            refundsDue,
+            payments: confirmed.sort((a, b) => new Date(a.confirmedAt) - new Date(b.confirmedAt))
+        };
+    }
+
+    /**
+     * Unpaid orders above REQUIRE_PAYMENT_ABOVE wait for payment before their jobs print.
+     * @returns {object|null} The order holding the job back, or null when it may print.
+     */
+    paymentHold(job) {
+        if (!(config.requirePaymentAbove > 0) || !job || !job.data || !job.data.orderId) return null;
+        const order = orderManager.getOrder(job.data.orderId);
+        if (!order || order.paid || order.total <= config.requirePaymentAbove) return null;
+        return order;
+    }
+
+    _requirePending(id) {
+        const payment = this.getPayment(id);
+        if (!payment) {
+            throw new Error(`Payment ${id} not found`);
+        }
+        if (payment.status !== 'pending') {
+            throw new Error(`Payment ${id} is already ${payment.status}`);
+        }
+        return payment;
+    }
+
+    _charged(order) {
+        return round(order.items
+            .filter(item => item.status !== 'cancelled')
+            .reduce((sum, item) => sum + (item.amount || 0), 0));
+    }
+
+    _paidIn(order) {
+        return round(this.getPayments({ orderId: order.id, status: 'confirmed' })
+            .reduce((sum, payment) => sum + payment.amount, 0));
+    }
+
+    _settle(payment) {
+        const order = orderManager.getOrder(payment.orderId);
+        if (!order || order.paid || this.outstanding(order) > 0) return;
+        orderManager.markPaid(order.id, {
+            method: payment.method,
+            reference: payment.reference,
+            by: payment.confirmedBy
+        });
+    }
+}
+
+module.exports = new PaymentLedger();
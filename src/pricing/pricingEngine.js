@@ -0,0 +1,113 @@
+const rateCard = require('./rateCard');
+const documentManager = require('../storage/documentManager');
+const pageRanges = require('../parser/pageRanges');
+const printerManager = require('../printer/printerManager');
+const imposition = require('../processing/imposition');
+
+function round(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+class PricingEngine {
+    /**
+     * Price a job from its instructions and the document's page count.
+     * @param {object} instructions - Parsed job instructions.
+     * @param {number} pageCount - Pages in the document.
+     * @param {object} card - Rate card (see rateCard.js).
+     * @returns {object} quote with a line-item breakdown and total.
+     */
+    calculate(instructions = {}, pageCount, card) {
+        const copies = Math.max(1, parseInt(instructions.copies, 10) || 1);
+        const paperSize = String(instructions.paperSize || 'a4').toLowerCase();
+        const paperType = String(instructions.paperType || 'plain').toLowerCase();
+        const allPages = Array.from({ length: pageCount }, (_, i) => i + 1);
+
+        // Price what actually gets printed: the selected pages, split into colour and mono
+        const printed = pageRanges.resolve(instructions.pages, pageCount) || allPages;
+        let colorSet;
+        if (pageRanges.hasPages(instructions.colorPages)) {
+            colorSet = new Set(pageRanges.resolve(instructions.colorPages, pageCount) || []);
+        } else {
+            colorSet = new Set(printerManager.needsColor(instructions) ? allPages : []);
+        }
+        // N-up and booklets print several pages on each side; a side is colour if any page on it is
+        const sides = imposition.needsImposition(instructions)
+            ? imposition.planSides(printed, instructions)
+            : printed.map(page => [page]);
+        const colorPages = imposition.mapPages(sides, printed.filter(page => colorSet.has(page))).length;
+        const monoPages = sides.length - colorPages;
+        const totalSides = sides.length * copies;
+
+        const lines = [];
+        const add = (label, amount) => {
+            if (amount !== 0) lines.push({ label, amount: round(amount) });
+        };
+
+        add(`${monoPages} mono × ${copies} @ ${card.symbol}${card.perPage.mono}`, monoPages * copies * card.perPage.mono);
+        add(`${colorPages} colour × ${copies} @ ${card.symbol}${card.perPage.color}`, colorPages * copies * card.perPage.color);
+
+        const paperSurcharge = (card.paperSizeSurcharge[paperSize] || 0) + (card.paperTypeSurcharge[paperType] || 0);
+        add(`${paperSize.toUpperCase()} ${paperType} paper × ${totalSides}`, totalSides * paperSurcharge);
+
+        const pageTotal = lines.reduce((sum, line) => sum + line.amount, 0);
+
+        if (instructions.duplex && sides.length > 1) {
+            add(`Front & back (-${Math.round(card.duplexDiscount * 100)}%)`, -pageTotal * card.duplexDiscount);
+        }
+
+        const tier = card.bulkTiers.filter(t => totalSides >= t.minPages).pop();
+        if (tier) {
+            add(`Bulk ${tier.minPages}+ pages (-${Math.round(tier.discount * 100)}%)`, -pageTotal * tier.discount);
+        }
+
+        const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+        if (instructions.priority === 'urgent') {
+            add(`Urgent (+${Math.round(card.urgentSurcharge * 100)}%)`, subtotal * card.urgentSurcharge);
+        }
+
+        let total = round(lines.reduce((sum, line) => sum + line.amount, 0));
+        if (total < card.minimumCharge) {
+            add('Minimum charge', card.minimumCharge - total);
+            total = round(card.minimumCharge);
+        }
+
+        return {
+            currency: card.currency,
+            symbol: card.symbol,
+            pageCount,
+            printedPages: sides.length,
+            colorPages,
+            monoPages,
+            copies,
+            sheets: (instructions.duplex ? Math.ceil(sides.length / 2) : sides.length) * copies,
+            lines,
+            total,
+            quotedAt: new Date().toISOString()
+        };
+    }
+
+    async quote(instructions, pageCount) {
+        return this.calculate(instructions, pageCount, await rateCard.get());
+    }
+
+    async quoteDocument(fileId, instructions) {
+        // Images and other single-sheet uploads count as one page
+        const pageCount = await documentManager.getPageCount(fileId);
+        if (!pageCount) {
+            throw new Error('Could not read the page count of this document');
+        }
+        return this.quote(instructions, pageCount);
+    }
+
+    formatAmount(amount, card = { symbol: '₹' }) {
+        return `${amount < 0 ? '-' : ''}${card.symbol}${Math.abs(amount).toFixed(2)}`;
+    }
+
+    // Multi-line breakdown for WhatsApp messages
+    formatQuote(quote) {
+        const lines = quote.lines.map(line => `  • ${line.label}: ${this.formatAmount(line.amount, quote)}`);
+        return `💰 Price: ${this.formatAmount(quote.total, quote)}\n${lines.join('\n')}`;
+    }
+}
+
+module.exports = new PricingEngine();
@@ -0,0 +1,114 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../../config');
+
+// Shop defaults. Staff overrides live in <dataPath>/rate-card.json and are merged on top,
+// so a saved card only needs the values that differ from these.
+const DEFAULT_RATE_CARD = {
+    currency: 'INR',
+    symbol: '₹',
+    // Per printed page side
+    perPage: {
+        mono: 2,
+        color: 10
+    },
+    // Added to every page side
+    paperSizeSurcharge: {
+        a5: 0,
+        a4: 0,
+        letter: 0,
+        legal: 1,
+        a3: 8
+    },
+    paperTypeSurcharge: {
+        plain: 0,
+        glossy: 5,
+        photo: 15
+    },
+    // Fraction taken off page charges for front & back printing
+    duplexDiscount: 0.1,
+    // Fraction added to the subtotal for urgent jobs
+    urgentSurcharge: 0.25,
+    // Fraction off page charges once a job reaches minPages printed sides (highest tier wins)
+    bulkTiers: [
+        { minPages: 100, discount: 0.05 },
+        { minPages: 500, discount: 0.1 }
+    ],
+    minimumCharge: 5
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function merge(base, overrides) {
+    const result = { ...base };
+    for (const [key, value] of Object.entries(overrides || {})) {
+        result[key] = isPlainObject(value) && isPlainObject(base[key]) ? merge(base[key], value) : value;
+    }
+    return result;
+}
+
+function validate(card) {
+    const rates = [card.perPage.mono, card.perPage.color]
+        .concat(Object.values(card.paperSizeSurcharge), Object.values(card.paperTypeSurcharge), [card.minimumCharge]);
+    if (rates.some(rate => typeof rate !== 'number' || !Number.isFinite(rate) || rate < 0)) {
+        throw new Error('Rates must be non-negative numbers');
+    }
+    for (const fraction of [card.duplexDiscount, card.urgentSurcharge]) {
+        if (typeof fraction !== 'number' || fraction < 0 || fraction > 1) {
+            throw new Error('Discounts and surcharges must be fractions between 0 and 1');
+        }
+    }
+    if (!Array.isArray(card.bulkTiers) || card.bulkTiers.some(tier => !(tier.minPages > 0) || !(tier.discount >= 0 && tier.discount < 1))) {
+        throw new Error('Bulk tiers must be a list of { minPages, discount }');
+    }
+}
+
+class RateCard {
+    constructor() {
+        const baseData = path.isAbsolute(config.dataPath) ? config.dataPath : path.join(process.cwd(), config.dataPath);
+        this.filePath = path.join(baseData, 'rate-card.json');
+        this.card = null;
+    }
+
+    async load() {
+        try {
+            const saved = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+            this.card = merge(DEFAULT_RATE_CARD, saved);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Error loading rate card, using defaults:', error.message);
+            }
+            this.card = merge(DEFAULT_RATE_CARD, {});
+        }
+        return this.card;
+    }
+
+    async get() {
+        return this.card || this.load();
+    }
+
+    /**
+     * Apply shop edits to the rate card and persist them.
+     * @param {object} changes - Partial rate card; nested objects are merged.
+     */
+    async update(changes) {
+        const card = merge(await this.get(), changes);
+        validate(card);
+        card.bulkTiers = [...card.bulkTiers].sort((a, b) => a.minPages - b.minPages);
+
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(this.filePath, JSON.stringify(card, null, 2));
+        this.card = card;
+        return card;
+    }
+
+    async reset() {
+        await fs.rm(this.filePath, { force: true });
+        return this.load();
+    }
+}
+
+module.exports = new RateCard();
+module.exports.DEFAULT_RATE_CARD = DEFAULT_RATE_CARD;
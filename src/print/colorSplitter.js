@@ -0,0 +1,80 @@
+const path = require('path');
+const pdfPages = require('../processing/pdfPages');
+const pageRanges = require('../parser/pageRanges');
+
+class ColorSplitter {
+    /**
+     * Work out whether a job should be split into colour and mono parts.
+     * @param {object} instructions - Job instructions (uses colorPages).
+     * @param {number} pageCount - Pages in the document.
+     * @param {number[]|null} selectedPages - Pages being printed; null for all of them.
+     * @returns {{ pageCount: number, parts: Array<{ kind: string, pages: number[] }> }|null}
+     *          null when the selection can go to a single printer.
+     */
+    plan(instructions = {}, pageCount, selectedPages = null) {
+        if (!pageCount || !pageRanges.hasPages(instructions.colorPages)) return null;
+
+        const pages = selectedPages || Array.from({ length: pageCount }, (_, i) => i + 1);
+        const colorSet = new Set(pageRanges.resolve(instructions.colorPages, pageCount) || []);
+
+        const color = pages.filter(page => colorSet.has(page));
+        const mono = pages.filter(page => !colorSet.has(page));
+        if (color.length === 0 || mono.length === 0) return null;
+
+        return {
+            pageCount,
+            parts: [
+                { kind: 'color', pages: color },
+                { kind: 'mono', pages: mono }
+            ]
+        };
+    }
+
+    async planForDocument(document, instructions = {}) {
+        if (path.extname(document.path).toLowerCase() !== '.pdf') return null;
+        if (!pageRanges.hasPages(instructions.colorPages)) return null;
+
+        const pageCount = await pdfPages.getPageCount(document.buffer);
+        return this.plan(instructions, pageCount, pageRanges.resolve(instructions.pages, pageCount));
+    }
+
+    // [1, 2, 3, 7, 9, 10] -> "1-3, 7, 9-10"
+    formatPages(pages) {
+        return pageRanges.format(pages);
+    }
+
+    /**
+     * Tell the operator how to merge the two output stacks back into page order,
+     * e.g. "p1-4 Canon 6565 → p5 Epson 3250 → p6-40 Canon 6565".
+     * @param {object} plan - Result of plan().
+     * @param {object} printers - { color: printerName, mono: printerName }
+     */
+    buildCollationHint(plan, printers = {}) {
+        const kindOf = new Map();
+        for (const part of plan.parts) {
+            for (const page of part.pages) kindOf.set(page, part.kind);
+        }
+
+        // Only the printed pages, so a selection like "3-10" starts the hint at p3
+        const printed = Array.from(kindOf.keys()).sort((a, b) => a - b);
+        const runs = [];
+        for (const page of printed) {
+            const kind = kindOf.get(page);
+            const last = runs[runs.length - 1];
+            if (last && last.kind === kind && page === last.to + 1) {
+                last.to = page;
+            } else {
+                runs.push({ kind, from: page, to: page });
+            }
+        }
+
+        const steps = runs.map(run => {
+            const pages = run.from === run.to ? `p${run.from}` : `p${run.from}-${run.to}`;
+            const label = run.kind === 'color' ? 'colour' : 'mono';
+            return `${pages} ${printers[run.kind] || label}`;
+        });
+        return `Collate in page order: ${steps.join(' → ')}`;
+    }
+}
+
+module.exports = new ColorSplitter();
@@ -0,0 +1,236 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { sendRequest, isSuccess } = require('./ippProtocol');
+
+const PRINTER_STATES = { 3: 'idle', 4: 'processing', 5: 'stopped' };
+const JOB_STATES = {
+    3: 'pending',
+    4: 'held',
+    5: 'processing',
+    6: 'stopped',
+    7: 'cancelled',
+    8: 'aborted',
+    9: 'completed'
+};
+
+// IPP media keywords (PWG 5101.1) for our paper sizes
+const MEDIA = {
+    a3: 'iso_a3_297x420mm',
+    a4: 'iso_a4_210x297mm',
+    a5: 'iso_a5_148x210mm',
+    letter: 'na_letter_8.5x11in',
+    legal: 'na_legal_8.5x14in'
+};
+
+const DOCUMENT_FORMATS = {
+    '.pdf': 'application/pdf',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.txt': 'text/plain'
+};
+
+// CUPS/IPP backend. Works against a CUPS scheduler or any IPP server
+// (e.g. ippeveprinter or a local stand-in) reachable at `url`.
+class CupsBackend {
+    constructor({ url = 'http://localhost:631', username = 'inkoro', timeout = 30000 } = {}) {
+        this.name = 'cups';
+        this.url = url.replace(/\/+$/, '');
+        this.username = username;
+        this.timeout = timeout;
+    }
+
+    printerUri(printerName) {
+        const base = new URL(this.url);
+        const scheme = base.protocol === 'https:' || base.protocol === 'ipps:' ? 'ipps' : 'ipp';
+        return `${scheme}://${base.host}/printers/${encodeURIComponent(printerName)}`;
+    }
+
+    printerUrl(printerName) {
+        return `${this.url}/printers/${encodeURIComponent(printerName)}`;
+    }
+
+    operationAttributes(printerName, extra = []) {
+        const attrs = [
+            { name: 'attributes-charset', type: 'charset', value: 'utf-8' },
+            { name: 'attributes-natural-language', type: 'naturalLanguage', value: 'en' }
+        ];
+        if (printerName !== undefined) {
+            attrs.push({ name: 'printer-uri', type: 'uri', value: printerName ? this.printerUri(printerName) : this.url.replace(/^http/, 'ipp') });
+        }
+        attrs.push({ name: 'requesting-user-name', type: 'name', value: this.username });
+        return attrs.concat(extra);
+    }
+
+    async request(url, operation, groups, data = null) {
+        const response = await sendRequest(url, operation, groups, data, { timeout: this.timeout });
+        if (!isSuccess(response)) {
+            const message = response.operation['status-message'] || response.status;
+            const error = new Error(`IPP ${operation} failed: ${message}`);
+            error.ippStatus = response.status;
+            throw error;
+        }
+        return response;
+    }
+
+    toPrinterInfo(attrs) {
+        const state = PRINTER_STATES[attrs['printer-state']] || 'unknown';
+        const accepting = attrs['printer-is-accepting-jobs'] !== false;
+        return {
+            name: attrs['printer-name'],
+            info: attrs['printer-info'] || null,
+            status: accepting ? state : 'rejecting',
+            available: accepting && state !== 'stopped',
+            reasons: [].concat(attrs['printer-state-reasons'] || []),
+            colorSupported: attrs['color-supported'] === true,
+            mediaSupported: [].concat(attrs['media-supported'] || [])
+        };
+    }
+
+    async discoverPrinters() {
+        const requested = {
+            name: 'requested-attributes',
+            type: 'keyword',
+            value: ['printer-name', 'printer-info', 'printer-state', 'printer-state-reasons',
+                'printer-is-accepting-jobs', 'color-supported', 'media-supported']
+        };
+
+        try {
+            const response = await this.request(this.url, 'CUPS-Get-Printers', {
+                operation: this.operationAttributes(undefined, [requested])
+            });
+            return response.printers.map(attrs => this.toPrinterInfo(attrs));
+        } catch (error) {
+            if (error.ippStatus !== 'server-error-operation-not-supported') throw error;
+            // Plain IPP servers have no printer directory: the URL is the printer itself
+            const response = await this.request(this.url, 'Get-Printer-Attributes', {
+                operation: this.operationAttributes(null, [requested])
+            });
+            return response.printers.map(attrs => this.toPrinterInfo(attrs));
+        }
+    }
+
+    async getDefaultPrinter() {
+        try {
+            const response = await this.request(this.url, 'CUPS-Get-Default', {
+                operation: this.operationAttributes(undefined, [
+                    { name: 'requested-attributes', type: 'keyword', value: ['printer-name'] }
+                ])
+            });
+            return response.printers[0] ? response.printers[0]['printer-name'] : null;
+        } catch (error) {
+            if (error.ippStatus === 'client-error-not-found' || error.ippStatus === 'server-error-operation-not-supported') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    getFallbackPrinter() {
+        return null;
+    }
+
+    async getPrinterStatus(printerName) {
+        const response = await this.request(this.printerUrl(printerName), 'Get-Printer-Attributes', {
+            operation: this.operationAttributes(printerName, [
+                { name: 'requested-attributes', type: 'keyword', value: ['printer-name', 'printer-state', 'printer-state-reasons', 'printer-state-message', 'printer-is-accepting-jobs'] }
+            ])
+        });
+        const attrs = response.printers[0] || {};
+        const info = this.toPrinterInfo({ 'printer-name': printerName, ...attrs });
+        const reasons = info.reasons.filter(r => r && r !== 'none');
+        const isReady = info.available && info.status !== 'rejecting';
+
+        return {
+            name: printerName,
+            status: isReady ? 'ready' : 'not_ready',
+            details: [info.status].concat(reasons).join(', '),
+            message: attrs['printer-state-message'] || (isReady ? 'Printer is ready' : `Printer status: ${info.status}`)
+        };
+    }
+
+    buildJobAttributes(options) {
+        const {
+            copies = 1,
+            paperSize = 'a4',
+            duplex = false,
+            orientation = null,
+            color
+        } = options;
+
+        // Landscape sheets (2-up, booklets) turn over on the short edge so the back is not upside down
+        const twoSided = orientation === 'landscape' ? 'two-sided-short-edge' : 'two-sided-long-edge';
+        const attrs = [
+            { name: 'copies', type: 'integer', value: copies },
+            { name: 'sides', type: 'keyword', value: duplex ? twoSided : 'one-sided' },
+            { name: 'print-color-mode', type: 'keyword', value: color ? 'color' : 'monochrome' }
+        ];
+        const media = MEDIA[String(paperSize).toLowerCase()];
+        if (media) {
+            attrs.push({ name: 'media', type: 'keyword', value: media });
+        }
+        return attrs;
+    }
+
+    async submitJob(filePath, options, printerName) {
+        const data = await fs.readFile(filePath);
+        const format = DOCUMENT_FORMATS[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+
+        const response = await this.request(this.printerUrl(printerName), 'Print-Job', {
+            operation: this.operationAttributes(printerName, [
+                { name: 'job-name', type: 'name', value: options.jobName || path.basename(filePath) },
+                { name: 'document-format', type: 'mimeMediaType', value: format }
+            ]),
+            job: this.buildJobAttributes(options)
+        }, data);
+
+        const job = response.jobs[0] || {};
+        return {
+            jobId: job['job-id'] || null,
+            state: JOB_STATES[job['job-state']] || 'pending',
+            uri: job['job-uri'] || null
+        };
+    }
+
+    async getJobs(printerName) {
+        const response = await this.request(this.printerUrl(printerName), 'Get-Jobs', {
+            operation: this.operationAttributes(printerName, [
+                { name: 'which-jobs', type: 'keyword', value: 'not-completed' },
+                { name: 'requested-attributes', type: 'keyword', value: ['job-id', 'job-name', 'job-state'] }
+            ])
+        });
+        return response.jobs.map(job => ({
+            id: job['job-id'],
+            name: job['job-name'] || null,
+            status: JOB_STATES[job['job-state']] || 'unknown'
+        }));
+    }
+
+    async getJobStatus(jobId, printerName) {
+        const response = await this.request(this.printerUrl(printerName), 'Get-Job-Attributes', {
+            operation: this.operationAttributes(printerName, [
+                { name: 'job-id', type: 'integer', value: Number(jobId) },
+                { name: 'requested-attributes', type: 'keyword', value: ['job-id', 'job-state', 'job-state-reasons'] }
+            ])
+        });
+        const job = response.jobs[0] || {};
+        return {
+            id: job['job-id'] || Number(jobId),
+            state: JOB_STATES[job['job-state']] || 'unknown',
+            reasons: [].concat(job['job-state-reasons'] || [])
+        };
+    }
+
+    async cancelJob(jobId, printerName) {
+        await this.request(this.printerUrl(printerName), 'Cancel-Job', {
+            operation: this.operationAttributes(printerName, [
+                { name: 'job-id', type: 'integer', value: Number(jobId) }
+            ])
+        });
+        return { success: true, message: 'Job cancelled successfully' };
+    }
+}
+
+CupsBackend.MEDIA = MEDIA;
+
+module.exports = CupsBackend;
@@ -0,0 +1,27 @@
+const config = require('../../../config');
+const WindowsBackend = require('./windowsBackend');
+const CupsBackend = require('./cupsBackend');
+
+// Print backends share one interface:
+//   discoverPrinters() -> [{ name, info, status, available }]
+//   getDefaultPrinter() -> name | null, getFallbackPrinter() -> name | null
+//   getPrinterStatus(name), submitJob(filePath, options, name) -> { jobId, state }
+//   getJobs(name), getJobStatus(jobId, name), cancelJob(jobId, name)
+const BACKENDS = {
+    windows: () => new WindowsBackend(),
+    cups: () => new CupsBackend({ url: config.cupsUrl, username: config.cupsUser })
+};
+
+function createBackend(name = config.printBackend) {
+    const factory = BACKENDS[name];
+    if (!factory) {
+        throw new Error(`Unknown print backend: ${name}. Available: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+    return factory();
+}
+
+module.exports = {
+    createBackend,
+    WindowsBackend,
+    CupsBackend
+};
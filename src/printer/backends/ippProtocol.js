@@ -0,0 +1,341 @@
+const http = require('http');
+const https = require('https');
+
+// Minimal IPP/1.1-2.0 codec (RFC 8010) covering what the CUPS backend needs:
+// printer discovery, job submission, job attributes and cancellation.
+
+const OPERATIONS = {
+    'Print-Job': 0x0002,
+    'Validate-Job': 0x0004,
+    'Cancel-Job': 0x0008,
+    'Get-Job-Attributes': 0x0009,
+    'Get-Jobs': 0x000A,
+    'Get-Printer-Attributes': 0x000B,
+    'CUPS-Get-Default': 0x4001,
+    'CUPS-Get-Printers': 0x4002
+};
+
+const DELIMITERS = {
+    operation: 0x01,
+    job: 0x02,
+    end: 0x03,
+    printer: 0x04,
+    unsupported: 0x05
+};
+
+const VALUE_TAGS = {
+    unsupported: 0x10,
+    unknown: 0x12,
+    noValue: 0x13,
+    integer: 0x21,
+    boolean: 0x22,
+    enum: 0x23,
+    octetString: 0x30,
+    dateTime: 0x31,
+    resolution: 0x32,
+    rangeOfInteger: 0x33,
+    begCollection: 0x34,
+    textWithLanguage: 0x35,
+    nameWithLanguage: 0x36,
+    endCollection: 0x37,
+    text: 0x41,
+    name: 0x42,
+    keyword: 0x44,
+    uri: 0x45,
+    uriScheme: 0x46,
+    charset: 0x47,
+    naturalLanguage: 0x48,
+    mimeMediaType: 0x49,
+    memberAttrName: 0x4A
+};
+
+const STATUS_CODES = {
+    0x0000: 'successful-ok',
+    0x0001: 'successful-ok-ignored-or-substituted-attributes',
+    0x0002: 'successful-ok-conflicting-attributes',
+    0x0400: 'client-error-bad-request',
+    0x0401: 'client-error-forbidden',
+    0x0402: 'client-error-not-authenticated',
+    0x0403: 'client-error-not-authorized',
+    0x0404: 'client-error-not-possible',
+    0x0405: 'client-error-timeout',
+    0x0406: 'client-error-not-found',
+    0x040A: 'client-error-document-format-not-supported',
+    0x040B: 'client-error-attributes-or-values-not-supported',
+    0x0500: 'server-error-internal-error',
+    0x0501: 'server-error-operation-not-supported',
+    0x0506: 'server-error-not-accepting-jobs',
+    0x0507: 'server-error-busy'
+};
+
+const GROUP_NAMES = Object.fromEntries(Object.entries(DELIMITERS).map(([name, tag]) => [tag, name]));
+
+function encodeValue(type, value) {
+    switch (type) {
+        case 'integer':
+        case 'enum': {
+            const buf = Buffer.alloc(4);
+            buf.writeInt32BE(value);
+            return buf;
+        }
+        case 'boolean':
+            return Buffer.from([value ? 1 : 0]);
+        case 'rangeOfInteger': {
+            const buf = Buffer.alloc(8);
+            buf.writeInt32BE(value[0]);
+            buf.writeInt32BE(value[1], 4);
+            return buf;
+        }
+        default:
+            return Buffer.from(String(value), 'utf8');
+    }
+}
+
+function encodeAttribute(attr) {
+    const tag = VALUE_TAGS[attr.type];
+    if (tag === undefined) {
+        throw new Error(`Unsupported IPP value type: ${attr.type}`);
+    }
+    // A rangeOfInteger value is itself a [lower, upper] pair, so a set of them is an array of pairs
+    const isSet = attr.type === 'rangeOfInteger' ? Array.isArray(attr.value[0]) : Array.isArray(attr.value);
+    const values = isSet ? attr.value : [attr.value];
+
+    const parts = [];
+    values.forEach((value, index) => {
+        const name = index === 0 ? Buffer.from(attr.name, 'utf8') : Buffer.alloc(0);
+        const encoded = encodeValue(attr.type, value);
+        const header = Buffer.alloc(3);
+        header.writeUInt8(tag, 0);
+        header.writeUInt16BE(name.length, 1);
+        const valueLength = Buffer.alloc(2);
+        valueLength.writeUInt16BE(encoded.length);
+        parts.push(header, name, valueLength, encoded);
+    });
+    return Buffer.concat(parts);
+}
+
+/**
+ * Encode an IPP request.
+ * @param {string} operation - Operation name from OPERATIONS.
+ * @param {object} groups - { operation: [attr], job: [attr] } where attr is { name, type, value }.
+ * @param {number} requestId
+ * @returns {Buffer}
+ */
+function encodeRequest(operation, groups = {}, requestId = 1) {
+    const operationId = OPERATIONS[operation];
+    if (!operationId) {
+        throw new Error(`Unknown IPP operation: ${operation}`);
+    }
+
+    const header = Buffer.alloc(8);
+    header.writeUInt16BE(0x0200, 0); // IPP/2.0
+    header.writeUInt16BE(operationId, 2);
+    header.writeUInt32BE(requestId, 4);
+
+    const parts = [header];
+    for (const [groupName, attributes] of Object.entries(groups)) {
+        if (!attributes || attributes.length === 0) continue;
+        parts.push(Buffer.from([DELIMITERS[groupName]]));
+        for (const attr of attributes) {
+            if (attr.value === undefined || attr.value === null) continue;
+            parts.push(encodeAttribute(attr));
+        }
+    }
+    parts.push(Buffer.from([DELIMITERS.end]));
+    return Buffer.concat(parts);
+}
+
+function decodeValue(tag, buf) {
+    switch (tag) {
+        case VALUE_TAGS.integer:
+        case VALUE_TAGS.enum:
+            return buf.readInt32BE(0);
+        case VALUE_TAGS.boolean:
+            return buf.readUInt8(0) !== 0;
+        case VALUE_TAGS.rangeOfInteger:
+            return [buf.readInt32BE(0), buf.readInt32BE(4)];
+        case VALUE_TAGS.resolution:
+            return { x: buf.readInt32BE(0), y: buf.readInt32BE(4), units: buf.readInt8(8) === 3 ? 'dpi' : 'dpcm' };
+        case VALUE_TAGS.dateTime:
+            return buf.length >= 8
+                ? new Date(Date.UTC(buf.readUInt16BE(0), buf.readUInt8(2) - 1, buf.readUInt8(3), buf.readUInt8(4), buf.readUInt8(5), buf.readUInt8(6)))
+                : null;
+        case VALUE_TAGS.textWithLanguage:
+        case VALUE_TAGS.nameWithLanguage: {
+            const langLength = buf.readUInt16BE(0);
+            const textLength = buf.readUInt16BE(2 + langLength);
+            return buf.slice(4 + langLength, 4 + langLength + textLength).toString('utf8');
+        }
+        case VALUE_TAGS.unsupported:
+        case VALUE_TAGS.unknown:
+        case VALUE_TAGS.noValue:
+            return null;
+        default:
+            return buf.toString('utf8');
+    }
+}
+
+const SET_OF = Symbol('setOf');
+
+// Single-valued attributes stay scalars; additional values turn them into arrays
+function addValue(target, name, value) {
+    if (!(name in target)) {
+        target[name] = value;
+    } else if (Array.isArray(target[name]) && target[name][SET_OF]) {
+        target[name].push(value);
+    } else {
+        const set = [target[name], value];
+        set[SET_OF] = true;
+        target[name] = set;
+    }
+}
+
+/**
+ * Decode an IPP response into { version, statusCode, status, requestId, operation, printers, jobs, unsupported }.
+ * Repeated printer/job groups (Get-Jobs, CUPS-Get-Printers) become arrays.
+ */
+function decodeResponse(buf) {
+    if (!buf || buf.length < 9) {
+        throw new Error('Truncated IPP response');
+    }
+
+    const response = {
+        version: `${buf.readUInt8(0)}.${buf.readUInt8(1)}`,
+        statusCode: buf.readUInt16BE(2),
+        requestId: buf.readUInt32BE(4),
+        operation: {},
+        printers: [],
+        jobs: [],
+        unsupported: {}
+    };
+    response.status = STATUS_CODES[response.statusCode] || `0x${response.statusCode.toString(16).padStart(4, '0')}`;
+
+    let offset = 8;
+    let current = null;
+    let lastName = null;
+    // Stack of open collections: { target, memberName }
+    const collections = [];
+
+    while (offset < buf.length) {
+        const tag = buf.readUInt8(offset);
+        offset += 1;
+
+        if (tag <= 0x0F) {
+            if (tag === DELIMITERS.end) break;
+            const groupName = GROUP_NAMES[tag];
+            current = {};
+            if (groupName === 'printer') response.printers.push(current);
+            else if (groupName === 'job') response.jobs.push(current);
+            else if (groupName === 'operation') current = response.operation;
+            else if (groupName === 'unsupported') current = response.unsupported;
+            continue;
+        }
+
+        const nameLength = buf.readUInt16BE(offset);
+        offset += 2;
+        const name = buf.slice(offset, offset + nameLength).toString('utf8');
+        offset += nameLength;
+        const valueLength = buf.readUInt16BE(offset);
+        offset += 2;
+        const raw = buf.slice(offset, offset + valueLength);
+        offset += valueLength;
+
+        if (!current) continue;
+
+        if (tag === VALUE_TAGS.begCollection) {
+            const collection = {};
+            if (collections.length > 0) {
+                const parent = collections[collections.length - 1];
+                addValue(parent.target, name || parent.memberName, collection);
+            } else {
+                if (name) lastName = name;
+                addValue(current, lastName, collection);
+            }
+            collections.push({ target: collection, memberName: null });
+            continue;
+        }
+        if (tag === VALUE_TAGS.endCollection) {
+            collections.pop();
+            continue;
+        }
+        if (collections.length > 0) {
+            const open = collections[collections.length - 1];
+            if (tag === VALUE_TAGS.memberAttrName) {
+                open.memberName = raw.toString('utf8');
+            } else {
+                addValue(open.target, open.memberName, decodeValue(tag, raw));
+            }
+            continue;
+        }
+
+        if (name) lastName = name;
+        addValue(current, lastName, decodeValue(tag, raw));
+    }
+
+    return response;
+}
+
+/**
+ * POST an IPP request to the given http(s)/ipp(s) URL and decode the response.
+ * @param {string} url - Endpoint, e.g. http://localhost:631/printers/Canon_6565
+ * @param {string} operation
+ * @param {object} groups
+ * @param {Buffer|null} data - Document data appended after the attributes.
+ * @param {object} options - { timeout }
+ */
+function sendRequest(url, operation, groups, data = null, options = {}) {
+    const { timeout = 30000 } = options;
+    const target = new URL(url.replace(/^ipp:/, 'http:').replace(/^ipps:/, 'https:'));
+    if (!target.port && (url.startsWith('ipp:') || url.startsWith('ipps:'))) {
+        target.port = '631';
+    }
+    const body = data
+        ? Buffer.concat([encodeRequest(operation, groups, sendRequest.nextId++), data])
+        : encodeRequest(operation, groups, sendRequest.nextId++);
+    const transport = target.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+        const req = transport.request({
+            hostname: target.hostname,
+            port: target.port,
+            path: target.pathname + target.search,
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/ipp',
+                'Content-Length': body.length
+            },
+            timeout
+        }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                if (res.statusCode !== 200) {
+                    return reject(new Error(`IPP HTTP error ${res.statusCode} from ${target.host}${target.pathname}`));
+                }
+                try {
+                    resolve(decodeResponse(Buffer.concat(chunks)));
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        });
+        req.on('timeout', () => req.destroy(new Error(`IPP request to ${target.host} timed out`)));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+sendRequest.nextId = 1;
+
+function isSuccess(response) {
+    return response.statusCode < 0x0100;
+}
+
+module.exports = {
+    OPERATIONS,
+    VALUE_TAGS,
+    STATUS_CODES,
+    encodeRequest,
+    decodeResponse,
+    sendRequest,
+    isSuccess
+};
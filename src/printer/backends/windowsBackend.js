@@ -0,0 +1,157 @@
+const { exec } = require('child_process');
+const util = require('util');
+const execPromise = util.promisify(exec);
+
+const PDF_PRINTER = 'Microsoft Print to PDF';
+
+// Windows spooler backend: talks to wmic and the built-in `print` command
+class WindowsBackend {
+    constructor() {
+        this.name = 'windows';
+    }
+
+    async discoverPrinters() {
+        // Get all installed printers from Windows
+        const { stdout } = await execPromise('wmic printer get name,status');
+        const lines = stdout.split('\n').filter(line => line.trim() && !line.includes('Name'));
+
+        const printers = [];
+        for (const line of lines) {
+            const parts = line.trim().split(/\s+/);
+            if (parts.length >= 2) {
+                const status = parts[parts.length - 1].toLowerCase();
+                printers.push({
+                    name: parts.slice(0, -1).join(' '),
+                    status,
+                    available: status === 'ok' || status === 'ready'
+                });
+            }
+        }
+        return printers;
+    }
+
+    async getDefaultPrinter() {
+        const { stdout } = await execPromise('wmic printer where default=true get name');
+        const lines = stdout.split('\n').filter(line => line.trim());
+        return lines.length > 1 ? lines[1].trim() : null;
+    }
+
+    getFallbackPrinter() {
+        return PDF_PRINTER;
+    }
+
+    async getPrinterStatus(printerName) {
+        // Special handling for Microsoft Print to PDF
+        if (printerName === PDF_PRINTER) {
+            return {
+                name: printerName,
+                status: 'ready',
+                details: 'PDF printer is ready',
+                message: 'PDF printer is ready to accept jobs'
+            };
+        }
+
+        const { stdout } = await execPromise(`wmic printer where name="${printerName}" get status`);
+        const lines = stdout.split('\n').filter(line => line.trim());
+
+        if (lines.length <= 1) {
+            return {
+                name: printerName,
+                status: 'not_ready',
+                details: 'Printer not responding',
+                message: 'Printer is not responding to status check'
+            };
+        }
+
+        const status = lines[1].trim().toLowerCase();
+        const isReady = status === 'ready' || status === 'idle' || status === 'online';
+
+        return {
+            name: printerName,
+            status: isReady ? 'ready' : 'not_ready',
+            details: status,
+            message: isReady ? 'Printer is ready' : `Printer status: ${status}`
+        };
+    }
+
+    async submitJob(filePath, options, printerName) {
+        const command = this.buildPrintCommand(filePath, options, printerName);
+        const { stderr } = await execPromise(command);
+
+        if (stderr) {
+            throw new Error(`Print error: ${stderr}`);
+        }
+
+        // The print command does not report a spooler job id
+        return { jobId: null, state: 'pending' };
+    }
+
+    buildPrintCommand(filePath, options, printerName) {
+        const {
+            copies = 1,
+            duplex = false
+        } = options;
+
+        // Base command for Windows
+        let command = `print /d:"${printerName}" "${filePath}"`;
+
+        // Add copies
+        if (copies > 1) {
+            command += ` /c:${copies}`;
+        }
+
+        // Add duplex option
+        if (duplex) {
+            command += ` /o:d`; // d for duplex (double-sided)
+        } else {
+            command += ` /o:s`; // s for simplex (single-sided)
+        }
+
+        return command;
+    }
+
+    async getJobs(printerName) {
+        if (printerName === PDF_PRINTER) {
+            return [];
+        }
+
+        const { stdout } = await execPromise(`wmic printer where name="${printerName}" get jobs`);
+        return this.parsePrintJobs(stdout);
+    }
+
+    parsePrintJobs(output) {
+        const jobs = [];
+        const lines = output.split('\n').slice(1); // Skip header
+
+        for (const line of lines) {
+            if (line.trim()) {
+                const [id, status] = line.trim().split(/\s+/);
+                if (id && status) {
+                    jobs.push({
+                        id,
+                        status: status.toLowerCase()
+                    });
+                }
+            }
+        }
+
+        return jobs;
+    }
+
+    async getJobStatus(jobId, printerName) {
+        const jobs = await this.getJobs(printerName);
+        const job = jobs.find(j => String(j.id) === String(jobId));
+        return job ? { id: job.id, state: job.status } : { id: jobId, state: 'unknown' };
+    }
+
+    async cancelJob(jobId, printerName) {
+        if (printerName === PDF_PRINTER) {
+            return { success: true, message: 'PDF printer jobs cannot be cancelled' };
+        }
+
+        await execPromise(`wmic printer where name="${printerName}" call canceljob ${jobId}`);
+        return { success: true, message: 'Job cancelled successfully' };
+    }
+}
+
+module.exports = WindowsBackend;
@@ -1,26 +1,26 @@
-const printer = require('node-printer');
-const { exec } = require('child_process');
-const util = require('util');
-const execPromise = util.promisify(exec);
+const { createBackend } = require('./backends');
+const pageRanges = require('../parser/pageRanges');
 
 class PrinterManager {
-    constructor() {
+    constructor(backend = createBackend()) {
+        this.backend = backend;
         this.defaultPrinter = null;
         this.availablePrinters = new Map();
-        this.supportedPaperSizes = ['a4', 'a3', 'letter', 'legal'];
+        this.supportedPaperSizes = ['a4', 'a3', 'a5', 'letter', 'legal'];
         this.supportedPaperTypes = ['plain', 'photo', 'glossy'];
         this.initialized = false;
         
         // Define your specific printers with their capabilities
+        // (media: the paper sizes each one can feed; a printer without the list is assumed to take any size)
         this.printerConfig = {
             // Color printers
-            'Epson 3250': { type: 'color', brand: 'epson', model: '3250', capabilities: ['color', 'bw'] },
-            'Epson 3210': { type: 'color', brand: 'epson', model: '3210', capabilities: ['color', 'bw'] },
-            'Epson L500': { type: 'color', brand: 'epson', model: 'L500', capabilities: ['color', 'bw'] },
+            'Epson 3250': { type: 'color', brand: 'epson', model: '3250', capabilities: ['color', 'bw'], media: ['a4', 'a5', 'letter', 'legal'] },
+            'Epson 3210': { type: 'color', brand: 'epson', model: '3210', capabilities: ['color', 'bw'], media: ['a4', 'a5', 'letter', 'legal'] },
+            'Epson L500': { type: 'color', brand: 'epson', model: 'L500', capabilities: ['color', 'bw'], media: ['a4', 'a5', 'letter', 'legal'] },
             
             // Black & White printers
-            'Canon 6565': { type: 'bw', brand: 'canon', model: '6565', capabilities: ['bw'] },
-            'Canon ir6000': { type: 'bw', brand: 'canon', model: 'ir6000', capabilities: ['bw'] }
+            'Canon 6565': { type: 'bw', brand: 'canon', model: '6565', capabilities: ['bw'], media: ['a3', 'a4', 'a5', 'letter', 'legal'] },
+            'Canon ir6000': { type: 'bw', brand: 'canon', model: 'ir6000', capabilities: ['bw'], media: ['a3', 'a4', 'a5', 'letter', 'legal'] }
         };
     }
 
@@ -31,65 +31,75 @@ class PrinterManager {
             // Discover all available printers
             await this.discoverPrinters();
             
-            // Get the default printer name from Windows
-            const { stdout } = await execPromise('wmic printer where default=true get name');
-            const lines = stdout.split('\n').filter(line => line.trim());
+            // Get the default printer name from the backend
+            const systemDefault = await this.backend.getDefaultPrinter();
             
-            if (lines.length > 1) {
-                this.defaultPrinter = lines[1].trim();
+            if (systemDefault) {
+                this.defaultPrinter = this.findConfiguredName({ name: systemDefault }) || systemDefault;
                 console.log(`Default printer set to: ${this.defaultPrinter}`);
             } else {
                 console.warn('No default printer found');
                 // Try to use the first available configured printer
-                const firstAvailable = Array.from(this.availablePrinters.keys())[0];
-                this.defaultPrinter = firstAvailable || 'Microsoft Print to PDF';
+                const firstAvailable = Array.from(this.availablePrinters.values())[0];
+                this.defaultPrinter = firstAvailable ? firstAvailable.queue : this.backend.getFallbackPrinter();
                 console.log(`Using fallback printer: ${this.defaultPrinter}`);
             }
             this.initialized = true;
         } catch (error) {
             console.error('Error initializing printer:', error);
-            this.defaultPrinter = 'Microsoft Print to PDF'; // Fallback to PDF printer
+            this.defaultPrinter = this.backend.getFallbackPrinter();
             console.log(`Using fallback printer: ${this.defaultPrinter}`);
             this.initialized = true;
         }
     }
 
+    // CUPS queue names cannot contain spaces, so "Epson 3250" is usually
+    // installed as "Epson_3250" (with the friendly name in printer-info)
+    normalizePrinterName(name) {
+        return String(name || '').toLowerCase().replace(/[\s_-]+/g, ' ').trim();
+    }
+
+    findConfiguredName(printer) {
+        const candidates = [printer.name, printer.info].filter(Boolean).map(n => this.normalizePrinterName(n));
+        return Object.keys(this.printerConfig).find(name => candidates.includes(this.normalizePrinterName(name))) || null;
+    }
+
     async discoverPrinters() {
         try {
-            // Get all installed printers from Windows
-            const { stdout } = await execPromise('wmic printer get name,status');
-            const lines = stdout.split('\n').filter(line => line.trim() && !line.includes('Name'));
+            const printers = await this.backend.discoverPrinters();
 
             const previousCount = this.availablePrinters.size;
             this.availablePrinters.clear();
 
-            for (const line of lines) {
-                const parts = line.trim().split(/\s+/);
-                if (parts.length >= 2) {
-                    const printerName = parts.slice(0, -1).join(' ');
-                    const status = parts[parts.length - 1];
-
-                    // Check if this printer is in our configured list
-                    if (this.printerConfig[printerName]) {
-                        this.availablePrinters.set(printerName, {
-                            ...this.printerConfig[printerName],
-                            status: status.toLowerCase(),
-                            available: status.toLowerCase() === 'ok' || status.toLowerCase() === 'ready'
-                        });
-                        console.log(`✅ Found configured printer: ${printerName} (${status})`);
-                    }
+            for (const printer of printers) {
+                // Check if this printer is in our configured list
+                const configuredName = this.findConfiguredName(printer);
+                if (configuredName) {
+                    this.availablePrinters.set(configuredName, {
+                        ...this.printerConfig[configuredName],
+                        queue: printer.name,
+                        status: printer.status,
+                        available: printer.available
+                    });
+                    console.log(`✅ Found configured printer: ${configuredName} (${printer.status})`);
                 }
             }
 
             // Only log if the count changed or if this is the first discovery
             if (this.availablePrinters.size !== previousCount || !this.initialized) {
-                console.log(`📊 Discovered ${this.availablePrinters.size} configured printers`);
+                console.log(`📊 Discovered ${this.availablePrinters.size} configured printers via ${this.backend.name}`);
             }
         } catch (error) {
             console.error('Error discovering printers:', error);
         }
     }
 
+    // Resolve a configured printer name to the backend's queue name
+    resolveQueue(printerName) {
+        const printer = this.availablePrinters.get(printerName);
+        return printer ? printer.queue : printerName;
+    }
+
     async getDefaultPrinter() {
         if (!this.defaultPrinter) {
             await this.initializePrinter();
@@ -97,48 +107,18 @@ class PrinterManager {
         return this.defaultPrinter;
     }
 
-    async getPrinterStatus() {
+    async getPrinterStatus(printerName = null) {
         try {
-            const printerName = await this.getDefaultPrinter();
-            if (!printerName) {
+            const name = printerName || await this.getDefaultPrinter();
+            if (!name) {
                 return { 
                     status: 'no_printer',
                     message: 'No printer available'
                 };
             }
 
-            // Special handling for Microsoft Print to PDF
-            if (printerName === 'Microsoft Print to PDF') {
-                return {
-                    name: printerName,
-                    status: 'ready',
-                    details: 'PDF printer is ready',
-                    message: 'PDF printer is ready to accept jobs'
-                };
-            }
-
-            // Get printer status from Windows
-            const { stdout } = await execPromise(`wmic printer where name="${printerName}" get status`);
-            const lines = stdout.split('\n').filter(line => line.trim());
-            
-            if (lines.length <= 1) {
-                return {
-                    name: printerName,
-                    status: 'not_ready',
-                    details: 'Printer not responding',
-                    message: 'Printer is not responding to status check'
-                };
-            }
-
-            const status = lines[1].trim().toLowerCase();
-            const isReady = status === 'ready' || status === 'idle' || status === 'online';
-
-            return {
-                name: printerName,
-                status: isReady ? 'ready' : 'not_ready',
-                details: status,
-                message: isReady ? 'Printer is ready' : `Printer status: ${status}`
-            };
+            const status = await this.backend.getPrinterStatus(this.resolveQueue(name));
+            return { ...status, name, backend: this.backend.name };
         } catch (error) {
             console.error('Error getting printer status:', error);
             return { 
@@ -151,32 +131,28 @@ class PrinterManager {
 
     async printDocument(filePath, options = {}) {
         try {
+            // Validate options
+            this.validateOptions(options);
+
             // Select the best printer for this job
             const selectedPrinter = await this.selectBestPrinter(options);
             if (!selectedPrinter) {
-                throw new Error('No suitable printer available');
+                throw new Error(`No suitable printer available for ${this.describePaper(options)} right now`);
             }
 
             console.log(`🖨️ Selected printer: ${selectedPrinter} for job`);
 
-            // Validate options
-            this.validateOptions(options);
-
-            // Build print command
-            const command = this.buildPrintCommand(filePath, options, selectedPrinter);
-
-            // Execute print command
-            const { stdout, stderr } = await execPromise(command);
-            
-            if (stderr) {
-                throw new Error(`Print error: ${stderr}`);
-            }
+            // Submit to the backend
+            const color = this.needsColor(options);
+            const submission = await this.backend.submitJob(filePath, { ...options, color }, this.resolveQueue(selectedPrinter));
 
             return {
                 success: true,
                 message: `Document sent to ${selectedPrinter} successfully`,
                 printer: selectedPrinter,
-                command
+                backend: this.backend.name,
+                backendJobId: submission.jobId,
+                backendState: submission.state
             };
         } catch (error) {
             console.error('Print error:', error);
@@ -184,12 +160,46 @@ class PrinterManager {
         }
     }
 
+    // An explicit `color` flag (set for split sub-jobs and image batches) wins over colorPages
+    needsColor(options = {}) {
+        const { colorPages = [], paperType = 'plain', color } = options;
+        if (color !== undefined) return !!color;
+        return pageRanges.hasPages(colorPages) || paperType === 'photo';
+    }
+
+    // "A3 paper", "colour on A3 paper"
+    describePaper(options = {}) {
+        const size = `${String(options.paperSize || 'a4').toUpperCase()} paper`;
+        return this.needsColor(options) ? `colour on ${size}` : size;
+    }
+
+    canFeed(printer, paperSize) {
+        if (!paperSize || !printer || !Array.isArray(printer.media)) return true;
+        return printer.media.includes(String(paperSize).toLowerCase());
+    }
+
+    /**
+     * Why no printer in the shop could take a job at all, judged from the configured printers
+     * rather than the ones online, so it can be told to the customer before the job is queued.
+     * @param {object} options - Print instructions (paperSize, colorPages, paperType, color).
+     * @returns {string|null} The reason, or null when some printer can feed the paper.
+     */
+    checkPaperSize(options = {}) {
+        const paperSize = String(options.paperSize || 'a4').toLowerCase();
+        if (!this.supportedPaperSizes.includes(paperSize)) {
+            return `We don't print on ${paperSize.toUpperCase()} paper`;
+        }
+        const needsColor = this.needsColor(options);
+        const feeds = Object.values(this.printerConfig)
+            .some(printer => (!needsColor || printer.capabilities.includes('color')) && this.canFeed(printer, paperSize));
+        return feeds ? null : `None of our ${needsColor ? 'colour ' : ''}printers take ${paperSize.toUpperCase()} paper`;
+    }
+
     async selectBestPrinter(options = {}) {
         try {
             await this.initializePrinter();
             
-            const { colorPages = [], paperType = 'plain' } = options;
-            const needsColor = colorPages.length > 0 || paperType === 'photo';
+            const needsColor = this.needsColor(options);
             
             // Filter available printers based on requirements
             const suitablePrinters = [];
@@ -201,11 +211,21 @@ class PrinterManager {
                 if (needsColor && !config.capabilities.includes('color')) {
                     continue;
                 }
+
+                // Reroute jobs away from printers that cannot feed the paper
+                if (!this.canFeed(config, options.paperSize)) {
+                    continue;
+                }
                 
                 suitablePrinters.push({ name, config });
             }
             
             if (suitablePrinters.length === 0) {
+                const fallback = this.availablePrinters.get(this.defaultPrinter) || this.printerConfig[this.defaultPrinter];
+                if (!this.canFeed(fallback, options.paperSize)) {
+                    console.warn(`No available printer takes ${this.describePaper(options)}`);
+                    return null;
+                }
                 console.warn('No suitable printers found, using default');
                 return this.defaultPrinter;
             }
@@ -249,6 +269,11 @@ class PrinterManager {
             throw new Error(`Unsupported paper size: ${paperSize}`);
         }
 
+        const paperProblem = this.checkPaperSize(options);
+        if (paperProblem) {
+            throw new Error(paperProblem);
+        }
+
         if (paperType && !this.supportedPaperTypes.includes(paperType.toLowerCase())) {
             throw new Error(`Unsupported paper type: ${paperType}`);
         }
@@ -257,96 +282,41 @@ class PrinterManager {
             throw new Error('Invalid number of copies (1-100)');
         }
 
-        if (colorPages && !Array.isArray(colorPages)) {
-            throw new Error('Color pages must be specified as an array');
+        if (colorPages && !Array.isArray(colorPages) && !Array.isArray(colorPages.ranges)) {
+            throw new Error('Color pages must be specified as an array or page selection');
         }
     }
 
-    buildPrintCommand(filePath, options, printerName = null) {
-        const {
-            copies = 1,
-            paperSize = 'a4',
-            paperType = 'plain',
-            colorPages = [],
-            priority = 'normal',
-            duplex = false
-        } = options;
-
-        const targetPrinter = printerName || this.defaultPrinter;
-
-        // Base command for Windows
-        let command = `print /d:"${targetPrinter}" "${filePath}"`;
-
-        // Add copies
-        if (copies > 1) {
-            command += ` /c:${copies}`;
-        }
-
-        // Add duplex option
-        if (duplex) {
-            command += ` /o:d`; // d for duplex (double-sided)
-        } else {
-            command += ` /o:s`; // s for simplex (single-sided)
-        }
-
-        return command;
-    }
-
-    async getPrintJobs() {
+    async getPrintJobs(printerName = null) {
         try {
-            const printerName = await this.getDefaultPrinter();
-            if (!printerName) {
-                return [];
-            }
-
-            // Special handling for Microsoft Print to PDF
-            if (printerName === 'Microsoft Print to PDF') {
+            const name = printerName || await this.getDefaultPrinter();
+            if (!name) {
                 return [];
             }
 
-            // Get print jobs from Windows
-            const { stdout } = await execPromise(`wmic printer where name="${printerName}" get jobs`);
-            return this.parsePrintJobs(stdout);
+            return await this.backend.getJobs(this.resolveQueue(name));
         } catch (error) {
             console.error('Error getting print jobs:', error);
             return [];
         }
     }
 
-    parsePrintJobs(output) {
-        const jobs = [];
-        const lines = output.split('\n').slice(1); // Skip header
-
-        for (const line of lines) {
-            if (line.trim()) {
-                const [id, status] = line.trim().split(/\s+/);
-                if (id && status) {
-                    jobs.push({
-                        id,
-                        status: status.toLowerCase()
-                    });
-                }
-            }
+    async getJobStatus(jobId, printerName = null) {
+        const name = printerName || await this.getDefaultPrinter();
+        if (!name) {
+            throw new Error('No printer available');
         }
-
-        return jobs;
+        return this.backend.getJobStatus(jobId, this.resolveQueue(name));
     }
 
-    async cancelJob(jobId) {
+    async cancelJob(jobId, printerName = null) {
         try {
-            const printerName = await this.getDefaultPrinter();
-            if (!printerName) {
+            const name = printerName || await this.getDefaultPrinter();
+            if (!name) {
                 throw new Error('No printer available');
             }
 
-            // Special handling for Microsoft Print to PDF
-            if (printerName === 'Microsoft Print to PDF') {
-                return { success: true, message: 'PDF printer jobs cannot be cancelled' };
-            }
-
-            // Cancel print job in Windows
-            await execPromise(`wmic printer where name="${printerName}" call canceljob ${jobId}`);
-            return { success: true, message: 'Job cancelled successfully' };
+            return await this.backend.cancelJob(jobId, this.resolveQueue(name));
         } catch (error) {
             console.error('Error cancelling print job:', error);
             throw error;
@@ -354,4 +324,5 @@ class PrinterManager {
     }
 }
 
-module.exports = new PrinterManager(); 
\ No newline at end of file
+module.exports = new PrinterManager();
+module.exports.PrinterManager = PrinterManager;
@@ -0,0 +1,191 @@
+const {
+    PDFDocument,
+    PageSizes,
+    StandardFonts,
+    degrees,
+    pushGraphicsState,
+    popGraphicsState,
+    rectangle,
+    clip,
+    endPath
+} = require('pdf-lib');
+
+const MM = 72 / 25.4;
+const CAPTION_SIZE = 7;
+
+// Columns × rows on a portrait sheet for each images-per-page choice; landscape sheets swap them
+const GRIDS = { 1: [1, 1], 2: [1, 2], 4: [2, 2], 6: [2, 3], 8: [2, 4], 9: [3, 3], 12: [3, 4], 16: [4, 4] };
+
+const PAPER_SIZES = {
+    a3: PageSizes.A3,
+    a4: PageSizes.A4,
+    a5: PageSizes.A5,
+    letter: PageSizes.Letter,
+    legal: PageSizes.Legal
+};
+
+// pdf-lib embeds JPEG and PNG; anything else has to be converted first
+function imageFormat(buffer) {
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) return 'jpg';
+    if (buffer.subarray(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47]))) return 'png';
+    return null;
+}
+
+// Cells of one sheet in PDF points from the bottom-left corner, filled left to right, top to bottom
+function sheetLayout(grid, size, landscape, { marginMm, gapMm, captions }) {
+    const [width, height] = landscape ? [size[1], size[0]] : size;
+    const [columns, rows] = landscape ? [grid[1], grid[0]] : grid;
+    const margin = marginMm * MM;
+    const gap = gapMm * MM;
+    const cellWidth = (width - 2 * margin - gap * (columns - 1)) / columns;
+    const cellHeight = (height - 2 * margin - gap * (rows - 1)) / rows;
+    const captionHeight = captions ? CAPTION_SIZE * 1.8 : 0;
+
+    const cells = [];
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const x = margin + column * (cellWidth + gap);
+            const y = height - margin - (row + 1) * cellHeight - row * gap;
+            cells.push({
+                image: { x, y: y + captionHeight, width: cellWidth, height: cellHeight - captionHeight },
+                caption: { x, y, width: cellWidth, height: captionHeight }
+            });
+        }
+    }
+    return { width, height, columns, rows, orientation: landscape ? 'landscape' : 'portrait', cells };
+}
+
+// Where an image goes in its box: a quarter turn when that matches the box's shape, then scaled to fit inside (or to fill it)
+function placement(image, box, { fit, rotate }) {
+    const turned = rotate && image.width !== image.height && box.width !== box.height &&
+        (image.width > image.height) !== (box.width > box.height);
+    const [width, height] = turned ? [image.height, image.width] : [image.width, image.height];
+    const scale = fit === 'cover'
+        ? Math.max(box.width / width, box.height / height)
+        : Math.min(box.width / width, box.height / height);
+    return {
+        turned,
+        x: box.x + (box.width - width * scale) / 2,
+        y: box.y + (box.height - height * scale) / 2,
+        width: width * scale,
+        height: height * scale
+    };
+}
+
+// Portrait or landscape, whichever shows the photos larger (ties stay portrait)
+function chooseOrientation(images, grid, size, options) {
+    const shown = landscape => {
+        const layout = sheetLayout(grid, size, landscape, options);
+        return images.reduce((sum, image, index) => {
+            const box = layout.cells[index % layout.cells.length].image;
+            const placed = placement(image, box, { ...options, fit: 'contain' });
+            return sum + placed.width * placed.height;
+        }, 0);
+    };
+    return shown(true) > shown(false) * 1.01;
+}
+
+// Printable ASCII only (the standard fonts cannot encode emoji and most scripts), cut to the cell width
+function fitCaption(text, font, width) {
+    let caption = String(text || '').replace(/[^\x20-\x7e]/g, '').trim();
+    if (font.widthOfTextAtSize(caption, CAPTION_SIZE) <= width) return caption;
+    while (caption.length > 0 && font.widthOfTextAtSize(`${caption}...`, CAPTION_SIZE) > width) {
+        caption = caption.slice(0, -1);
+    }
+    return `${caption}...`;
+}
+
+/**
+ * Lay photos out as a printable PDF, `perPage` to a sheet in a grid.
+ * @param {object[]} images - [{ buffer: JPEG or PNG, caption }] in print order
+ * @param {object} options - { perPage, paperSize, orientation: 'auto'|'portrait'|'landscape',
+ *                           fit: 'contain' (whole photo) | 'cover' (fill the cell, cropping the edges),
+ *                           rotate: turn photos to match their cell, marginMm, gapMm, captions }
+ * @returns {Promise<object>} { buffer, sheets, columns, rows, orientation }
+ */
+async function layoutImages(images, {
+    perPage = 1,
+    paperSize = 'a4',
+    orientation = 'auto',
+    fit = 'contain',
+    rotate = true,
+    marginMm = 8,
+    gapMm = 4,
+    captions = false
+} = {}) {
+    const grid = GRIDS[perPage];
+    if (!grid) {
+        throw new Error(`Unsupported layout: ${perPage} per page (use ${Object.keys(GRIDS).join(', ')})`);
+    }
+    const size = PAPER_SIZES[String(paperSize).toLowerCase()];
+    if (!size) {
+        throw new Error(`Unsupported paper size: ${paperSize}`);
+    }
+    if (!images || images.length === 0) {
+        throw new Error('No images to lay out');
+    }
+
+    const pdf = await PDFDocument.create();
+    const embedded = [];
+    for (const [index, image] of images.entries()) {
+        const format = imageFormat(image.buffer);
+        if (!format) {
+            throw new Error(`Photo ${index + 1} is not a JPEG or PNG image`);
+        }
+        const picture = format === 'jpg' ? await pdf.embedJpg(image.buffer) : await pdf.embedPng(image.buffer);
+        embedded.push({ picture, width: picture.width, height: picture.height, caption: image.caption });
+    }
+    const font = captions ? await pdf.embedFont(StandardFonts.Helvetica) : null;
+
+    const options = { marginMm, gapMm, captions, fit, rotate };
+    const landscape = orientation === 'auto' ? chooseOrientation(embedded, grid, size, options) : orientation === 'landscape';
+    const layout = sheetLayout(grid, size, landscape, options);
+
+    let page = null;
+    for (const [index, image] of embedded.entries()) {
+        const cell = layout.cells[index % layout.cells.length];
+        if (index % layout.cells.length === 0) {
+            page = pdf.addPage([layout.width, layout.height]);
+        }
+
+        const box = cell.image;
+        const placed = placement(image, box, options);
+        if (fit === 'cover') {
+            page.pushOperators(pushGraphicsState(), rectangle(box.x, box.y, box.width, box.height), clip(), endPath());
+        }
+        // A quarter turn pivots on the bottom-left corner, so the turned photo is drawn from its right edge
+        page.drawImage(image.picture, placed.turned
+            ? { x: placed.x + placed.width, y: placed.y, width: placed.height, height: placed.width, rotate: degrees(90) }
+            : { x: placed.x, y: placed.y, width: placed.width, height: placed.height });
+        if (fit === 'cover') {
+            page.pushOperators(popGraphicsState());
+        }
+
+        if (font) {
+            const text = fitCaption(image.caption, font, cell.caption.width);
+            page.drawText(text, {
+                x: cell.caption.x + (cell.caption.width - font.widthOfTextAtSize(text, CAPTION_SIZE)) / 2,
+                y: cell.caption.y + CAPTION_SIZE * 0.5,
+                size: CAPTION_SIZE,
+                font
+            });
+        }
+    }
+
+    return {
+        buffer: Buffer.from(await pdf.save()),
+        sheets: pdf.getPageCount(),
+        columns: layout.columns,
+        rows: layout.rows,
+        orientation: layout.orientation
+    };
+}
+
+module.exports = {
+    GRIDS,
+    PAPER_SIZES,
+    sheetLayout,
+    placement,
+    chooseOrientation,
+    layoutImages
+};
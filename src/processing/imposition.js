@@ -0,0 +1,167 @@
+const { PDFDocument, degrees } = require('pdf-lib');
+const { GRIDS, PAPER_SIZES, sheetLayout, placement, chooseOrientation } = require('./imageLayout');
+const pdfPages = require('./pdfPages');
+
+// Pages per sheet side customers can ask for ("2 per page", "4 up")
+const PAGES_PER_SHEET = Object.keys(GRIDS).map(Number);
+
+// Document pages sit closer together than photos; booklet halves meet at the fold
+const SPACING = { marginMm: 5, gapMm: 2, captions: false };
+const BOOKLET_SPACING = { marginMm: 5, gapMm: 0, captions: false };
+
+// Whether the instructions change how pages sit on the paper, rather than just which pages print
+function needsImposition(instructions = {}) {
+    return (instructions.pagesPerSheet || 1) > 1 ||
+        !!instructions.booklet ||
+        !!instructions.fitToPage ||
+        !!instructions.orientation;
+}
+
+// "2 per sheet, landscape", "booklet", "fit to A4"
+function describe(instructions = {}) {
+    const parts = [];
+    if (instructions.booklet) {
+        parts.push('booklet');
+    } else if ((instructions.pagesPerSheet || 1) > 1) {
+        parts.push(`${instructions.pagesPerSheet} per sheet`);
+    }
+    if (instructions.fitToPage) {
+        parts.push(`fit to ${String(instructions.paperSize || 'a4').toUpperCase()}`);
+    }
+    if (instructions.orientation) {
+        parts.push(instructions.orientation);
+    }
+    return parts.join(', ');
+}
+
+/**
+ * Which source pages land on each printed side, in print order (null leaves a slot blank).
+ * A booklet is two up with the page count padded to a multiple of 4, ordered so the folded
+ * stack reads in sequence: each sheet has [last, first] on the front and [second, second-to-last] on the back.
+ * @param {number[]} pages - Selected source pages, in order.
+ * @returns {Array<Array<number|null>>}
+ */
+function planSides(pages, { pagesPerSheet = 1, booklet = false } = {}) {
+    const sides = [];
+    if (booklet) {
+        const padded = pages.concat(Array((4 - (pages.length % 4)) % 4).fill(null));
+        const last = padded.length - 1;
+        for (let index = 0; index < padded.length / 2; index += 2) {
+            sides.push([padded[last - index], padded[index]]);
+            sides.push([padded[index + 1], padded[last - index - 1]]);
+        }
+        return sides;
+    }
+    const perSide = pagesPerSheet || 1;
+    for (let index = 0; index < pages.length; index += perSide) {
+        sides.push(pages.slice(index, index + perSide));
+    }
+    return sides;
+}
+
+// The printed sides (1-based) that carry any of the given source pages
+function mapPages(sides, sourcePages) {
+    const wanted = new Set(sourcePages);
+    return sides
+        .map((side, index) => (side.some(page => wanted.has(page)) ? index + 1 : null))
+        .filter(Boolean);
+}
+
+// Draw a page into its footprint, turned `angle` degrees anticlockwise about its bottom-left corner
+function drawTurned(sheet, embedded, footprint, angle) {
+    const sideways = angle % 180 !== 0;
+    const origin = {
+        0: [footprint.x, footprint.y],
+        90: [footprint.x + footprint.width, footprint.y],
+        180: [footprint.x + footprint.width, footprint.y + footprint.height],
+        270: [footprint.x, footprint.y + footprint.height]
+    }[angle];
+    sheet.drawPage(embedded, {
+        x: origin[0],
+        y: origin[1],
+        width: sideways ? footprint.height : footprint.width,
+        height: sideways ? footprint.width : footprint.height,
+        rotate: degrees(angle)
+    });
+}
+
+/**
+ * Lay the selected pages of a PDF out on new sheets: N pages per side, a booklet, or one page
+ * scaled to fit the paper, in the orientation asked for (or whichever shows the pages larger).
+ * @param {Buffer} buffer - Source PDF.
+ * @param {number[]} pages - 1-based pages to print, in order.
+ * @param {object} options - { pagesPerSheet, booklet, orientation: 'portrait'|'landscape'|null, paperSize };
+ *                           every page is scaled to fit its space on `paperSize`
+ * @returns {Promise<object>} { buffer, sides: planSides() result, orientation }
+ */
+async function impose(buffer, pages, { pagesPerSheet = 1, booklet = false, orientation = null, paperSize = 'a4' } = {}) {
+    const size = PAPER_SIZES[String(paperSize || 'a4').toLowerCase()];
+    if (!size) {
+        throw new Error(`Unsupported paper size: ${paperSize}`);
+    }
+    const perSide = booklet ? 2 : pagesPerSheet || 1;
+    if (!PAGES_PER_SHEET.includes(perSide)) {
+        throw new Error(`Unsupported layout: ${perSide} pages per sheet (use ${PAGES_PER_SHEET.join(', ')})`);
+    }
+
+    const source = await pdfPages.loadPdf(buffer);
+    const pageCount = source.getPageCount();
+    const selected = pages.filter(page => Number.isInteger(page) && page >= 1 && page <= pageCount);
+    if (selected.length === 0) {
+        throw new Error('No valid pages to lay out');
+    }
+
+    const output = await PDFDocument.create();
+    const embedded = new Map();
+    const sourcePages = source.getPages();
+    for (const page of new Set(selected)) {
+        const sourcePage = sourcePages[page - 1];
+        // /Rotate is clockwise and embedding ignores it, so turn the page back by hand and measure it as shown
+        const rotation = ((sourcePage.getRotation().angle % 360) + 360) % 360;
+        const { width, height } = sourcePage.getSize();
+        const sideways = rotation % 180 !== 0;
+        embedded.set(page, {
+            // A page with no content stream is blank and cannot be embedded; it keeps its slot empty
+            picture: sourcePage.node.Contents() ? await output.embedPage(sourcePage) : null,
+            rotation,
+            width: sideways ? height : width,
+            height: sideways ? width : height
+        });
+    }
+
+    const grid = GRIDS[perSide];
+    const spacing = booklet ? BOOKLET_SPACING : SPACING;
+    // Only a lone page is turned to suit the paper; pages sharing a sheet keep reading the same way
+    const options = { ...spacing, fit: 'contain', rotate: perSide === 1 && !orientation };
+    const landscape = orientation
+        ? orientation === 'landscape'
+        : booklet || chooseOrientation(selected.map(page => embedded.get(page)), grid, size, options);
+    const layout = sheetLayout(grid, size, landscape, options);
+
+    const sides = planSides(selected, { pagesPerSheet: perSide, booklet });
+    for (const side of sides) {
+        const sheet = output.addPage([layout.width, layout.height]);
+        side.forEach((page, slot) => {
+            const image = page === null ? null : embedded.get(page);
+            if (!image || !image.picture) return;
+            const placed = placement(image, layout.cells[slot].image, options);
+            const angle = ((placed.turned ? 90 : 0) + 360 - image.rotation) % 360;
+            drawTurned(sheet, image.picture, placed, angle);
+        });
+    }
+
+    return {
+        buffer: Buffer.from(await output.save()),
+        sides,
+        orientation: layout.orientation
+    };
+}
+
+module.exports = {
+    PAGES_PER_SHEET,
+    needsImposition,
+    describe,
+    planSides,
+    mapPages,
+    impose
+};
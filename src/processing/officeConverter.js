@@ -0,0 +1,71 @@
+const { execFile } = require('child_process');
+const util = require('util');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const config = require('../../config');
+
+const execFilePromise = util.promisify(execFile);
+
+// Formats LibreOffice opens and prints faithfully enough to hand to a customer
+const CONVERTIBLE_EXTENSIONS = [
+    '.doc', '.docx', '.odt', '.rtf', '.txt',
+    '.ppt', '.pptx', '.odp',
+    '.xls', '.xlsx', '.ods', '.csv'
+];
+
+// soffice does not cope with two conversions sharing a profile, so they run one at a time
+let pending = Promise.resolve();
+
+function isConvertible(fileName) {
+    return CONVERTIBLE_EXTENSIONS.includes(path.extname(String(fileName || '')).toLowerCase());
+}
+
+async function runConversion(inputPath) {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'inkoro-convert-'));
+    try {
+        await execFilePromise(config.sofficePath, [
+            `-env:UserInstallation=file://${path.join(workDir, 'profile')}`,
+            '--headless', '--norestore', '--nolockcheck',
+            '--convert-to', 'pdf',
+            '--outdir', workDir,
+            inputPath
+        ], { timeout: config.conversionTimeoutSeconds * 1000 });
+
+        // soffice exits cleanly even when it could not open the file; the missing PDF is the only sign
+        const output = path.join(workDir, `${path.parse(inputPath).name}.pdf`);
+        const buffer = await fs.readFile(output).catch(() => null);
+        if (!buffer || buffer.length === 0) {
+            throw new Error('the file could not be opened');
+        }
+        return buffer;
+    } catch (error) {
+        if (error.code === 'ENOENT' && error.syscall && error.syscall.startsWith('spawn')) {
+            throw new Error(`no document converter is installed (${config.sofficePath} not found)`);
+        }
+        if (error.killed) {
+            throw new Error(`conversion took longer than ${config.conversionTimeoutSeconds} seconds`);
+        }
+        throw error;
+    } finally {
+        await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+}
+
+/**
+ * Convert an office document (Word, PowerPoint, Excel, OpenDocument, text) to PDF with headless LibreOffice.
+ * @param {string} inputPath
+ * @returns {Promise<Buffer>} The PDF.
+ * @throws {Error} When the converter is missing, times out or cannot read the file.
+ */
+function convertToPdf(inputPath) {
+    const result = pending.then(() => runConversion(inputPath));
+    pending = result.catch(() => {});
+    return result;
+}
+
+module.exports = {
+    CONVERTIBLE_EXTENSIONS,
+    isConvertible,
+    convertToPdf
+};
@@ -0,0 +1,42 @@
+const { execFile } = require('child_process');
+const util = require('util');
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../../config');
+
+const execFilePromise = util.promisify(execFile);
+const RENDER_TIMEOUT_MS = 30000;
+
+/**
+ * Render a range of PDF pages to small JPEGs with poppler's pdftoppm.
+ * @param {string} pdfPath
+ * @param {string} outputDir - Receives page-<n>.jpg for each page rendered.
+ * @param {object} options - { first, last: 1-based page range, size: longest side in pixels }
+ * @returns {Promise<object[]>} [{ page, path }] in page order
+ */
+async function renderPages(pdfPath, outputDir, { first = 1, last = first, size = config.previewSize } = {}) {
+    await fs.mkdir(outputDir, { recursive: true });
+    const prefix = path.join(outputDir, 'render');
+    await execFilePromise(config.pdftoppmPath, [
+        '-jpeg', '-jpegopt', 'quality=75',
+        '-f', String(first), '-l', String(last),
+        '-scale-to', String(size),
+        pdfPath, prefix
+    ], { timeout: RENDER_TIMEOUT_MS });
+
+    // pdftoppm zero-pads the page number to the document's page count (render-1.jpg, render-01.jpg, ...)
+    const rendered = [];
+    for (const file of await fs.readdir(outputDir)) {
+        const match = file.match(/^render-(\d+)\.jpg$/);
+        if (!match) continue;
+        const page = parseInt(match[1], 10);
+        const target = path.join(outputDir, `page-${page}.jpg`);
+        await fs.rename(path.join(outputDir, file), target);
+        rendered.push({ page, path: target });
+    }
+    return rendered.sort((a, b) => a.page - b.page);
+}
+
+module.exports = {
+    renderPages
+};
@@ -0,0 +1,40 @@
+const { PDFDocument } = require('pdf-lib');
+
+async function loadPdf(buffer) {
+    // Owner-password-only PDFs are common (print/copy restrictions); pdf-lib can still read them
+    return PDFDocument.load(buffer, { ignoreEncryption: true });
+}
+
+async function getPageCount(buffer) {
+    const pdf = await loadPdf(buffer);
+    return pdf.getPageCount();
+}
+
+/**
+ * Copy the given 1-based pages, in order, into a new PDF.
+ * @param {Buffer} buffer - Source PDF.
+ * @param {number[]} pages - 1-based page numbers.
+ * @returns {Promise<Buffer>}
+ */
+async function extractPages(buffer, pages) {
+    const source = await loadPdf(buffer);
+    const pageCount = source.getPageCount();
+    const indices = pages
+        .filter(page => Number.isInteger(page) && page >= 1 && page <= pageCount)
+        .map(page => page - 1);
+
+    if (indices.length === 0) {
+        throw new Error('No valid pages to extract');
+    }
+
+    const output = await PDFDocument.create();
+    const copied = await output.copyPages(source, indices);
+    copied.forEach(page => output.addPage(page));
+    return Buffer.from(await output.save());
+}
+
+module.exports = {
+    loadPdf,
+    getPageCount,
+    extractPages
+};
@@ -0,0 +1,19 @@
+const path = require('path');
+const config = require('../../config');
+const Journal = require('../utils/journal');
+
+/**
+ * Job repository backed by the append-only journal <dataPath>/jobs.jsonl.
+ *
+ * Each line is a full job snapshot after a change (event: 'added', 'statusUpdated', ...),
+ * and replaying the journal on boot restores the latest snapshot of every job.
+ * The queue only talks to get/all/save/remove/nextId, so another store can replace this one.
+ */
+class JobStore extends Journal {
+    constructor(filePath = null) {
+        const baseData = path.isAbsolute(config.dataPath) ? config.dataPath : path.join(process.cwd(), config.dataPath);
+        super(filePath || path.join(baseData, 'jobs.jsonl'), { label: 'print jobs' });
+    }
+}
+
+module.exports = JobStore;
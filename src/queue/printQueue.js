@@ -1,6 +1,15 @@
 const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
 const printerManager = require('../printer/printerManager');
 const documentManager = require('../storage/documentManager');
+const colorSplitter = require('../print/colorSplitter');
+const pdfPages = require('../processing/pdfPages');
+const imposition = require('../processing/imposition');
+const pageRanges = require('../parser/pageRanges');
+const JobStore = require('./jobStore');
+const scheduler = require('./scheduler');
+const config = require('../../config');
 
 const BATCH_INTERVAL = 10000; // 10 seconds
 
@@ -23,8 +32,11 @@ class PrintQueue extends EventEmitter {
             job.data.instructions = {};
         }
         job.data.instructions.priority = newPriority;
+        job.priority = this.calculatePriority(job.data);
         job.updatedAt = new Date();
+        this.jobs.save(job, 'priorityChanged');
         this.emit('priorityChanged', { jobId: job.id, newPriority });
+        this.emit('jobUpdated', job);
         return { success: true, message: 'Priority changed successfully' };
     }
 
@@ -34,30 +46,39 @@ class PrintQueue extends EventEmitter {
             return PrintQueue.instance;
         }
         
-        this.jobs = new Map();
-        this.nextJobId = 1;
+        // Durable repository: jobs and their status history survive restarts
+        this.jobs = new JobStore();
         this.isProcessing = false;
         PrintQueue.instance = this;
+        this._importLegacyQueue();
+        this._recoverInterruptedJobs();
 
-        // Start the batch processing loop - disabled for manual job acceptance
-        // setInterval(() => this._processBatches(), BATCH_INTERVAL);
+        // The batch processing loop is off by default: the shop accepts jobs manually from the dashboard
+        if (config.autoProcessQueue) {
+            setInterval(() => this._processBatches(), BATCH_INTERVAL);
+        }
     }
 
     async addJob(jobData) {
         try {
-            const jobId = this.nextJobId++;
+            const jobId = this.jobs.nextId();
             const job = {
                 id: jobId,
                 status: 'queued',
                 progress: 0,
+                priority: this.calculatePriority(jobData),
+                estimatedPages: await this.estimatePages(jobData),
+                retryCount: 0,
                 data: jobData,
+                history: [{ status: 'queued', at: new Date().toISOString() }],
                 createdAt: new Date(),
                 updatedAt: new Date()
             };
 
-            this.jobs.set(jobId, job);
+            this.jobs.save(job, 'jobAdded');
             // Job is queued, will be picked up by the batch processor
             this.emit('jobAdded', job);
+            this.emit('queueStats', this.getStats());
             
             return job;
         } catch (error) {
@@ -66,13 +87,176 @@ class PrintQueue extends EventEmitter {
         }
     }
 
+    getJob(jobId) {
+        return this.jobs.get(jobId);
+    }
+
+    getJobs() {
+        return this.jobs.all();
+    }
+
+    /**
+     * Scheduled order of the waiting jobs with projected start/finish times and deadline risk.
+     * Work already printing is assumed to finish first.
+     */
+    getSchedule(now = new Date()) {
+        const all = this.jobs.all();
+        const busyMs = all
+            .filter(job => job.status === 'processing')
+            .reduce((sum, job) => sum + scheduler.durationMs(job) * (1 - (job.progress || 0) / 100), 0);
+        return scheduler.schedule(all.filter(job => job.status === 'queued'), {
+            now,
+            busyUntil: new Date(now.getTime() + busyMs)
+        });
+    }
+
+    // Jobs waiting to print, in the order they should be taken
+    getQueuedJobs() {
+        return this.getSchedule().map(entry => entry.job);
+    }
+
+    calculatePriority(jobData = {}) {
+        const instructions = jobData.instructions || {};
+        let priority = 0;
+        if (instructions.priority === 'urgent') priority += 3;
+        if (instructions.priority === 'high') priority += 2;
+        if (instructions.deadline) priority += 2;
+        if (pageRanges.hasPages(instructions.colorPages)) priority += 1;
+        if (instructions.copies > 1) priority += 1;
+        return priority;
+    }
+
+    // Printed page sides: the selected pages of the document times the copies
+    async estimatePages(jobData = {}) {
+        const instructions = jobData.instructions || {};
+        const copies = instructions.copies || 1;
+        if (jobData.quote) return jobData.quote.printedPages * jobData.quote.copies;
+        if (Array.isArray(jobData.images)) return Math.ceil(jobData.images.length / (instructions.perPage || 1)) * copies;
+
+        const pageCount = jobData.fileId ? await documentManager.getPageCount(jobData.fileId).catch(() => null) : null;
+        if (!pageCount) return copies;
+        const selected = pageRanges.resolve(instructions.pages, pageCount);
+        return (selected ? selected.length : pageCount) * copies;
+    }
+
+    getStats() {
+        const jobs = this.jobs.all();
+        const count = status => jobs.filter(job => job.status === status).length;
+        return {
+            total: jobs.length,
+            pending: count('queued'),
+            processing: count('processing'),
+            completed: count('completed'),
+            failed: count('failed'),
+            cancelled: count('cancelled')
+        };
+    }
+
+    /**
+     * Bring in the jobs the old JSON queue (src/print/queue.js) left in <dataPath>/queue.json.
+     * The file is renamed to queue.json.imported afterwards; jobs already imported are matched on
+     * their old ID and skipped, so a failed rename never duplicates them.
+     */
+    _importLegacyQueue() {
+        const legacyPath = path.join(path.dirname(this.jobs.filePath), 'queue.json');
+        if (!fs.existsSync(legacyPath)) return;
+
+        let legacy;
+        try {
+            legacy = JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+        } catch (error) {
+            console.warn(`⚠️ Could not read the legacy queue ${legacyPath}: ${error.message}`);
+            return;
+        }
+
+        const imported = new Set(this.jobs.all().map(job => job.legacyId).filter(Boolean));
+        let count = 0;
+        for (const item of [...(legacy.queue || []), ...(legacy.completedJobs || [])]) {
+            if (!item || imported.has(item.id)) continue;
+            // The old queue kept the customer's job fields flat on the queue item
+            const { id, status, priority, estimatedPages, progress, error, result, createdAt, updatedAt, completedAt, ...rest } = item;
+            const data = rest.data || rest;
+            const jobStatus = status === 'pending' ? 'queued' : status;
+            const at = new Date(updatedAt || completedAt || createdAt || Date.now());
+            this.jobs.save({
+                id: this.jobs.nextId(),
+                legacyId: id,
+                status: jobStatus,
+                progress: progress || 0,
+                priority: this.calculatePriority(data),
+                estimatedPages: estimatedPages || 1,
+                retryCount: 0,
+                data,
+                error: error || null,
+                result: result || null,
+                history: [{ status: jobStatus, at: at.toISOString() }],
+                createdAt: new Date(createdAt || at),
+                updatedAt: at
+            }, 'imported');
+            count++;
+        }
+
+        fs.renameSync(legacyPath, `${legacyPath}.imported`);
+        console.log(`📥 Imported ${count} print jobs from the legacy queue ${legacyPath}`);
+    }
+
+    // A job that was printing when the server stopped may or may not have reached the printer
+    _recoverInterruptedJobs() {
+        for (const job of this.jobs.all()) {
+            if (job.status === 'processing') {
+                this._setStatus(job, 'failed', { error: 'Interrupted by a server restart; check the printer before retrying' });
+            }
+        }
+    }
+
+    /**
+     * Move a job to a new status, record it in the job's history and persist it.
+     * @param {object} job
+     * @param {string} status
+     * @param {object} details - Extra fields to set on the job (error, result, progress, acceptedBy...).
+     */
+    _setStatus(job, status, details = {}) {
+        Object.assign(job, details);
+        job.status = status;
+        job.updatedAt = new Date();
+        job.history = job.history || [];
+        job.history.push({ status, at: job.updatedAt.toISOString(), ...(details.error ? { error: details.error } : {}) });
+        this.jobs.save(job, 'statusUpdated');
+        this.emit('statusUpdated', { jobId: job.id, status: job.status, progress: job.progress, error: job.error });
+        if (status === 'completed') {
+            this.emit('jobCompleted', job);
+        } else if (status === 'failed') {
+            this.emit('jobFailed', job);
+        } else {
+            this.emit('jobUpdated', job);
+        }
+        this.emit('queueStats', this.getStats());
+    }
+
+    _saveProgress(job) {
+        job.updatedAt = new Date();
+        this.jobs.save(job, 'progress');
+        this.emit('statusUpdated', { jobId: job.id, status: job.status, progress: job.progress });
+        this.emit('jobUpdated', job);
+    }
+
+    async updateJobProgress(jobId, progress) {
+        const job = this.jobs.get(jobId);
+        if (!job) {
+            throw new Error('Job not found');
+        }
+        job.progress = Math.max(0, Math.min(100, Math.round(progress)));
+        this._saveProgress(job);
+        return job;
+    }
+
     async _processBatches() {
         if (this.isProcessing) return;
 
         this.isProcessing = true;
 
         try {
-            const queuedJobs = Array.from(this.jobs.values()).filter(job => job.status === 'queued');
+            const queuedJobs = this.getQueuedJobs().filter(job => !this._paymentHold(job));
             if (queuedJobs.length === 0) {
                 return;
             }
@@ -92,6 +276,11 @@ class PrintQueue extends EventEmitter {
         }
     }
 
+    // Loaded on use: the ledger sits on top of orders, which listen to this queue
+    _paymentHold(job) {
+        return require('../payments/ledger').paymentHold(job);
+    }
+
     async _createBatches(jobs) {
         const batches = new Map();
 
@@ -106,8 +295,7 @@ class PrintQueue extends EventEmitter {
                 batches.get(batchKey).push(job);
             } catch (error) {
                 console.error(`Failed to create batch for job ${job.id}:`, error);
-                job.status = 'failed';
-                job.error = 'Failed to determine printer or batch.';
+                this._setStatus(job, 'failed', { error: 'Failed to determine printer or batch.' });
             }
         }
 
@@ -118,33 +306,165 @@ class PrintQueue extends EventEmitter {
         if (!job) return;
 
         try {
-            job.status = 'processing';
-            job.updatedAt = new Date();
-            this.emit('statusUpdated', { jobId: job.id, status: job.status, progress: job.progress });
-            
+            // Accepted jobs are already marked processing
+            if (job.status !== 'processing') {
+                this._setStatus(job, 'processing');
+            }
+
             // Get the document
             const document = await documentManager.getDocument(job.data.fileId);
             if (!document) {
                 throw new Error('Document not found');
             }
+            const { inspection } = await documentManager.getMetadata(job.data.fileId);
+            if (inspection && (inspection.passwordProtected || inspection.corrupt)) {
+                throw new Error(inspection.passwordProtected ? 'Document is password protected' : 'Document could not be read');
+            }
+
+            // N-up, booklets, fit-to-paper and orientation are printed from a derived, already laid-out PDF
+            let source = { document, fileId: job.data.fileId, instructions: job.data.instructions };
+            if (imposition.needsImposition(job.data.instructions) && document.path.toLowerCase().endsWith('.pdf')) {
+                source = await this._imposeDocument(job, document);
+            }
 
-            // Print the document
-            const result = await printerManager.printDocument(document.path, job.data.instructions);
+            // Mixed colour/mono PDFs are split so only the colour pages go to a colour printer
+            const plan = await colorSplitter.planForDocument(source.document, source.instructions);
+            let result;
+            if (plan) {
+                result = await this._executeSplitJob(job, source.document, plan, source);
+            } else if (pageRanges.hasPages(source.instructions.pages) && source.document.path.toLowerCase().endsWith('.pdf')) {
+                result = await this._executePageSelection(job, source.document);
+            } else {
+                result = await printerManager.printDocument(source.document.path, source.instructions);
+            }
             
-            job.status = 'completed';
-            job.progress = 100;
-            job.result = result;
-            job.updatedAt = new Date();
-            this.emit('statusUpdated', { jobId: job.id, status: job.status, progress: job.progress });
+            // Cancelled while it was being sent: stop whatever reached the printer after the cancel
+            if (job.status === 'cancelled') {
+                const late = this._spooledWork({ ...job, result });
+                if (late.length > 0) {
+                    job.printerCancellations = (job.printerCancellations || []).concat(await this._cancelAtPrinter(job, late));
+                    this.jobs.save(job, 'printerCancelled');
+                }
+                return;
+            }
+            this._setStatus(job, 'completed', { progress: 100, result });
         } catch (error) {
+            if (job.status === 'cancelled') return;
             console.error('Error processing print job:', error);
-            job.status = 'failed';
-            job.error = error.message;
-            job.updatedAt = new Date();
-            this.emit('statusUpdated', { jobId: job.id, status: job.status, error: job.error });
+            this._setStatus(job, 'failed', { error: error.message });
         }
     }
 
+    /**
+     * Lay the selected pages out as the customer asked ("2 per page", "booklet", "fit to A4", "landscape")
+     * in a derived PDF stored alongside the original. Colour pages are mapped onto the sides they land on,
+     * so the result can still be split between colour and mono printers.
+     * @returns {Promise<object>} { document, fileId, instructions } to print instead of the original
+     */
+    async _imposeDocument(job, document) {
+        const { fileId, instructions = {} } = job.data;
+        const pageCount = await pdfPages.getPageCount(document.buffer);
+        const pages = pageRanges.resolve(instructions.pages, pageCount) || Array.from({ length: pageCount }, (_, i) => i + 1);
+        if (pages.length === 0) {
+            throw new Error(`No pages match "${pageRanges.format(instructions.pages)}" (document has ${pageCount} pages)`);
+        }
+
+        const imposed = await imposition.impose(document.buffer, pages, instructions);
+        const saved = await documentManager.saveDerivedDocument(fileId, imposed.buffer, imposition.describe(instructions));
+        job.imposed = { fileId: saved.fileId, sides: imposed.sides.length, orientation: imposed.orientation };
+        this.jobs.save(job, 'imposed');
+
+        const colorPages = pageRanges.hasPages(instructions.colorPages)
+            ? imposition.mapPages(imposed.sides, pageRanges.resolve(instructions.colorPages, pageCount) || [])
+            : instructions.colorPages;
+        return {
+            document: { path: saved.filePath, buffer: imposed.buffer },
+            fileId: saved.fileId,
+            instructions: {
+                ...instructions,
+                pages: null,
+                colorPages,
+                pagesPerSheet: 1,
+                booklet: false,
+                fitToPage: false,
+                orientation: imposed.orientation
+            }
+        };
+    }
+
+    /**
+     * Print only the pages the customer asked for ("pages 3-10", "skip page 1").
+     * The selected pages are extracted into a derived document so every backend prints the same thing.
+     */
+    async _executePageSelection(job, document) {
+        const { fileId, instructions = {} } = job.data;
+        const pageCount = await pdfPages.getPageCount(document.buffer);
+        const pages = pageRanges.resolve(instructions.pages, pageCount);
+        if (!pages || pages.length === 0) {
+            throw new Error(`No pages match "${pageRanges.format(instructions.pages)}" (document has ${pageCount} pages)`);
+        }
+
+        const buffer = await pdfPages.extractPages(document.buffer, pages);
+        const saved = await documentManager.saveDerivedDocument(fileId, buffer, `pages ${pageRanges.format(pages)}`);
+
+        // Colour pages that survive the selection decide whether a colour printer is needed
+        const colorPages = pageRanges.resolve(instructions.colorPages, pageCount) || [];
+        const options = { ...instructions, colorPages: [] };
+        if (pageRanges.hasPages(instructions.colorPages)) {
+            options.color = pages.some(page => colorPages.includes(page));
+        }
+
+        const result = await printerManager.printDocument(saved.filePath, options);
+        return { ...result, pages, message: `${result.message} (pages ${pageRanges.format(pages)})` };
+    }
+
+    /**
+     * Print a job as colour and mono sub-jobs on different printers.
+     * The job stays one logical job; sub-job progress is tracked on job.subJobs.
+     */
+    async _executeSplitJob(job, document, plan, { fileId, instructions = {} } = job.data) {
+        job.subJobs = plan.parts.map((part, index) => ({
+            id: `${job.id}.${index + 1}`,
+            kind: part.kind,
+            pages: part.pages,
+            pageLabel: colorSplitter.formatPages(part.pages),
+            status: 'pending'
+        }));
+
+        const printers = {};
+        for (const [index, subJob] of job.subJobs.entries()) {
+            if (job.status === 'cancelled') break;
+            try {
+                const label = subJob.kind === 'color' ? 'colour pages' : 'mono pages';
+                const buffer = await pdfPages.extractPages(document.buffer, subJob.pages);
+                const saved = await documentManager.saveDerivedDocument(fileId, buffer, label);
+
+                const options = { ...instructions, colorPages: [], color: subJob.kind === 'color' };
+                const result = await printerManager.printDocument(saved.filePath, options);
+
+                subJob.fileId = saved.fileId;
+                subJob.printer = result.printer;
+                subJob.backendJobId = result.backendJobId;
+                subJob.status = 'sent';
+                printers[subJob.kind] = result.printer;
+            } catch (error) {
+                subJob.status = 'failed';
+                subJob.error = error.message;
+                throw new Error(`${subJob.kind === 'color' ? 'Colour' : 'Mono'} part failed: ${error.message}`);
+            }
+
+            job.progress = Math.round(((index + 1) / job.subJobs.length) * 90);
+            this._saveProgress(job);
+        }
+
+        job.collation = colorSplitter.buildCollationHint(plan, printers);
+        return {
+            success: true,
+            message: `Split into ${job.subJobs.length} sub-jobs: ${job.subJobs.map(s => `${s.kind} p${s.pageLabel} → ${s.printer}`).join('; ')}`,
+            split: true
+        };
+    }
+
     async getJobStatus(jobId) {
         const job = this.jobs.get(jobId);
         if (!job) {
@@ -158,13 +478,25 @@ class PrintQueue extends EventEmitter {
             data: job.data,
             error: job.error,
             result: job.result,
+            subJobs: job.subJobs,
+            collation: job.collation,
+            history: job.history,
             createdAt: job.createdAt,
             updatedAt: job.updatedAt
         };
     }
 
     async getQueueStatus() {
-        const jobsWithBatchKey = await Promise.all(Array.from(this.jobs.values()).map(async (job) => {
+        const schedule = this.getSchedule();
+        const scheduled = new Map(schedule.map(({ job, ...entry }) => [job.id, entry]));
+        // Printing now, then the waiting jobs in scheduled order, then finished jobs newest first
+        const rank = job => (job.status === 'processing' ? 0 : scheduled.has(job.id) ? 1 : 2);
+        const ordered = this.jobs.all().sort((a, b) =>
+            rank(a) - rank(b) ||
+            (rank(a) === 1 ? scheduled.get(a.id).position - scheduled.get(b.id).position : new Date(b.updatedAt) - new Date(a.updatedAt))
+        );
+
+        const jobsWithBatchKey = await Promise.all(ordered.map(async (job) => {
             let batchKey = 'N/A';
             if (job.status === 'queued' || job.status === 'processing') {
                 try {
@@ -179,9 +511,15 @@ class PrintQueue extends EventEmitter {
                 id: job.id,
                 status: job.status,
                 progress: job.progress,
+                priority: job.priority,
+                estimatedPages: job.estimatedPages,
                 data: job.data,
                 error: job.error,
                 result: job.result,
+                subJobs: job.subJobs,
+                collation: job.collation,
+                schedule: scheduled.get(job.id) || null,
+                awaitingPayment: scheduled.has(job.id) && !!this._paymentHold(job),
                 createdAt: job.createdAt,
                 updatedAt: job.updatedAt,
                 batchKey: batchKey
@@ -189,24 +527,89 @@ class PrintQueue extends EventEmitter {
         }));
 
         return {
-            jobs: jobsWithBatchKey
+            jobs: jobsWithBatchKey,
+            schedule: schedule.map(({ job, ...entry }) => ({ jobId: job.id, ...entry }))
         };
     }
 
-    async cancelJob(jobId) {
+    /**
+     * Cancel a job that has not printed yet. Work already sent to a printer is cancelled there too:
+     * the parts of a job being printed, or a completed job the printer has not got to yet.
+     * @param {number} jobId
+     * @param {object} options - { by: who cancelled it }
+     */
+    async cancelJob(jobId, { by = null } = {}) {
         const job = this.jobs.get(jobId);
         if (!job) {
             throw new Error('Job not found');
         }
+        if (job.status === 'failed' || job.status === 'cancelled') {
+            throw new Error(`Cannot cancel a ${job.status} job`);
+        }
 
-        if (job.status === 'completed' || job.status === 'failed') {
-            throw new Error('Cannot cancel completed or failed job');
+        // Completed only means handed to the printer; it can still be stopped while the printer holds it
+        let spooled = this._spooledWork(job);
+        if (job.status === 'completed') {
+            spooled = await this._stillAtPrinter(spooled);
+            if (spooled.length === 0) {
+                throw new Error('Job has already printed');
+            }
         }
 
-        job.status = 'cancelled';
-        job.updatedAt = new Date();
-        this.emit('statusUpdated', { jobId: job.id, status: job.status });
-        return { success: true, message: 'Job cancelled successfully' };
+        const printerCancellations = await this._cancelAtPrinter(job, spooled);
+        this._setStatus(job, 'cancelled', { cancelledBy: by, printerCancellations });
+        return {
+            success: true,
+            message: printerCancellations.length > 0
+                ? `Job cancelled (stopped ${printerCancellations.filter(c => c.cancelled).length} of ${printerCancellations.length} printer jobs)`
+                : 'Job cancelled successfully'
+        };
+    }
+
+    // Backend jobs a print job has been sent as: one per sub-job of a split job, or the job itself
+    _spooledWork(job) {
+        if (job.subJobs) {
+            return job.subJobs
+                .filter(subJob => subJob.status === 'sent' && subJob.backendJobId)
+                .map(subJob => ({ subJobId: subJob.id, printer: subJob.printer, backendJobId: subJob.backendJobId }));
+        }
+        if (job.result && job.result.backendJobId) {
+            return [{ subJobId: null, printer: job.result.printer, backendJobId: job.result.backendJobId }];
+        }
+        return [];
+    }
+
+    async _stillAtPrinter(spooled) {
+        const waiting = [];
+        for (const work of spooled) {
+            try {
+                const { state } = await printerManager.getJobStatus(work.backendJobId, work.printer);
+                if (!['completed', 'cancelled', 'aborted', 'unknown'].includes(state)) {
+                    waiting.push(work);
+                }
+            } catch (error) {
+                console.error(`Could not check printer job ${work.backendJobId} on ${work.printer}:`, error.message);
+            }
+        }
+        return waiting;
+    }
+
+    // A printer that already finished a part rejects the cancel; that is recorded rather than thrown
+    async _cancelAtPrinter(job, spooled) {
+        const results = [];
+        for (const work of spooled) {
+            try {
+                await printerManager.cancelJob(work.backendJobId, work.printer);
+                results.push({ ...work, cancelled: true });
+            } catch (error) {
+                results.push({ ...work, cancelled: false, error: error.message });
+            }
+            const subJob = (job.subJobs || []).find(s => s.id === work.subJobId);
+            if (subJob) {
+                subJob.status = 'cancelled';
+            }
+        }
+        return results;
     }
 
     async retryJob(jobId) {
@@ -219,11 +622,7 @@ class PrintQueue extends EventEmitter {
             throw new Error('Can only retry failed or cancelled jobs');
         }
 
-        job.status = 'queued';
-        job.progress = 0;
-        job.error = null;
-        job.updatedAt = new Date();
-        this.emit('statusUpdated', { jobId: job.id, status: job.status, progress: job.progress });
+        this._setStatus(job, 'queued', { progress: 0, error: null, retryCount: (job.retryCount || 0) + 1 });
         return job;
     }
 
@@ -235,10 +634,11 @@ class PrintQueue extends EventEmitter {
         if (job.status !== 'queued' && job.status !== 'pending') {
             throw new Error('Only queued or pending jobs can be accepted');
         }
-        job.status = 'processing';
-        job.acceptedBy = acceptedBy;
-        job.updatedAt = new Date();
-        this.emit('statusUpdated', { jobId: job.id, status: job.status });
+        const unpaidOrder = this._paymentHold(job);
+        if (unpaidOrder) {
+            throw new Error(`Order ${unpaidOrder.id} must be paid before it can print (${unpaidOrder.symbol || ''}${unpaidOrder.total.toFixed(2)})`);
+        }
+        this._setStatus(job, 'processing', { acceptedBy });
 
         // Start processing the accepted job immediately
         this._executeJob(job).catch(error => {
@@ -258,10 +658,36 @@ class PrintQueue extends EventEmitter {
             throw new Error('Cannot remove job that is currently processing');
         }
 
-        this.jobs.delete(jobId);
-        this.emit('statusUpdated', { jobId: job.id, status: 'removed' });
+        this.jobs.remove(jobId);
+        // A printed job only leaves the list; its order, payment and wallet debit stand
+        if (job.status !== 'completed') {
+            this.emit('statusUpdated', { jobId: job.id, status: 'removed' });
+        }
+        this.emit('jobRemoved', job.id);
+        this.emit('queueStats', this.getStats());
         return { success: true, message: 'Job removed successfully' };
     }
+
+    /**
+     * Drop finished (completed, failed or cancelled) jobs last updated more than maxAge ago.
+     * @param {number} maxAge - Milliseconds; 0 clears every finished job.
+     * @returns {Promise<number>} number of jobs removed.
+     */
+    async cleanupOldJobs(maxAge = 7 * 24 * 60 * 60 * 1000) {
+        const cutoff = Date.now() - maxAge;
+        const finished = this.jobs.all().filter(job =>
+            ['completed', 'failed', 'cancelled'].includes(job.status) && new Date(job.updatedAt).getTime() <= cutoff
+        );
+
+        for (const job of finished) {
+            this.jobs.remove(job.id);
+            this.emit('jobRemoved', job.id);
+        }
+        if (finished.length > 0) {
+            this.emit('queueStats', this.getStats());
+        }
+        return finished.length;
+    }
 }
 
 // Export a singleton instance
@@ -0,0 +1,73 @@
+const config = require('../../config');
+const deadlines = require('../parser/deadlines');
+
+// Lower class prints first
+const PRIORITY_CLASSES = { urgent: 0, high: 1, normal: 2, low: 3 };
+
+class Scheduler {
+    constructor() {
+        this.agingMinutes = config.priorityAgingMinutes;
+        this.pagesPerMinute = config.pagesPerMinute;
+        this.jobHandlingMinutes = config.jobHandlingMinutes;
+    }
+
+    priorityClass(job) {
+        const priority = job.data && job.data.instructions && job.data.instructions.priority;
+        return PRIORITY_CLASSES[priority] !== undefined ? PRIORITY_CLASSES[priority] : PRIORITY_CLASSES.normal;
+    }
+
+    // Every `agingMinutes` spent waiting moves a job up one class so low-priority work is never starved
+    effectiveClass(job, now) {
+        const waited = (now - new Date(job.createdAt).getTime()) / 60000;
+        const promotion = this.agingMinutes > 0 ? Math.floor(waited / this.agingMinutes) : 0;
+        return Math.max(0, this.priorityClass(job) - promotion);
+    }
+
+    durationMs(job) {
+        const pages = job.estimatedPages || 1;
+        return (pages / this.pagesPerMinute + this.jobHandlingMinutes) * 60000;
+    }
+
+    /**
+     * Order waiting jobs: effective priority class, then earliest deadline, then oldest first.
+     * Each entry carries its projected start/finish and whether the job's deadline is at risk.
+     * @param {object[]} jobs - Queued jobs.
+     * @param {object} options - { now: Date, busyUntil: Date } (busyUntil: when in-progress work ends)
+     * @returns {object[]} [{ job, position, priorityClass, effectiveClass, deadline, estimatedStart, estimatedFinish, atRisk, overdue }]
+     */
+    schedule(jobs, { now = new Date(), busyUntil = null } = {}) {
+        const nowMs = now.getTime();
+        const entries = jobs.map(job => {
+            const deadline = deadlines.resolve(job.data && job.data.instructions && job.data.instructions.deadline, new Date(job.createdAt));
+            return {
+                job,
+                priorityClass: this.priorityClass(job),
+                effectiveClass: this.effectiveClass(job, nowMs),
+                deadline
+            };
+        });
+
+        entries.sort((a, b) =>
+            a.effectiveClass - b.effectiveClass ||
+            (a.deadline ? a.deadline.getTime() : Infinity) - (b.deadline ? b.deadline.getTime() : Infinity) ||
+            new Date(a.job.createdAt) - new Date(b.job.createdAt)
+        );
+
+        let cursor = Math.max(nowMs, busyUntil ? busyUntil.getTime() : 0);
+        return entries.map((entry, index) => {
+            const start = cursor;
+            cursor += this.durationMs(entry.job);
+            return {
+                ...entry,
+                position: index + 1,
+                deadline: entry.deadline ? entry.deadline.toISOString() : null,
+                estimatedStart: new Date(start).toISOString(),
+                estimatedFinish: new Date(cursor).toISOString(),
+                atRisk: !!entry.deadline && cursor > entry.deadline.getTime(),
+                overdue: !!entry.deadline && nowMs > entry.deadline.getTime()
+            };
+        });
+    }
+}
+
+module.exports = new Scheduler();
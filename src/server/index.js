@@ -157,13 +157,9 @@ class Server extends EventEmitter {
         // Printer API routes
         this.app.get('/api/printer/status', async (req, res) => {
             try {
-                // Mock printer status for now
-                res.json({
-                    name: 'Microsoft Print to PDF',
-                    status: 'ready',
-                    details: 'PDF printer is ready',
-                    message: 'PDF printer is ready to accept jobs'
-                });
+                const printerManager = require('../printer/printerManager');
+                const status = await printerManager.getPrinterStatus(req.query.name || null);
+                res.json(status);
             } catch (error) {
                 res.status(500).json({
                     error: true,
@@ -172,6 +168,52 @@ class Server extends EventEmitter {
             }
         });
 
+        this.app.get('/api/printers', async (req, res) => {
+            try {
+                const printerManager = require('../printer/printerManager');
+                if (req.query.refresh) {
+                    await printerManager.discoverPrinters();
+                }
+                const printers = await printerManager.getAllPrinters();
+                res.json({ success: true, backend: printerManager.backend.name, printers });
+            } catch (error) {
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // Pricing API routes
+        this.app.get('/api/pricing/rate-card', async (req, res) => {
+            try {
+                const rateCard = require('../pricing/rateCard');
+                res.json({ success: true, rateCard: await rateCard.get() });
+            } catch (error) {
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.put('/api/pricing/rate-card', async (req, res) => {
+            try {
+                const rateCard = require('../pricing/rateCard');
+                const updated = await rateCard.update(req.body || {});
+                res.json({ success: true, rateCard: updated });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.post('/api/pricing/quote', async (req, res) => {
+            try {
+                const pricingEngine = require('../pricing/pricingEngine');
+                const { fileId, pageCount, instructions = {} } = req.body || {};
+                const quote = fileId
+                    ? await pricingEngine.quoteDocument(fileId, instructions)
+                    : await pricingEngine.quote(instructions, parseInt(pageCount, 10) || 1);
+                res.json({ success: true, quote });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
         // Queue API routes
         this.app.get('/api/queue', async (req, res) => {
             try {
@@ -180,7 +222,7 @@ class Server extends EventEmitter {
                 }
                 const status = await this.printQueue.getQueueStatus();
                 const stats = this.printQueue.getStats();
-                res.json({ jobs: status.jobs, stats });
+                res.json({ jobs: status.jobs, schedule: status.schedule, stats });
             } catch (error) {
                 res.status(500).json({
                     success: false,
@@ -189,15 +231,33 @@ class Server extends EventEmitter {
             }
         });
 
+        // Cancel a job, stopping it at the printer if it has been sent; the record stays in the queue
+        this.app.post('/api/queue/job/:jobId/cancel', async (req, res) => {
+            try {
+                const jobId = parseInt(req.params.jobId);
+                if (!this.printQueue) throw new Error('Queue not available');
+                const by = (req.body && req.body.by) || 'Dashboard';
+                const result = await this.printQueue.cancelJob(jobId, { by });
+                // The customer hears about it through the queue's statusUpdated event
+                const job = this.printQueue.getJob(jobId);
+                res.json({ ...result, job });
+            } catch (error) {
+                res.status(error.message === 'Job not found' ? 404 : 400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+
         this.app.delete('/api/queue/job/:jobId', async (req, res) => {
             try {
                 const jobId = parseInt(req.params.jobId);
                 if (!this.printQueue) throw new Error('Queue not available');
-                const job = this.printQueue.jobs.get(jobId); // Get job before removing
+                const job = this.printQueue.getJob(jobId); // Get job before removing
                 const result = await this.printQueue.removeJob(jobId);
                 if (result) {
-                    // Send WhatsApp notification to the user
-                    if (this.whatsapp && job && job.data && job.data.sender) {
+                    // Tell the customer, unless it had printed or they already heard it failed or was cancelled
+                    if (this.whatsapp && job && job.data && job.data.sender && ['queued', 'pending'].includes(job.status)) {
                         const message = `❌ Your print job has been cancelled.\n\n📄 ${job.data.fileName || 'Document'}\n📋 Job ID: ${jobId}\n⏰ Status: Cancelled`;
                         this.whatsapp.sendMessage(job.data.sender, message).catch(err => {
                             console.error('Failed to send cancel notification:', err);
@@ -284,6 +344,277 @@ class Server extends EventEmitter {
             }
         });
 
+        // Order API routes
+        this.app.get('/api/orders', (req, res) => {
+            try {
+                const orderManager = require('../orders/orderManager');
+                const { status = null, sender = null, paid } = req.query;
+                const ledger = require('../payments/ledger');
+                const orders = orderManager.getOrders({
+                    status,
+                    sender,
+                    paid: paid === undefined ? null : paid === 'true'
+                });
+                res.json({ success: true, orders: orders.map(order => ({ ...order, refundDue: ledger.refundDue(order) })) });
+            } catch (error) {
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // Counter lookup by the pickup code the customer shows (typed or scanned)
+        this.app.get('/api/orders/pickup/:code', (req, res) => {
+            try {
+                const orderManager = require('../orders/orderManager');
+                const order = orderManager.findByPickupCode(req.params.code);
+                if (!order) {
+                    return res.status(404).json({ success: false, error: 'No order with that pickup code' });
+                }
+                res.json({ success: true, order: orderManager.getOrderDetails(order.id) });
+            } catch (error) {
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.post('/api/orders/pickup/:code/collect', (req, res) => {
+            try {
+                const orderManager = require('../orders/orderManager');
+                const by = (req.body && req.body.collectedBy) || 'Dashboard';
+                const order = orderManager.collectByCode(req.params.code, { by });
+                res.json({ success: true, order });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.get('/api/orders/:orderId', (req, res) => {
+            try {
+                const orderManager = require('../orders/orderManager');
+                const order = orderManager.getOrderDetails(req.params.orderId);
+                if (!order) {
+                    return res.status(404).json({ success: false, error: 'Order not found' });
+                }
+                res.json({ success: true, order });
+            } catch (error) {
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // Payment taken at the counter for what is still owed (recorded in the ledger as confirmed)
+        this.app.post('/api/orders/:orderId/paid', (req, res) => {
+            try {
+                const orderManager = require('../orders/orderManager');
+                const ledger = require('../payments/ledger');
+                const { method = 'cash', amount = null, reference, by } = req.body || {};
+                const payment = ledger.recordPayment({ orderId: req.params.orderId, method, amount, reference, by });
+                res.json({ success: true, payment, order: orderManager.getOrder(req.params.orderId) });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        // Money handed back for cancelled jobs on a paid order
+        this.app.post('/api/orders/:orderId/refund', (req, res) => {
+            try {
+                const orderManager = require('../orders/orderManager');
+                const ledger = require('../payments/ledger');
+                const { method = null, amount = null, reason = null, by } = req.body || {};
+                const refund = ledger.refund(req.params.orderId, { method, amount, reason, by });
+                res.json({ success: true, refund, order: orderManager.getOrder(req.params.orderId) });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.post('/api/orders/:orderId/collect', (req, res) => {
+            try {
+                const orderManager = require('../orders/orderManager');
+                const by = (req.body && req.body.collectedBy) || 'Dashboard';
+                const order = orderManager.confirmPickup(req.params.orderId, { by });
+                res.json({ success: true, order });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        // Payment ledger routes
+        this.app.get('/api/payments', (req, res) => {
+            try {
+                const ledger = require('../payments/ledger');
+                const { date = null, status = null, method = null, orderId = null } = req.query;
+                res.json({ success: true, payments: ledger.getPayments({ date, status, method, orderId }) });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        // End-of-day report for a shop day (?date=YYYY-MM-DD, default today)
+        this.app.get('/api/payments/cash-up', (req, res) => {
+            try {
+                const ledger = require('../payments/ledger');
+                res.json({ success: true, report: req.query.date ? ledger.cashUp(req.query.date) : ledger.cashUp() });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.post('/api/payments/:paymentId/confirm', (req, res) => {
+            try {
+                const ledger = require('../payments/ledger');
+                const by = (req.body && req.body.by) || 'Dashboard';
+                res.json({ success: true, payment: ledger.confirm(req.params.paymentId, { by }) });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.post('/api/payments/:paymentId/reject', (req, res) => {
+            try {
+                const ledger = require('../payments/ledger');
+                const { by = 'Dashboard', reason = null } = req.body || {};
+                res.json({ success: true, payment: ledger.reject(req.params.paymentId, { by, reason }) });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        // Prepaid account routes (accounts are keyed by WhatsApp JID; a phone number with country code also works)
+        this.app.get('/api/accounts', (req, res) => {
+            try {
+                const accountManager = require('../accounts/accountManager');
+                res.json({ success: true, accounts: accountManager.getAccounts() });
+            } catch (error) {
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.post('/api/accounts', async (req, res) => {
+            try {
+                const accountManager = require('../accounts/accountManager');
+                const { jid, name, creditLimit, by } = req.body || {};
+                const account = await accountManager.openAccount({ jid, name, creditLimit, by });
+                res.json({ success: true, account });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.get('/api/accounts/:jid', (req, res) => {
+            try {
+                const accountManager = require('../accounts/accountManager');
+                const account = accountManager.getAccount(accountManager.toJid(req.params.jid));
+                if (!account) {
+                    return res.status(404).json({ success: false, error: 'Account not found' });
+                }
+                res.json({ success: true, account: { ...account, available: accountManager.available(account) } });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.put('/api/accounts/:jid', (req, res) => {
+            try {
+                const accountManager = require('../accounts/accountManager');
+                const { name, creditLimit, by } = req.body || {};
+                const account = accountManager.updateAccount(req.params.jid, { name, creditLimit, by });
+                res.json({ success: true, account });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.post('/api/accounts/:jid/topup', (req, res) => {
+            try {
+                const accountManager = require('../accounts/accountManager');
+                const { amount, method, reference, by } = req.body || {};
+                const account = accountManager.topUp(req.params.jid, { amount, method, reference, by });
+                res.json({ success: true, account });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.post('/api/accounts/:jid/adjust', (req, res) => {
+            try {
+                const accountManager = require('../accounts/accountManager');
+                const { amount, note, by } = req.body || {};
+                const account = accountManager.adjust(req.params.jid, { amount, note, by });
+                res.json({ success: true, account });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        // Customer directory routes
+        this.app.get('/api/customers', (req, res) => {
+            try {
+                const customerDirectory = require('../customers/customerDirectory');
+                const { search = null, blocked } = req.query;
+                const customers = customerDirectory.getCustomers({
+                    search,
+                    blocked: blocked === undefined ? null : blocked === 'true'
+                });
+                res.json({ success: true, customers });
+            } catch (error) {
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // One customer's profile with their jobs, orders, documents and recent chat
+        this.app.get('/api/customers/:jid', async (req, res) => {
+            try {
+                const customerDirectory = require('../customers/customerDirectory');
+                const orderManager = require('../orders/orderManager');
+                const documentManager = require('../storage/documentManager');
+                const { jid } = req.params;
+                const customer = customerDirectory.getCustomer(jid);
+                if (!customer) {
+                    return res.status(404).json({ success: false, error: 'Customer not found' });
+                }
+                const jobs = this.printQueue.getJobs()
+                    .filter(job => job.data && job.data.sender === jid)
+                    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+                res.json({
+                    success: true,
+                    customer,
+                    jobs,
+                    orders: orderManager.getOrders({ sender: jid }),
+                    documents: await documentManager.getRecentDocuments(50, { sender: jid }),
+                    chat: this.whatsapp ? this.whatsapp.getChatHistory(jid, 50) : []
+                });
+            } catch (error) {
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.put('/api/customers/:jid', (req, res) => {
+            try {
+                const customerDirectory = require('../customers/customerDirectory');
+                const { name, notes } = req.body || {};
+                res.json({ success: true, customer: customerDirectory.updateCustomer(req.params.jid, { name, notes }) });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.post('/api/customers/:jid/block', (req, res) => {
+            try {
+                const customerDirectory = require('../customers/customerDirectory');
+                const { reason = null, by = 'Dashboard' } = req.body || {};
+                res.json({ success: true, customer: customerDirectory.block(req.params.jid, { reason, by }) });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.post('/api/customers/:jid/unblock', (req, res) => {
+            try {
+                const customerDirectory = require('../customers/customerDirectory');
+                res.json({ success: true, customer: customerDirectory.unblock(req.params.jid) });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
         // Documents API routes
         this.app.get('/api/documents/recent', async (req, res) => {
             try {
@@ -328,6 +659,26 @@ class Server extends EventEmitter {
             }
         });
 
+        // Page previews (JPEG), rendered on first request and cached
+        this.app.get('/api/documents/:fileId/previews/:page', async (req, res) => {
+            try {
+                const page = parseInt(req.params.page, 10);
+                if (!(page >= 1)) {
+                    return res.status(400).json({ error: 'Invalid page' });
+                }
+                const documentManager = require('../storage/documentManager');
+                const previews = await documentManager.getPreviews(req.params.fileId, { pages: page });
+                const preview = previews.find(p => p.page === page);
+                if (!preview) {
+                    return res.status(404).json({ error: 'Preview not available' });
+                }
+                res.set('Cache-Control', 'private, max-age=86400');
+                res.sendFile(preview.path);
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
         // Serve document files
         this.app.get('/storage/documents/:filename', (req, res) => {
             try {
@@ -471,6 +822,35 @@ class Server extends EventEmitter {
             console.log('Print queue: Stats updated', stats);
             safeBroadcast({ event: 'queue_stats_updated', stats });
         });
+
+        const orderManager = require('../orders/orderManager');
+        orderManager.on('orderCreated', (order) => {
+            safeBroadcast({ event: 'order_updated', order });
+        });
+
+        orderManager.on('orderUpdated', (order) => {
+            console.log('Orders: Order updated', order.id, order.status);
+            safeBroadcast({ event: 'order_updated', order });
+        });
+
+        const ledger = require('../payments/ledger');
+        for (const event of ['paymentRecorded', 'paymentConfirmed', 'paymentRejected', 'paymentRefunded']) {
+            ledger.on(event, (payment) => {
+                console.log('Payments:', event, payment.id, payment.orderId);
+                safeBroadcast({ event: 'payment_updated', payment });
+            });
+        }
+
+        const customerDirectory = require('../customers/customerDirectory');
+        customerDirectory.on('customerUpdated', (customer) => {
+            safeBroadcast({ event: 'customer_updated', customerId: customer.id });
+        });
+
+        const accountManager = require('../accounts/accountManager');
+        accountManager.on('accountUpdated', (account, transaction) => {
+            console.log('Accounts:', transaction.type, account.id);
+            safeBroadcast({ event: 'account_updated', accountId: account.id, transaction });
+        });
     }
 
     // QR management is now handled by QRManager class
@@ -2,10 +2,17 @@ const fs = require('fs').promises;
 const path = require('path');
 const { randomUUID } = require('crypto');
 const config = require('../../config');
+const pdfInspector = require('./pdfInspector');
+const pdfPages = require('../processing/pdfPages');
+const pagePreviews = require('../processing/pagePreviews');
+const officeConverter = require('../processing/officeConverter');
+
 class DocumentManager {
     constructor() {
         const baseStorage = path.isAbsolute(config.storagePath) ? config.storagePath : path.join(process.cwd(), config.storagePath);
         this.storageDir = path.join(baseStorage, 'documents');
+        this.previewDir = path.join(baseStorage, 'previews');
+        this.previewsUnavailable = false;
         this.ensureStorageDir();
     }
 
@@ -17,7 +24,12 @@ class DocumentManager {
         }
     }
 
-    async saveDocument(buffer, originalName) {
+    /**
+     * @param {Buffer} buffer
+     * @param {string} originalName
+     * @param {object} details - { sender: WhatsApp JID the document came from, metadata: extra fields for the sidecar }
+     */
+    async saveDocument(buffer, originalName, { sender = null, metadata: extra = {} } = {}) {
         try {
             const fileId = randomUUID();
             const extension = path.extname(originalName);
@@ -26,15 +38,21 @@ class DocumentManager {
 
             await fs.writeFile(filePath, buffer);
 
-            // Save metadata with originalName
+            // Save metadata with originalName and sender, plus page count/sizes/colour/encryption for PDFs
+            const metadata = { ...extra, originalName, sender };
+            if (extension.toLowerCase() === '.pdf') {
+                metadata.inspection = await pdfInspector.inspect(buffer);
+            }
             const metaPath = path.join(this.storageDir, `${fileId}.json`);
-            await fs.writeFile(metaPath, JSON.stringify({ originalName }, null, 2));
+            await fs.writeFile(metaPath, JSON.stringify(metadata, null, 2));
 
             return {
                 fileId,
                 fileName,
                 originalName,
                 filePath,
+                inspection: metadata.inspection || null,
+                sender,
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
@@ -43,10 +61,23 @@ class DocumentManager {
         }
     }
 
+    // The sidecar metadata file shares the fileId prefix, so skip it when looking up the document itself
+    async findDocumentFile(fileId) {
+        const files = await fs.readdir(this.storageDir);
+        return files.find(f => f.startsWith(fileId) && f !== `${fileId}.json`) || null;
+    }
+
+    async hasDocument(fileId) {
+        try {
+            return !!(await this.findDocumentFile(fileId));
+        } catch {
+            return false;
+        }
+    }
+
     async getDocument(fileId) {
         try {
-            const files = await fs.readdir(this.storageDir);
-            const file = files.find(f => f.startsWith(fileId));
+            const file = await this.findDocumentFile(fileId);
             
             if (!file) {
                 throw new Error('Document not found');
@@ -63,22 +94,140 @@ class DocumentManager {
         }
     }
 
+    async getMetadata(fileId) {
+        try {
+            const metaPath = path.join(this.storageDir, `${fileId}.json`);
+            return JSON.parse(await fs.readFile(metaPath, 'utf8'));
+        } catch {
+            return {};
+        }
+    }
+
+    async updateMetadata(fileId, fields) {
+        const metaPath = path.join(this.storageDir, `${fileId}.json`);
+        const metadata = { ...(await this.getMetadata(fileId)), ...fields };
+        await fs.writeFile(metaPath, JSON.stringify(metadata, null, 2));
+        return metadata;
+    }
+
+    /**
+     * Page count from the upload inspection, falling back to reading the file for
+     * documents stored before inspection existed. Non-PDFs count as one page.
+     * @returns {Promise<number|null>} null when the PDF cannot be read.
+     */
+    async getPageCount(fileId) {
+        const meta = await this.getMetadata(fileId);
+        if (meta.inspection) return meta.inspection.pageCount;
+
+        const document = await this.getDocument(fileId);
+        if (path.extname(document.path).toLowerCase() !== '.pdf') return 1;
+        return pdfPages.getPageCount(document.buffer).catch(() => null);
+    }
+
+    /**
+     * Store a file generated from another document (page subsets, layouts, conversions).
+     * Derived files are linked to their source and hidden from the recent documents list.
+     */
+    async saveDerivedDocument(sourceFileId, buffer, label, extension = '.pdf') {
+        try {
+            const source = await this.getMetadata(sourceFileId);
+            const baseName = path.parse(source.originalName || sourceFileId).name;
+            const saved = await this.saveDocument(buffer, `${baseName} (${label})${extension}`);
+
+            const metaPath = path.join(this.storageDir, `${saved.fileId}.json`);
+            await fs.writeFile(metaPath, JSON.stringify({
+                ...(await this.getMetadata(saved.fileId)),
+                derivedFrom: sourceFileId,
+                label
+            }, null, 2));
+
+            return { ...saved, derivedFrom: sourceFileId, label };
+        } catch (error) {
+            console.error('Error saving derived document:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Low-resolution JPEGs of the first pages of a stored PDF, rendered once and cached
+     * in <storagePath>/previews/<fileId>/. Empty for other files, or when pdftoppm is not installed.
+     * @returns {Promise<object[]>} [{ page, path }]
+     */
+    async getPreviews(fileId, { pages = config.previewPages } = {}) {
+        const file = fileId ? await this.findDocumentFile(fileId).catch(() => null) : null;
+        if (!file || path.extname(file).toLowerCase() !== '.pdf' || pages <= 0 || this.previewsUnavailable) return [];
+        const pageCount = await this.getPageCount(fileId).catch(() => null);
+        if (!pageCount) return [];
+
+        const dir = path.join(this.previewDir, fileId);
+        const previews = Array.from({ length: Math.min(pages, pageCount) }, (_, index) => ({
+            page: index + 1,
+            path: path.join(dir, `page-${index + 1}.jpg`)
+        }));
+        const missing = [];
+        for (const preview of previews) {
+            if (!(await fs.access(preview.path).then(() => true, () => false))) missing.push(preview.page);
+        }
+        if (missing.length === 0) return previews;
+
+        try {
+            const rendered = await pagePreviews.renderPages(path.join(this.storageDir, file), dir, {
+                first: missing[0],
+                last: missing[missing.length - 1]
+            });
+            const renderedPages = new Set(rendered.map(preview => preview.page));
+            return previews.filter(preview => !missing.includes(preview.page) || renderedPages.has(preview.page));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.previewsUnavailable = true;
+                console.warn(`⚠️ ${config.pdftoppmPath} not found; page previews are off (install poppler-utils or set PDFTOPPM_PATH)`);
+            } else {
+                console.error(`Error rendering previews for ${fileId}:`, error.message);
+            }
+            return [];
+        }
+    }
+
+    /**
+     * Convert a stored office document to PDF, keeping the original. The PDF is saved as a derived
+     * document (and inspected like any uploaded PDF); the original's metadata links to it as `convertedTo`,
+     * or records `conversionError` when conversion fails.
+     * @returns {Promise<object>} The saved PDF, as returned by saveDocument.
+     */
+    async convertToPdf(fileId) {
+        const document = await this.getDocument(fileId);
+        let buffer;
+        try {
+            buffer = await officeConverter.convertToPdf(document.path);
+        } catch (error) {
+            await this.updateMetadata(fileId, { conversionError: error.message });
+            throw error;
+        }
+        const saved = await this.saveDerivedDocument(fileId, buffer, 'PDF');
+        await this.updateMetadata(fileId, { convertedTo: saved.fileId, conversionError: null });
+        return saved;
+    }
+
     async deleteDocument(fileId) {
         try {
+            // A converted office file goes together with its PDF
+            const { convertedTo } = await this.getMetadata(fileId);
+            if (convertedTo) {
+                await this.deleteDocument(convertedTo);
+            }
             const files = await fs.readdir(this.storageDir);
-            const file = files.find(f => f.startsWith(fileId));
-            
-            if (file) {
-                const filePath = path.join(this.storageDir, file);
-                await fs.unlink(filePath);
+            // Remove the document together with its metadata sidecar and previews
+            for (const file of files.filter(f => f.startsWith(fileId))) {
+                await fs.unlink(path.join(this.storageDir, file));
             }
+            await fs.rm(path.join(this.previewDir, fileId), { recursive: true, force: true });
         } catch (error) {
             console.error('Error deleting document:', error.message);
             throw error;
         }
     }
 
-    async getRecentDocuments(limit = 10) {
+    async getRecentDocuments(limit = 10, { sender = null } = {}) {
         try {
             const files = await fs.readdir(this.storageDir);
             const documents = await Promise.all(
@@ -87,25 +236,27 @@ class DocumentManager {
                     const stats = await fs.stat(filePath);
                     const fileId = fileName.split('.')[0];
                     // Try to read metadata for originalName
-                    let originalName = fileName;
-                    try {
-                        const metaPath = path.join(this.storageDir, `${fileId}.json`);
-                        const meta = JSON.parse(await fs.readFile(metaPath, 'utf8'));
-                        if (meta.originalName) originalName = meta.originalName;
-                    } catch {}
+                    const meta = await this.getMetadata(fileId);
+                    const pdfMeta = meta.convertedTo ? await this.getMetadata(meta.convertedTo) : meta;
                     return {
                         fileId,
                         fileName,
-                        originalName,
+                        originalName: meta.originalName || fileName,
                         filePath,
                         timestamp: stats.mtime.toISOString(),
-                        size: stats.size
+                        size: stats.size,
+                        pageCount: pdfMeta.inspection ? pdfMeta.inspection.pageCount : null,
+                        sender: meta.sender || null,
+                        derivedFrom: meta.derivedFrom || null,
+                        convertedTo: meta.convertedTo || null,
+                        conversionError: meta.conversionError || null
                     };
                 })
             );
 
             // Sort by timestamp descending and limit results
             return documents
+                .filter(doc => !doc.derivedFrom && (!sender || doc.sender === sender))
                 .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
                 .slice(0, limit);
         } catch (error) {
@@ -120,6 +271,7 @@ class DocumentManager {
             for (const file of files) {
                 await fs.unlink(path.join(this.storageDir, file));
             }
+            await fs.rm(this.previewDir, { recursive: true, force: true });
         } catch (error) {
             console.error('Error clearing all documents:', error.message);
             throw error;
@@ -0,0 +1,151 @@
+const pdfParse = require('pdf-parse');
+const pdfPages = require('../processing/pdfPages');
+
+const MM_PER_POINT = 25.4 / 72;
+// Tolerance when matching page dimensions to a named paper size
+const SIZE_TOLERANCE_MM = 5;
+const PAPER_SIZES = {
+    A3: [297, 420],
+    A4: [210, 297],
+    A5: [148, 210],
+    Letter: [216, 279],
+    Legal: [216, 356]
+};
+
+// pdf.js operator ids (OPS in pdf.js 1.10) that set a colour or paint an image
+const OPS = {
+    setStrokeRGBColor: 58,
+    setFillRGBColor: 59,
+    setStrokeCMYKColor: 60,
+    setFillCMYKColor: 61,
+    paintJpegXObject: 82,
+    paintImageXObject: 85,
+    paintInlineImageXObject: 86
+};
+const IMAGE_KIND = { GRAYSCALE_1BPP: 1, RGB_24BPP: 2, RGBA_32BPP: 3 };
+// Channel spread above which an RGB value counts as colour rather than grey
+const CHROMA_THRESHOLD = 24;
+const MAX_IMAGE_SAMPLES = 4096;
+
+function isChromatic(r, g, b) {
+    return Math.max(r, g, b) - Math.min(r, g, b) > CHROMA_THRESHOLD;
+}
+
+function paperSizeName(widthPt, heightPt) {
+    const short = Math.min(widthPt, heightPt) * MM_PER_POINT;
+    const long = Math.max(widthPt, heightPt) * MM_PER_POINT;
+    for (const [name, [w, h]] of Object.entries(PAPER_SIZES)) {
+        if (Math.abs(short - w) <= SIZE_TOLERANCE_MM && Math.abs(long - h) <= SIZE_TOLERANCE_MM) {
+            return name;
+        }
+    }
+    return `${Math.round(short)}x${Math.round(long)}mm`;
+}
+
+function imageHasColor(image) {
+    if (!image || !image.data || image.kind === IMAGE_KIND.GRAYSCALE_1BPP) return false;
+    const channels = image.kind === IMAGE_KIND.RGBA_32BPP ? 4 : 3;
+    const pixels = Math.floor(image.data.length / channels);
+    const step = Math.max(1, Math.floor(pixels / MAX_IMAGE_SAMPLES));
+    for (let i = 0; i < pixels; i += step) {
+        const offset = i * channels;
+        if (isChromatic(image.data[offset], image.data[offset + 1], image.data[offset + 2])) return true;
+    }
+    return false;
+}
+
+async function pageHasColor(page) {
+    const { fnArray, argsArray } = await page.getOperatorList();
+    for (let i = 0; i < fnArray.length; i++) {
+        const fn = fnArray[i];
+        const args = argsArray[i];
+        if (fn === OPS.setFillRGBColor || fn === OPS.setStrokeRGBColor) {
+            if (isChromatic(args[0], args[1], args[2])) return true;
+        } else if (fn === OPS.setFillCMYKColor || fn === OPS.setStrokeCMYKColor) {
+            if (args[0] > 0.1 || args[1] > 0.1 || args[2] > 0.1) return true;
+        } else if (fn === OPS.paintImageXObject || fn === OPS.paintJpegXObject) {
+            let image = null;
+            try {
+                image = page.objs.get(args[0]);
+            } catch {
+                // Images pdf.js could not decode are treated as colour so they go to a colour printer
+                return true;
+            }
+            if (fn === OPS.paintJpegXObject && !(image && image.data)) return true;
+            if (imageHasColor(image)) return true;
+        } else if (fn === OPS.paintInlineImageXObject) {
+            if (imageHasColor(args[0])) return true;
+        }
+    }
+    return false;
+}
+
+class PdfInspector {
+    /**
+     * Inspect a PDF: page count, page sizes, orientation, encryption and which pages use colour.
+     * Never throws; unreadable files come back with `corrupt` or `passwordProtected` set.
+     * @param {Buffer} buffer
+     * @returns {Promise<object>}
+     */
+    async inspect(buffer) {
+        const pages = [];
+        const result = {
+            pageCount: null,
+            pages,
+            pageSizes: [],
+            orientation: null,
+            colorPages: [],
+            hasColor: false,
+            encrypted: false,
+            passwordProtected: false,
+            corrupt: false,
+            error: null,
+            inspectedAt: new Date().toISOString()
+        };
+
+        try {
+            // pdf.js reads the whole underlying ArrayBuffer, so hand it a standalone copy
+            const parsed = await pdfParse(new Uint8Array(buffer), {
+                pagerender: async (page) => {
+                    const viewport = page.getViewport(1);
+                    pages.push({
+                        number: page.pageNumber,
+                        width: Math.round(viewport.width),
+                        height: Math.round(viewport.height),
+                        size: paperSizeName(viewport.width, viewport.height),
+                        orientation: viewport.width > viewport.height ? 'landscape' : 'portrait',
+                        color: await pageHasColor(page)
+                    });
+                    return '';
+                }
+            });
+            result.pageCount = parsed.numpages;
+        } catch (error) {
+            if (error.name === 'PasswordException') {
+                result.encrypted = true;
+                result.passwordProtected = true;
+            } else {
+                result.corrupt = true;
+            }
+            result.error = error.message || error.name;
+            return result;
+        }
+
+        // Owner-password PDFs open without a password but still carry an /Encrypt dictionary
+        try {
+            result.encrypted = (await pdfPages.loadPdf(buffer)).isEncrypted;
+        } catch {
+            result.encrypted = false;
+        }
+
+        pages.sort((a, b) => a.number - b.number);
+        result.pageSizes = Array.from(new Set(pages.map(page => page.size)));
+        const orientations = new Set(pages.map(page => page.orientation));
+        result.orientation = orientations.size > 1 ? 'mixed' : (orientations.values().next().value || null);
+        result.colorPages = pages.filter(page => page.color).map(page => page.number);
+        result.hasColor = result.colorPages.length > 0;
+        return result;
+    }
+}
+
+module.exports = new PdfInspector();
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+
+// Rewrite the journal once it holds this many more lines than live records
+const COMPACT_SLACK = 500;
+
+/**
+ * Records keyed by `id`, kept in memory and persisted to an append-only JSON Lines journal.
+ *
+ * Every change appends a line:
+ *   { at, event, record }              snapshot of the record after the change
+ *   { at, event, record, appended }    same, with `appendOnly` lists left out and only their new entries in `appended`
+ *   { at, event: 'removed', id }
+ *   { at, event: 'sequence', nextId }  written when compacting so numeric IDs never go backwards
+ * Replaying the journal restores the latest state of every record. Once it holds COMPACT_SLACK
+ * more lines than records it is rewritten as one full snapshot per record.
+ */
+class Journal {
+    /**
+     * @param {string} filePath - The .jsonl file.
+     * @param {object} options - { label: what the records are (for logs), dateFields: fields revived as
+     *   Date objects, appendOnly: list fields that only grow, journaled as their new entries }
+     */
+    constructor(filePath, { label = 'records', dateFields = ['createdAt', 'updatedAt'], appendOnly = [] } = {}) {
+        this.filePath = filePath;
+        this.label = label;
+        this.dateFields = dateFields;
+        this.appendOnly = appendOnly;
+        this.entries = new Map();
+        // How many entries of each appendOnly list are already in the journal, per record
+        this.persisted = new Map();
+        this.sequence = 1;
+        this.lines = 0;
+        this.load();
+    }
+
+    load() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        if (!fs.existsSync(this.filePath)) return;
+
+        let content = fs.readFileSync(this.filePath, 'utf8');
+        // A crash mid-write can leave a partial last line; cut it off so the next append starts a line of its own
+        const end = content.lastIndexOf('\n') + 1;
+        if (end < content.length) {
+            console.warn(`⚠️ Dropping a partial last line from the ${this.label} journal`);
+            content = content.slice(0, end);
+            fs.truncateSync(this.filePath, Buffer.byteLength(content));
+        }
+
+        for (const [index, line] of content.split('\n').entries()) {
+            if (!line.trim()) continue;
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                console.warn(`⚠️ Skipping unreadable ${this.label} journal line ${index + 1}`);
+                continue;
+            }
+            this.lines++;
+
+            if (entry.event === 'sequence') {
+                this.sequence = Math.max(this.sequence, entry.nextId);
+            } else if (entry.event === 'removed') {
+                this.entries.delete(entry.id);
+                this.persisted.delete(entry.id);
+            } else if (entry.record) {
+                this._restore(entry.record, entry.appended || {});
+            }
+        }
+
+        console.log(`📂 Restored ${this.entries.size} ${this.label} from ${this.filePath}`);
+        this.compactIfNeeded();
+    }
+
+    _restore(record, appended) {
+        const previous = this.entries.get(record.id);
+        for (const field of this.appendOnly) {
+            const base = record[field] || (previous && previous[field]) || [];
+            record[field] = base.concat(appended[field] || []);
+        }
+        for (const field of this.dateFields) {
+            if (record[field]) record[field] = new Date(record[field]);
+        }
+        this.entries.set(record.id, record);
+        this._markPersisted(record);
+        if (typeof record.id === 'number') {
+            this.sequence = Math.max(this.sequence, record.id + 1);
+        }
+    }
+
+    _markPersisted(record) {
+        if (this.appendOnly.length === 0) return;
+        this.persisted.set(record.id, Object.fromEntries(this.appendOnly.map(field => [field, (record[field] || []).length])));
+    }
+
+    append(line) {
+        fs.appendFileSync(this.filePath, JSON.stringify({ at: new Date().toISOString(), ...line }) + '\n');
+        this.lines++;
+        // Snapshots pile up while the server runs, not just between restarts
+        this.compactIfNeeded();
+    }
+
+    compactIfNeeded() {
+        if (this.lines > this.entries.size + COMPACT_SLACK) {
+            this.compact();
+        }
+    }
+
+    nextId() {
+        return this.sequence++;
+    }
+
+    get(id) {
+        return this.entries.get(id);
+    }
+
+    all() {
+        return Array.from(this.entries.values());
+    }
+
+    /**
+     * Persist the current state of a record.
+     * @param {object} record - Must have an `id`.
+     * @param {string} event - What changed, kept in the journal as the event log.
+     */
+    save(record, event = 'updated') {
+        this.entries.set(record.id, record);
+        if (this.appendOnly.length === 0) {
+            this.append({ event, record });
+            return record;
+        }
+
+        const written = this.persisted.get(record.id) || {};
+        const snapshot = { ...record };
+        const appended = {};
+        for (const field of this.appendOnly) {
+            const list = record[field] || [];
+            const count = written[field] || 0;
+            // A list that shrank cannot be expressed as new entries, so it goes in whole
+            if (list.length < count) continue;
+            delete snapshot[field];
+            if (list.length > count) appended[field] = list.slice(count);
+        }
+        this.append({ event, record: snapshot, appended });
+        this._markPersisted(record);
+        return record;
+    }
+
+    remove(id) {
+        const existed = this.entries.delete(id);
+        if (existed) {
+            this.persisted.delete(id);
+            this.append({ event: 'removed', id });
+        }
+        return existed;
+    }
+
+    // Replace the journal with one full snapshot per live record
+    compact() {
+        const tempPath = `${this.filePath}.tmp`;
+        const at = new Date().toISOString();
+        const lines = [JSON.stringify({ at, event: 'sequence', nextId: this.sequence })]
+            .concat(this.all().map(record => JSON.stringify({ at, event: 'snapshot', record })));
+        fs.writeFileSync(tempPath, lines.join('\n') + '\n');
+        fs.renameSync(tempPath, this.filePath);
+        this.lines = lines.length;
+    }
+}
+
+module.exports = Journal;
@@ -0,0 +1,69 @@
+// Calendar arithmetic in the shop's timezone (config.shopTimezone), whatever timezone the server runs in.
+
+const config = require('../../config');
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Calendar date and wall-clock time of an instant in the shop's timezone
+function zonedParts(date, timeZone = config.shopTimezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        weekday: 'short',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(date);
+    const get = type => parts.find(part => part.type === type).value;
+    return {
+        year: Number(get('year')),
+        month: Number(get('month')),
+        day: Number(get('day')),
+        hour: Number(get('hour')) % 24,
+        minute: Number(get('minute')),
+        second: Number(get('second')),
+        weekday: WEEKDAYS.indexOf(get('weekday').toLowerCase().slice(0, 3))
+    };
+}
+
+function offsetMs(instant, timeZone) {
+    const wholeSeconds = Math.floor(instant / 1000) * 1000;
+    const p = zonedParts(new Date(wholeSeconds), timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - wholeSeconds;
+}
+
+// The instant at which the shop's clock reads `minutes` past midnight on the given day (+ `addDays`)
+function atShopTime(day, addDays, minutes, timeZone = config.shopTimezone) {
+    const wallClock = Date.UTC(day.year, day.month - 1, day.day + addDays, 0, minutes);
+    let instant = wallClock - offsetMs(wallClock, timeZone);
+    // Re-check once in case the guess landed on the other side of a DST change
+    instant = wallClock - offsetMs(instant, timeZone);
+    return new Date(instant);
+}
+
+// The shop's business day an instant falls on, as 'YYYY-MM-DD'
+function dayKey(date = new Date(), timeZone = config.shopTimezone) {
+    const p = zonedParts(new Date(date), timeZone);
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+// Start (inclusive) and end (exclusive) of a 'YYYY-MM-DD' business day
+function dayRange(key, timeZone = config.shopTimezone) {
+    const match = String(key || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) {
+        throw new Error(`Invalid date "${key}", expected YYYY-MM-DD`);
+    }
+    const day = { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+    return { start: atShopTime(day, 0, 0, timeZone), end: atShopTime(day, 1, 0, timeZone) };
+}
+
+module.exports = {
+    WEEKDAYS,
+    zonedParts,
+    atShopTime,
+    dayKey,
+    dayRange
+};
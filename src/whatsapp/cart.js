@@ -0,0 +1,126 @@
+const { DEFAULT_INSTRUCTIONS } = require('../parser/instructionParser');
+
+// "file 2: 3 copies", "doc 2 - colour", "#2 duplex"
+const NUMBER_TARGET = /^(?:file|doc(?:ument)?|pdf|no\.?|#)\s*(\d+)\s*[:\-–]?\s*(.*)$/i;
+// "notes.pdf: 3 copies"
+const NAME_TARGET = /^([^:]+?)\s*:\s*(.*)$/;
+
+function baseName(fileName) {
+    return String(fileName).toLowerCase().replace(/\.[a-z0-9]+$/, '');
+}
+
+/**
+ * Documents a WhatsApp customer has sent and not yet submitted, with their instructions.
+ *
+ * Each file's instructions are layered: defaults, then the customer's saved defaults, then the
+ * latest reply meant for every file, then everything said about that file by name ("file 2: 3 copies").
+ * A reply for every file replaces the previous one, as an edit; replies naming a file add to what
+ * was said about it.
+ */
+class Cart {
+    constructor(sender, orderId, preferences = {}) {
+        this.sender = sender;
+        this.orderId = orderId;
+        this.preferences = { ...preferences };
+        this.items = [];
+        this.sharedInstructions = {};
+        this.awaitingConfirmation = false;
+        // Instructions held back while the customer is asked to clarify their deadline
+        this.awaitingDeadline = null;
+        this.createdAt = new Date().toISOString();
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    addDocument({ fileId, fileName, fileSize, inspection = null }) {
+        const item = {
+            number: this.items.length + 1,
+            fileId,
+            fileName,
+            fileSize,
+            inspection,
+            ownInstructions: {},
+            instructions: null,
+            quote: null,
+            previews: null,
+            timestamp: new Date().toISOString()
+        };
+        this.items.push(item);
+        this.refresh(item);
+        this.awaitingConfirmation = false;
+        return item;
+    }
+
+    // Take a file out of the cart; the files after it move up a number
+    removeItem(item) {
+        this.items = this.items.filter(other => other !== item);
+        this.items.forEach((other, index) => {
+            other.number = index + 1;
+        });
+        this.awaitingConfirmation = false;
+    }
+
+    // An item by its number in the cart or by (part of) its file name
+    findItem(ref) {
+        const number = parseInt(ref, 10);
+        if (String(number) === String(ref).trim()) {
+            return this.items.find(item => item.number === number) || null;
+        }
+        const wanted = baseName(String(ref).trim());
+        return this.items.find(item => baseName(item.fileName) === wanted) ||
+            this.items.find(item => baseName(item.fileName).includes(wanted)) ||
+            null;
+    }
+
+    /**
+     * Work out which files a reply is for.
+     * @returns {object} { items: [item] | null (every file), text: the instructions without the file reference }
+     */
+    target(text) {
+        const numbered = text.match(NUMBER_TARGET);
+        if (numbered) {
+            const item = this.findItem(numbered[1]);
+            if (item) return { items: [item], text: numbered[2] };
+            return { items: [], text: numbered[2], missing: `file ${numbered[1]}` };
+        }
+        const named = text.match(NAME_TARGET);
+        if (named && this.findItem(named[1])) {
+            return { items: [this.findItem(named[1])], text: named[2] };
+        }
+        return { items: null, text };
+    }
+
+    /**
+     * Apply a reply's instructions to some files (or all when `items` is null).
+     * @param {object} instructions - Fields the reply mentions (see InstructionParser.extract).
+     * @param {object[]|null} items
+     */
+    apply(instructions, items = null) {
+        if (items) {
+            for (const item of items) {
+                item.ownInstructions = { ...item.ownInstructions, ...instructions };
+            }
+        } else {
+            this.sharedInstructions = { ...instructions };
+        }
+        this.items.forEach(item => this.refresh(item));
+        this.awaitingConfirmation = false;
+    }
+
+    refresh(item) {
+        item.instructions = {
+            ...DEFAULT_INSTRUCTIONS,
+            ...this.preferences,
+            ...this.sharedInstructions,
+            ...item.ownInstructions
+        };
+    }
+
+    total() {
+        return this.items.reduce((sum, item) => sum + (item.quote ? item.quote.total : 0), 0);
+    }
+}
+
+module.exports = Cart;
@@ -6,6 +6,19 @@ const config = require('../../config');
 const { EventEmitter } = require('events');
 const qrcode = require('qrcode-terminal');
 const pino = require('pino');
+const pageRanges = require('../parser/pageRanges');
+const deadlines = require('../parser/deadlines');
+const Cart = require('./cart');
+
+// "my jobs" lists this many of the customer's most recent jobs
+const MY_JOBS_LIMIT = 5;
+const JOB_STATUS_LABELS = {
+    queued: 'in the queue',
+    processing: 'printing now',
+    completed: 'printed',
+    failed: 'failed',
+    cancelled: 'cancelled'
+};
 // const documentManager = require('../storage/documentManager');
 // const printQueue = require('../queue/printQueue');
 // const instructionParser = require('../parser/instructionParser');
@@ -41,7 +54,8 @@ class WhatsAppClient extends EventEmitter {
         this.maxReconnectAttempts = 3; // Reduced from 5
         this.reconnectDelay = 30000; // Increased to 30 seconds
         this.isConnecting = false;
-        this.pendingJobs = new Map();
+        this.carts = new Map(); // { [jid]: Cart } documents waiting to be submitted as one order
+        this.cartTimers = new Map();
         this.qrTimeoutHandle = null;
         this.lastReconnectAttempt = 0; // Track last reconnect attempt
         this.minReconnectInterval = 60000; // Increased to 60 seconds between attempts
@@ -369,9 +383,18 @@ class WhatsAppClient extends EventEmitter {
                 return;
             }
 
+            // Keep the sender's customer profile up to date
+            const customerDirectory = require('../customers/customerDirectory');
+            customerDirectory.recordMessage(remoteJid, { name: message.pushName || null });
+
             // Store message in chat history
             this.storeMessage(remoteJid, message);
 
+            if (customerDirectory.isBlocked(remoteJid)) {
+                console.log(`🚫 Ignoring message from blocked customer ${remoteJid}`);
+                return;
+            }
+
             // Handle document messages
             if (messageContent.documentMessage) {
                 await this.handleDocumentMessage(message);
@@ -445,41 +468,88 @@ class WhatsAppClient extends EventEmitter {
             }
 
             // Save document to storage
-            const savedDoc = await documentManager.saveDocument(fileData.buffer, fileName);
+            const savedDoc = await documentManager.saveDocument(fileData.buffer, fileName, { sender });
 
-            // Create a pending job for this document
-            const pendingJob = {
-                fileId: savedDoc.fileId,
+            // Office files print from a PDF copy; the original is kept alongside it
+            let printable = savedDoc;
+            const officeConverter = require('../processing/officeConverter');
+            if (officeConverter.isConvertible(fileName)) {
+                try {
+                    printable = await documentManager.convertToPdf(savedDoc.fileId);
+                    console.log(`🔄 Converted ${fileName} to PDF (${printable.fileId})`);
+                } catch (conversionError) {
+                    console.error(`Failed to convert ${fileName} to PDF:`, conversionError.message);
+                    this.emit('newDocument', { ...savedDoc, size: fileData.size });
+                    await this.sendMessage(sender,
+                        `❌ We couldn't convert ${fileName} to PDF for printing: ${conversionError.message}.\n` +
+                        `Please save it as a PDF and send it again.`
+                    );
+                    return;
+                }
+            }
+            const converted = printable !== savedDoc ? '🔄 Converted to PDF for printing\n' : '';
+            const inspection = printable.inspection;
+
+            // Unreadable PDFs cannot be printed, so tell the customer now rather than at the counter
+            if (inspection && (inspection.passwordProtected || inspection.corrupt)) {
+                this.emit('newDocument', { ...savedDoc, size: fileData.size });
+                await this.sendMessage(sender, inspection.passwordProtected
+                    ? `🔒 ${fileName} is password protected, so we can't print it.\nPlease remove the password and send it again.`
+                    : `❌ ${fileName} looks damaged and couldn't be opened.\nPlease export it again and resend.`
+                );
+                return;
+            }
+
+            // Collect the document in the customer's cart; every file sent in the session goes into one order
+            const orderManager = require('../orders/orderManager');
+            const customerDirectory = require('../customers/customerDirectory');
+            const preferences = customerDirectory.getPreferences(sender);
+            const cart = this.getCart(sender) || new Cart(sender, orderManager.newOrderId(), preferences);
+            const item = cart.addDocument({
+                fileId: printable.fileId,
                 fileName: savedDoc.originalName || fileName,
-                sender: sender,
-                instructions: {
-                    copies: 1,
-                    paperSize: 'a4',
-                    paperType: 'plain',
-                    colorPages: [],
-                    priority: 'normal',
-                    duplex: false
-                },
-                timestamp: new Date().toISOString(),
-                fileSize: fileData.size
-            };
+                fileSize: fileData.size,
+                inspection
+            });
 
-            // Store as pending job and notify dashboard via event
-            this.setPendingJob(sender, pendingJob);
+            // Store the cart and notify dashboard via event
+            this.saveCart(sender, cart);
             this.emit('newDocument', { ...savedDoc, size: fileData.size });
 
             // Send confirmation and ask for instructions
+            if (cart.size > 1) {
+                await this.sendMessage(sender,
+                    `✅ Document received: ${fileName}\n` +
+                    `📊 Size: ${Math.round(fileData.size / 1024)}KB\n` +
+                    converted +
+                    (inspection ? this.formatInspection(inspection) : '') +
+                    `\n${this.formatCartList(cart)}\n\n` +
+                    `📋 Reply with instructions for all files (e.g. "2 copies, front and back"),\n` +
+                    `or name one: "file ${item.number}: colour pages 1-3".\n` +
+                    `🗑️ Sent the wrong file? Reply "remove file ${item.number}".\n` +
+                    `💬 Or just reply "print" to print everything with ${this.describeDefaults(cart.preferences)}.`
+                );
+                return;
+            }
+
             await this.sendMessage(sender,
                 `✅ Document received: ${fileName}\n` +
-                `📊 Size: ${Math.round(fileData.size / 1024)}KB\n\n` +
+                `📊 Size: ${Math.round(fileData.size / 1024)}KB\n` +
+                converted +
+                (inspection ? this.formatInspection(inspection) : '') +
+                `\n` +
                 `📋 Please reply with your print instructions:\n` +
                 `• "2 copies" - for multiple copies\n` +
+                `• "Pages 3-10" or "skip page 1" - to print only some pages\n` +
                 `• "Color pages 1-3" - for specific color pages\n` +
                 `• "A3 paper" - for different paper size\n` +
+                `• "2 per page", "booklet" or "fit to A4" - for page layout\n` +
                 `• "Urgent" - for priority printing\n` +
                 `• "Glossy paper" - for different paper type\n` +
                 `• "Front and back" - for double-sided printing\n\n` +
-                `💬 Or just reply "print" for default settings (1 copy, A4, single-sided)`
+                `📎 Sending more files? They'll go in the same order.\n` +
+                `💬 Or just reply "print" for ${this.describeDefaults(cart.preferences)}` +
+                (Object.keys(cart.preferences).length === 0 ? `\n💾 Always want the same? Reply "set default duplex, 2 copies"` : '')
             );
 
         } catch (error) {
@@ -504,32 +574,74 @@ class WhatsAppClient extends EventEmitter {
                 return;
             }
             
-            const instructionParser = require('../parser/instructionParser');
             const documentManager = require('../storage/documentManager');
-            const printQueue = require('../print/queue');
             const text = (message.message.conversation || message.message.extendedTextMessage?.text || '').trim().toLowerCase();
             const sender = message.key.remoteJid;
             if (!text) return;
             console.log(`💬 Text message received: ${text} from ${sender}`);
 
-            // Cancel job command
-            if (text === 'cancel job') {
-                try {
-                    const queueInstance = require('../queue/printQueue');
-                    const jobs = Array.from(queueInstance.jobs.values());
-                    const userJob = jobs
-                        .filter(j => (j.status === 'queued' || j.status === 'pending') && j.data && j.data.sender === sender)
-                        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))[0];
-                    if (userJob) {
-                        await queueInstance.removeJob(userJob.id);
-                        await this.sendMessage(sender, '❌ Your print job has been cancelled.');
-                    } else {
-                        await this.sendMessage(sender, 'No pending print job found to cancel.');
-                    }
-                } catch (e) {
-                    console.error('Error cancelling job for user:', e);
-                    await this.sendMessage(sender, '❌ Failed to cancel job. Please try again.');
-                }
+            // Cancel jobs: "cancel job" (a list to choose from when there are several), "cancel 14", "cancel all"
+            const cancelCommand = text.match(/^cancel\s+(?:(all)(?:\s+(?:my\s+)?(?:jobs|orders))?|(?:my\s+)?(?:job|order)(?:\s*#?(\d+))?|#?(\d+))$/);
+            if (cancelCommand) {
+                const [, all, jobNumber, bareNumber] = cancelCommand;
+                const id = jobNumber || bareNumber;
+                await this.handleCancel(sender, all ? 'all' : (id ? parseInt(id, 10) : null));
+                return;
+            }
+
+            // Prepaid wallet balance and recent activity
+            if (text === 'balance' || text === 'my balance' || text === 'wallet') {
+                await this.sendMessage(sender, this.formatBalance(sender));
+                return;
+            }
+
+            // Saved print defaults: "set default duplex, 2 copies", "my defaults", "clear defaults"
+            const defaultsCommand = text.match(/^(?:set|save)\s+(?:my\s+)?defaults?\b[\s:,-]*(.*)$/);
+            if (defaultsCommand) {
+                await this.handleSetDefaults(sender, defaultsCommand[1]);
+                return;
+            }
+            if (['my defaults', 'show defaults', 'defaults'].includes(text)) {
+                const customerDirectory = require('../customers/customerDirectory');
+                const preferences = customerDirectory.getPreferences(sender);
+                await this.sendMessage(sender, Object.keys(preferences).length > 0
+                    ? `💾 Your defaults: ${this.describeDefaults(preferences)}.\nChange them with "set default ..." or reply "clear defaults".`
+                    : `💾 You have no saved defaults, so documents print as ${this.describeDefaults({})}.\nSave some with e.g. "set default duplex, 2 copies".`);
+                return;
+            }
+            if (['clear defaults', 'reset defaults', 'clear default', 'reset default'].includes(text)) {
+                const customerDirectory = require('../customers/customerDirectory');
+                customerDirectory.setPreferences(sender, {});
+                await this.sendMessage(sender, `🗑️ Saved defaults cleared. New documents will print as ${this.describeDefaults({})}.`);
+                return;
+            }
+            if (/^(?:same\s+as\s+(?:last\s+time|last|before|previous|usual)|same\s+again|as\s+usual)$/.test(text)) {
+                await this.handleSameAsLastTime(sender);
+                return;
+            }
+
+            // Live status of the customer's jobs ("status", "where is my job?", "queue", "jobs"), or of one job ("status 14")
+            const statusCommand = text.replace(/[?!.]+$/, '').match(/^(?:status|job status|track|queue|jobs|where(?:'s|\s+is|\s+are)\s+my\s+(?:jobs?|orders?|prints?|printouts?))(?:\s+(?:of\s+)?(?:job\s*)?#?(\d+))?$/);
+            if (statusCommand) {
+                await this.sendMessage(sender, await this.formatJobStatus(sender, statusCommand[1] ? parseInt(statusCommand[1], 10) : null));
+                return;
+            }
+
+            // Order history and reprints: "my jobs", "reprint 2", "reprint last, 5 copies", "reprint #14"
+            if (['my jobs', 'my orders', 'history', 'my history'].includes(text)) {
+                await this.sendMessage(sender, await this.formatJobHistory(sender));
+                return;
+            }
+            const reprintCommand = text.match(/^(?:reprint|re-print|reorder|print again)(?:\s+(last|(?:job\s*)?#?\d+))?\b[\s,:-]*(.*)$/);
+            if (reprintCommand) {
+                await this.handleReprint(sender, reprintCommand[1] || 'last', reprintCommand[2]);
+                return;
+            }
+
+            // UPI transaction reference for an unpaid order ("utr 412345678901", or the 12-digit UTR on its own)
+            const upiReference = this.parseUpiReference(text);
+            if (upiReference) {
+                await this.handleUpiReference(sender, upiReference);
                 return;
             }
 
@@ -555,55 +667,23 @@ class WhatsAppClient extends EventEmitter {
                 return;
             }
 
-            // Check for pending job first (allows processing instructions even without active session)
-            const pendingJob = this.getPendingJob(sender);
-            if (pendingJob) {
+            // Check for a cart first (allows processing instructions even without active session)
+            const cart = this.getCart(sender);
+            if (cart) {
                 // Activate session if not already active
                 if (!session.active) {
                     session.active = true;
                     this.userSessions.set(sender, session);
                 }
-                // Parse instructions from text
-                const instructions = instructionParser.parse(text);
-                // Update the pending job with instructions
-                const updatedJob = {
-                    ...pendingJob,
-                    instructions: {
-                        ...pendingJob.instructions,
-                        ...instructions
-                    }
-                };
-
-                // Add job to print queue
-                try {
-                    const printQueue = require('../queue/printQueue');
-                    const queuedJob = await printQueue.addJob(updatedJob);
-                    console.log(`📋 Print job added to queue: ${queuedJob.id}`);
-
-                    // Send confirmation with queue position
-                    const queueMessage = await this.getQueueMessage(sender, queuedJob);
-                    await this.sendMessage(sender,
-                        `✅ Print job created!\n\n` +
-                        `📄 ${updatedJob.fileName}\n` +
-                        `📋 Copies: ${updatedJob.instructions.copies}\n` +
-                        `📏 Paper: ${updatedJob.instructions.paperSize.toUpperCase()}\n` +
-                        `🎨 Color pages: ${updatedJob.instructions.colorPages.length > 0 ? updatedJob.instructions.colorPages.join(', ') : 'None'}\n` +
-                        `⏰ Priority: ${updatedJob.instructions.priority}\n` +
-                        `📄 Printing: ${updatedJob.instructions.duplex ? 'Front & Back' : 'Single Side'}\n\n` +
-                        `🖨️ ${queueMessage}`
-                    );
-                } catch (queueError) {
-                    console.error('Failed to add job to print queue:', queueError);
-                    await this.sendMessage(sender,
-                        `⚠️ Print job created but failed to add to queue: ${queueError.message}\n` +
-                        `Please contact support if this issue persists.`
-                    );
+                if (cart.awaitingDeadline) {
+                    await this.handleDeadlineReply(sender, cart, text);
+                } else if (cart.awaitingConfirmation) {
+                    await this.handleConfirmationReply(sender, cart, text);
+                } else {
+                    await this.handleCartInstructions(sender, cart, text);
                 }
-
-                // Emit print job event for other components
-                this.emit('printJob', updatedJob);
-                // Remove from pending jobs
-                this.removePendingJob(sender);
+                // The cart has taken the reply; it must not also answer a pending photo batch
+                return;
             } else {
                 // Code message to start sequence
                 if (!session.active) {
@@ -616,28 +696,35 @@ class WhatsAppClient extends EventEmitter {
 📄 Send me a document to print
 💬 Or reply to a document with instructions like:
 • "2 copies"
+• "Pages 3-10" or "odd pages"
 • "Color pages 1-3"
 • "A3 paper, urgent"
 • "3 copies, glossy paper"
 • "Front and back" for double-sided printing
+• "By 5pm", "tomorrow morning" or "in 2 hours"
+• "Same as last time" to reuse your previous settings
+• "My jobs" and "reprint 1" to print a previous job again
+• "Status" to see where your jobs are in the queue
+
+💾 Save your usual settings with "set default duplex, 2 copies"
 
 🆘 Need help? Just ask!
 Type "exit" anytime to end this session.`);
                     } else {
-                        // Handle "print" command even without pending job (for testing or if job was cleared)
+                        // Handle "print" command even without a cart (for testing or if the cart was cleared)
                         if (text.toLowerCase() === 'print') {
                             await this.sendMessage(sender, 'No document found to print. Please send a document first, then reply with "print" or specify your requirements.');
                         } else if (text === 'help') {
-                            await this.sendMessage(sender, 'Tips: Send a document, then reply with instructions like "2 copies", "color pages 1-3". Type "cancel job" to cancel.');
+                            await this.sendMessage(sender, 'Tips: Send one or more documents, then reply with instructions like "2 copies", "color pages 1-3" or "file 2: 3 copies". Type "status" to track your jobs, "cancel job" (or "cancel 14", "cancel all") to cancel, "my jobs" to see your recent jobs and "reprint 1" to print one again, "set default duplex, 2 copies" to save your usual settings, "same as last time" to reuse your last order\'s, or "balance" to check your prepaid balance.');
                         }
                         // Only respond to code message, ignore other texts
                     }
                     return;
                 }
 
-                // Session is active but no pending job
+                // Session is active but nothing in the cart
                 if (text === 'help') {
-                    await this.sendMessage(sender, 'Tips: Send a document, then reply with instructions like "2 copies", "color pages 1-3". Type "cancel job" to cancel.');
+                    await this.sendMessage(sender, 'Tips: Send one or more documents, then reply with instructions like "2 copies", "color pages 1-3" or "file 2: 3 copies". Type "status" to track your jobs, "cancel job" (or "cancel 14", "cancel all") to cancel, "my jobs" to see your recent jobs and "reprint 1" to print one again, "set default duplex, 2 copies" to save your usual settings, "same as last time" to reuse your last order\'s, or "balance" to check your prepaid balance.');
                 }
             }
 
@@ -646,23 +733,29 @@ Type "exit" anytime to end this session.`);
                 // User is responding to image batch prompt
                 const num = parseInt(text);
                 if ([1,2,4,6,8,9,12,16].includes(num)) {
-                    // Create a preview (simulate for now)
-                    // In production, generate a real preview image and send to dashboard
-                    this.emit('imageBatchPreview', { sender, images: session.pendingImageBatch, perPage: num });
-                    await this.sendMessage(sender, `🖼️ Preview sent to dashboard.\nType 'print color' or 'print bw' to print in color or black & white.`);
-                    session.imageBatchPerPage = num;
-                    this.userSessions.set(sender, session);
+                    await this.layoutImageBatch(sender, session, num, text);
                     return;
                 }
                 if (text === 'print color' || text === 'print bw') {
-                    if (session.pendingImageBatch && session.imageBatchPerPage) {
-                        // Create a print job for the batch
+                    if (session.pendingImageBatch && session.imageBatchLayout) {
+                        // Create a print job for the laid-out batch
+                        const layout = session.imageBatchLayout;
+                        const printerManager = require('../printer/printerManager');
+                        const unprintable = printerManager.checkPaperSize({ paperSize: layout.paperSize, color: text === 'print color' });
+                        if (unprintable) {
+                            await this.sendMessage(sender, `❌ ${unprintable}.\nReply with a layout on another size (e.g. "4 a4") or "print bw".`);
+                            return;
+                        }
                         const printJob = {
+                            fileId: layout.fileId,
+                            fileName: layout.fileName,
+                            fileSize: layout.fileSize,
                             images: session.pendingImageBatch,
+                            previews: layout.previews,
                             sender: sender,
                             instructions: {
                                 copies: 1,
-                                paperSize: 'a4',
+                                paperSize: layout.paperSize,
                                 paperType: 'photo',
                                 color: text === 'print color',
                                 perPage: session.imageBatchPerPage,
@@ -671,15 +764,25 @@ Type "exit" anytime to end this session.`);
                             },
                             timestamp: new Date().toISOString()
                         };
+                        const pricingEngine = require('../pricing/pricingEngine');
+                        printJob.quote = await pricingEngine.quote(printJob.instructions, layout.sheets).catch(() => null);
                         // Add job to print queue
                         try {
                             const printQueue = require('../queue/printQueue');
+                            const orderManager = require('../orders/orderManager');
+                            printJob.orderId = orderManager.newOrderId();
                             const queuedJob = await printQueue.addJob(printJob);
                             console.log(`📋 Print job added to queue: ${queuedJob.id}`);
+                            const customerDirectory = require('../customers/customerDirectory');
+                            const order = orderManager.createOrder({ id: printJob.orderId, sender, customerName: customerDirectory.displayName(sender), jobs: [queuedJob] });
+                            const walletNote = this.chargeWallet(order);
                             // Send confirmation with queue position
                             const queueMessage = await this.getQueueMessage(sender, queuedJob);
                             await this.sendMessage(sender, 
-                                `✅ Print job created for ${session.pendingImageBatch.length} images (${text === 'print color' ? 'Color' : 'B&W'}).`);
+                                `✅ Print job created for ${session.pendingImageBatch.length} images (${text === 'print color' ? 'Color' : 'B&W'}).` +
+                                (printJob.quote ? `\n\n${pricingEngine.formatQuote(printJob.quote)}` : '') +
+                                walletNote +
+                                this.formatPaymentPrompt(order));
                             // Emit print job event for other components
                             this.emit('printJob', printJob);
                         } catch (queueError) {
@@ -691,6 +794,7 @@ Type "exit" anytime to end this session.`);
                         }
                         delete session.pendingImageBatch;
                         delete session.imageBatchPerPage;
+                        delete session.imageBatchLayout;
                         this.userSessions.set(sender, session);
                         return;
                     }
@@ -752,7 +856,7 @@ Type "exit" anytime to end this session.`);
             }
 
             // Save image to storage
-            const savedDoc = await documentManager.saveDocument(imageData.buffer, fileName);
+            const savedDoc = await documentManager.saveDocument(imageData.buffer, fileName, { sender });
             
             // Grouping logic
             let batch = this.imageBatchBuffer.get(sender);
@@ -763,6 +867,7 @@ Type "exit" anytime to end this session.`);
             batch.images.push({
                 fileId: savedDoc.fileId,
                 fileName: savedDoc.originalName || fileName,
+                caption: image.caption || null,
                 path: savedDoc.filePath,
                 timestamp: new Date().toISOString(),
                 size: imageData.size
@@ -776,7 +881,8 @@ Type "exit" anytime to end this session.`);
                 if (images.length > 1) {
                     // Ask user for grouping option
                     await this.sendMessage(sender,
-                        `📸 You sent ${images.length} images.\nHow many images per page do you want? (1, 2, 4, 6, 8, 9, 12, 16)\nReply with a number.`
+                        `📸 You sent ${images.length} images.\nHow many images per page do you want? (1, 2, 4, 6, 8, 9, 12, 16)\n` +
+                        `Reply with a number. Add "crop" to fill each space, "captions" to print each photo's caption, or a paper size like "a3".`
                     );
                     // Store batch in session for next step
                     let session = this.userSessions.get(sender) || { active: true };
@@ -815,6 +921,68 @@ Type "exit" anytime to end this session.`);
         }
     }
 
+    /**
+     * Compose a customer's pending photos into a PDF at the grid they chose and keep it as the batch's document.
+     * @param {string} text - Their reply: "4", "4 crop", "6 captions a3"
+     */
+    async layoutImageBatch(sender, session, perPage, text) {
+        const documentManager = require('../storage/documentManager');
+        const imageLayout = require('../processing/imageLayout');
+        const instructionParser = require('../parser/instructionParser');
+        const images = session.pendingImageBatch;
+        const options = {
+            perPage,
+            paperSize: instructionParser.extractPaperSize(text) || 'a4',
+            fit: /\b(?:crop|cropped|fill)\b/.test(text) ? 'cover' : 'contain',
+            captions: /\b(?:captions?|labels?|names?)\b/.test(text)
+        };
+
+        let layout;
+        try {
+            const sources = [];
+            for (const [index, image] of images.entries()) {
+                const { buffer } = await documentManager.getDocument(image.fileId);
+                sources.push({ buffer, caption: image.caption || `Photo ${index + 1}` });
+            }
+            layout = await imageLayout.layoutImages(sources, options);
+        } catch (error) {
+            console.error(`Failed to lay out images for ${sender}:`, error);
+            await this.sendMessage(sender, `❌ Couldn't lay out your photos: ${error.message}\nPlease send them again as JPEG or PNG images.`);
+            return;
+        }
+
+        const saved = await documentManager.saveDocument(layout.buffer, `${images.length} photos, ${perPage} per page.pdf`, {
+            sender,
+            metadata: {
+                layout: { ...options, images: images.map(image => image.fileId), sheets: layout.sheets, columns: layout.columns, rows: layout.rows, orientation: layout.orientation }
+            }
+        });
+        if (session.imageBatchLayout) {
+            // The customer picked a different layout; the one it replaces was never printed
+            await documentManager.deleteDocument(session.imageBatchLayout.fileId).catch(() => {});
+        }
+        session.imageBatchPerPage = perPage;
+        session.imageBatchLayout = {
+            fileId: saved.fileId,
+            fileName: saved.originalName,
+            fileSize: layout.buffer.length,
+            paperSize: options.paperSize,
+            sheets: layout.sheets,
+            previews: []
+        };
+        this.userSessions.set(sender, session);
+        this.emit('newDocument', { ...saved, size: layout.buffer.length });
+        session.imageBatchLayout.previews = await this.sendPreviews(sender, saved.fileId, `${images.length} photos, ${perPage} per page`);
+        this.emit('imageBatchPreview', { sender, images, perPage, fileId: saved.fileId, sheets: layout.sheets, previews: session.imageBatchLayout.previews });
+
+        const details = [`${layout.columns} × ${layout.rows}`, layout.orientation]
+            .concat(options.fit === 'cover' ? ['cropped to fill'] : [])
+            .concat(options.captions ? ['with captions'] : []);
+        await this.sendMessage(sender,
+            `🖼️ Your ${images.length} photos fit on ${layout.sheets} ${options.paperSize.toUpperCase()} page${layout.sheets === 1 ? '' : 's'} (${details.join(', ')}).\n` +
+            `Type 'print color' or 'print bw' to print in color or black & white, or reply with another number to change the layout.`);
+    }
+
     async downloadDocument(url, fileName, messageObj = null) {
         try {
             if (!this.client) {
@@ -937,30 +1105,333 @@ Type "exit" anytime to end this session.`);
             'png': 'image/png',
             'doc': 'application/msword',
             'docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            'odt': 'application/vnd.oasis.opendocument.text',
+            'rtf': 'application/rtf',
+            'ppt': 'application/vnd.ms-powerpoint',
+            'pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+            'odp': 'application/vnd.oasis.opendocument.presentation',
+            'xls': 'application/vnd.ms-excel',
+            'xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            'ods': 'application/vnd.oasis.opendocument.spreadsheet',
+            'csv': 'text/csv',
             'txt': 'text/plain'
         };
         return mimeTypes[ext] || 'application/octet-stream';
     }
 
-    // Pending jobs management
-    getPendingJob(sender) {
-        return this.pendingJobs.get(sender);
+    /**
+     * Apply a reply's instructions to the customer's cart (every file, or the ones it names),
+     * price each file and ask them to confirm the order.
+     * Small default orders (see config.autoConfirmMaxPrice) are submitted straight away.
+     * @param {string} sender
+     * @param {Cart} cart
+     * @param {object} instructions - Fields the reply mentions (see InstructionParser.extract).
+     * @param {object[]|null} items - Files the reply is for, or null for all of them.
+     */
+    async reviewCart(sender, cart, instructions, items = null) {
+        // Settle an unclear deadline ("by 8": morning or evening?) before pricing and confirming
+        if (instructions.deadlineUnclear) {
+            const { deadlineUnclear, ...rest } = instructions;
+            cart.awaitingConfirmation = false;
+            cart.awaitingDeadline = { instructions: rest, items: items && items.map(item => item.number) };
+            this.saveCart(sender, cart);
+            await this.sendMessage(sender,
+                `⏰ ${deadlineUnclear}\n` +
+                `Reply with a time like "by 5pm", "tomorrow morning" or "in 2 hours", or "no rush" if there's no deadline.`
+            );
+            return;
+        }
+
+        cart.awaitingDeadline = null;
+        cart.apply(instructions, items);
+
+        // Turn away paper no printer here can feed before quoting for it
+        const printerManager = require('../printer/printerManager');
+        const unprintable = cart.items.find(item => printerManager.checkPaperSize(item.instructions));
+        if (unprintable) {
+            this.saveCart(sender, cart);
+            await this.sendMessage(sender,
+                `❌ ${printerManager.checkPaperSize(unprintable.instructions)}` +
+                (cart.size > 1 ? `, so file ${unprintable.number} (${unprintable.fileName}) can't be printed as asked.` : '.') +
+                `\nPlease send the instructions again with another size, e.g. "A4 paper".`
+            );
+            return;
+        }
+
+        // Quote from the rate card using each document's real page count
+        const pricingEngine = require('../pricing/pricingEngine');
+        for (const item of cart.items) {
+            try {
+                item.quote = await pricingEngine.quoteDocument(item.fileId, item.instructions);
+            } catch (quoteError) {
+                console.error(`Failed to price ${item.fileName}:`, quoteError);
+                item.quote = null;
+            }
+        }
+
+        const empty = cart.items.find(item => item.quote && item.quote.printedPages === 0);
+        if (empty) {
+            this.saveCart(sender, cart);
+            await this.sendMessage(sender,
+                `❌ ${empty.fileName} has ${empty.quote.pageCount} page${empty.quote.pageCount === 1 ? '' : 's'}, ` +
+                `so "${pageRanges.format(empty.instructions.pages)}" doesn't select anything.\nPlease send the instructions again.`
+            );
+            return;
+        }
+
+        if (this.canSkipConfirmation(cart)) {
+            await this.submitCart(sender, cart);
+            return;
+        }
+
+        // Show each document's first pages once, so the customer sees what will print before saying yes
+        for (const item of cart.items.filter(item => !item.previews)) {
+            item.previews = await this.sendPreviews(sender, item.fileId, cart.size > 1 ? `File ${item.number}: ${item.fileName}` : item.fileName);
+        }
+
+        cart.awaitingConfirmation = true;
+        this.saveCart(sender, cart);
+        await this.sendMessage(sender,
+            `📝 Please check your ${cart.size > 1 ? 'order' : 'print job'}:\n\n` +
+            `${this.formatCartSummary(cart)}\n\n` +
+            `Reply *yes* to print, *edit* to change the instructions, or *cancel* to discard ${cart.size > 1 ? 'the order' : 'it'}.` +
+            (cart.size > 1 ? `\nTo change one file, name it: "file 2: 3 copies".` : '')
+        );
+    }
+
+    // A reply that isn't a yes/edit/cancel keyword: instructions for every file or for the file it names
+    async handleCartInstructions(sender, cart, text) {
+        const instructionParser = require('../parser/instructionParser');
+        const removal = text.match(/^(?:remove|delete|drop)\s+(.+)$/);
+        if (removal) {
+            await this.removeCartItem(sender, cart, removal[1]);
+            return;
+        }
+        const target = cart.target(text);
+        if (target.missing) {
+            await this.sendMessage(sender,
+                `❌ There's no ${target.missing} in your order.\n\n${this.formatCartList(cart)}`
+            );
+            return;
+        }
+        await this.reviewCart(sender, cart, instructionParser.extract(target.text), target.items);
+    }
+
+    // "remove file 2", "remove notes.pdf": take one file out of the order
+    async removeCartItem(sender, cart, ref) {
+        const item = cart.findItem(ref.replace(/^(?:file|doc(?:ument)?|pdf|no\.?|#)\s*/, ''));
+        if (!item) {
+            await this.sendMessage(sender, `❌ There's no ${ref} in your order.\n\n${this.formatCartList(cart)}`);
+            return;
+        }
+
+        // A summary the customer was about to confirm no longer matches the order, so show a new one
+        const wasConfirming = cart.awaitingConfirmation;
+        cart.removeItem(item);
+        if (cart.size === 0) {
+            this.removeCart(sender);
+            await this.sendMessage(sender, `🗑️ Removed ${item.fileName}. Your order is empty; send a document to start again.`);
+            return;
+        }
+        await this.sendMessage(sender, `🗑️ Removed ${item.fileName}.\n\n${this.formatCartList(cart)}`);
+        if (wasConfirming) {
+            await this.reviewCart(sender, cart, cart.sharedInstructions);
+        } else {
+            this.saveCart(sender, cart);
+        }
+    }
+
+    formatInspection(inspection) {
+        const colour = inspection.hasColor
+            ? `🎨 Colour on page${inspection.colorPages.length === 1 ? '' : 's'} ${pageRanges.format(inspection.colorPages)}\n`
+            : '⚫ Black & white only\n';
+        return `📑 Pages: ${inspection.pageCount} (${inspection.pageSizes.join(', ')}, ${inspection.orientation})\n` +
+            colour +
+            (inspection.encrypted ? '🔐 This PDF has copy/print restrictions; we will print it as-is.\n' : '');
+    }
+
+    canSkipConfirmation(cart) {
+        const limit = config.autoConfirmMaxPrice;
+        return limit > 0 &&
+            cart.items.every(item => item.quote && item.instructions.copies === 1 && item.instructions.priority !== 'urgent') &&
+            cart.total() <= limit;
+    }
+
+    async handleConfirmationReply(sender, cart, text) {
+        if (['yes', 'y', 'ok', 'okay', 'confirm', 'print'].includes(text)) {
+            await this.submitCart(sender, cart);
+        } else if (['cancel', 'no', 'n'].includes(text)) {
+            this.removeCart(sender);
+            await this.sendMessage(sender, `❌ ${this.describeCart(cart)} discarded. Send a document to start again.`);
+        } else if (text === 'edit') {
+            cart.awaitingConfirmation = false;
+            this.saveCart(sender, cart);
+            await this.sendMessage(sender,
+                `✏️ Send the new instructions for ${cart.size > 1 ? 'all files' : cart.items[0].fileName}, e.g. "2 copies", "pages 3-10", "front and back".` +
+                (cart.size > 1 ? `\nOr name one file: "file 2: colour pages 1-3".` : '')
+            );
+        } else {
+            // Anything else is read as corrected instructions
+            await this.handleCartInstructions(sender, cart, text);
+        }
+    }
+
+    async handleDeadlineReply(sender, cart, text) {
+        const { instructions, items } = cart.awaitingDeadline;
+        const targets = items && items.map(number => cart.findItem(number)).filter(Boolean);
+        if (text === 'cancel') {
+            this.removeCart(sender);
+            await this.sendMessage(sender, `❌ ${this.describeCart(cart)} discarded. Send a document to start again.`);
+            return;
+        }
+        if (/\b(?:no rush|no deadline|any ?time|whenever)\b/.test(text)) {
+            await this.reviewCart(sender, cart, { ...instructions, deadline: null }, targets);
+            return;
+        }
+
+        // A bare "10:30" or "5" answers the question too
+        const deadline = deadlines.parse(text) || deadlines.parse(`by ${text}`);
+        if (deadline && deadline.at) {
+            await this.reviewCart(sender, cart, { ...instructions, deadline: deadline.at }, targets);
+            return;
+        }
+        this.saveCart(sender, cart);
+        await this.sendMessage(sender,
+            `⏰ ${deadline ? deadline.unclear : "I couldn't find a time in that."}\n` +
+            `Reply with a time like "by 5pm", "tomorrow morning" or "in 2 hours", "no rush", or "cancel".`
+        );
+    }
+
+    formatJobSummary(job) {
+        const pricingEngine = require('../pricing/pricingEngine');
+        const imposition = require('../processing/imposition');
+        return `📄 ${job.fileName}\n` +
+            `📋 Copies: ${job.instructions.copies}\n` +
+            `📏 Paper: ${job.instructions.paperSize.toUpperCase()}\n` +
+            `📑 Pages: ${pageRanges.format(job.instructions.pages)}\n` +
+            `🎨 Color pages: ${pageRanges.hasPages(job.instructions.colorPages) ? pageRanges.format(job.instructions.colorPages) : 'None'}\n` +
+            `⏰ Priority: ${job.instructions.priority}\n` +
+            (job.instructions.deadline ? `⏳ Needed by: ${deadlines.format(job.instructions.deadline)}\n` : '') +
+            `📄 Printing: ${job.instructions.duplex ? 'Front & Back' : 'Single Side'}` +
+            (imposition.needsImposition(job.instructions) ? `\n🗞️ Layout: ${imposition.describe(job.instructions)}` : '') +
+            (job.quote ? `\n\n${pricingEngine.formatQuote(job.quote)}` : '');
+    }
+
+    formatCartSummary(cart) {
+        if (cart.size === 1) return this.formatJobSummary(cart.items[0]);
+        const pricingEngine = require('../pricing/pricingEngine');
+        const quoted = cart.items.find(item => item.quote);
+        return cart.items.map(item => `*File ${item.number}*\n${this.formatJobSummary(item)}`).join('\n\n') +
+            (quoted ? `\n\n🧾 Order total: ${pricingEngine.formatAmount(cart.total(), quoted.quote)}` : '');
+    }
+
+    formatCartList(cart) {
+        return `🛒 Your order (${cart.orderId}):\n` +
+            cart.items.map(item => `${item.number}. ${item.fileName}`).join('\n');
+    }
+
+    describeCart(cart) {
+        return cart.size > 1 ? `Order ${cart.orderId} (${cart.size} files)` : `Print job for ${cart.items[0].fileName}`;
+    }
+
+    // Queue every file in the cart as one order: one print job per file, linked by the order ID
+    async submitCart(sender, cart) {
+        const printQueue = require('../queue/printQueue');
+        const documentManager = require('../storage/documentManager');
+        const queued = [];
+        const failed = [];
+
+        for (const item of cart.items) {
+            // Auto-confirmed jobs skipped the preview; render it now for the dashboard's job card
+            const previews = item.previews || (await documentManager.getPreviews(item.fileId)).map(preview => preview.page);
+            const printJob = {
+                fileId: item.fileId,
+                fileName: item.fileName,
+                sender,
+                instructions: item.instructions,
+                quote: item.quote,
+                timestamp: item.timestamp,
+                fileSize: item.fileSize,
+                orderId: cart.orderId,
+                orderItem: item.number,
+                orderSize: cart.size,
+                reprintOf: item.reprintOf || null,
+                previews
+            };
+            try {
+                const queuedJob = await printQueue.addJob(printJob);
+                console.log(`📋 Print job added to queue: ${queuedJob.id} (order ${cart.orderId})`);
+                queued.push({ item, job: queuedJob });
+                // Emit print job event for other components
+                this.emit('printJob', printJob);
+            } catch (queueError) {
+                console.error(`Failed to add ${item.fileName} to print queue:`, queueError);
+                failed.push({ item, error: queueError });
+            }
+        }
+
+        this.removeCart(sender);
+        let order = null;
+        if (queued.length > 0) {
+            const orderManager = require('../orders/orderManager');
+            const customerDirectory = require('../customers/customerDirectory');
+            const instructionParser = require('../parser/instructionParser');
+            customerDirectory.recordInstructions(sender, instructionParser.reusable(queued[0].item.instructions));
+            order = orderManager.createOrder({
+                id: cart.orderId,
+                sender,
+                customerName: customerDirectory.displayName(sender),
+                jobs: queued.map(({ job }) => job)
+            });
+        }
+
+        let message;
+        if (queued.length === 0) {
+            message = `⚠️ Print job created but failed to add to queue: ${failed[0].error.message}\n` +
+                `Please contact support if this issue persists.`;
+        } else if (cart.size === 1) {
+            message = `✅ Print job created!\n\n${this.formatJobSummary(cart.items[0])}`;
+        } else {
+            message = `✅ Order ${cart.orderId} placed!\n\n` +
+                queued.map(({ item, job }) => `🖨️ Job #${job.id}: ${item.fileName}`).join('\n') +
+                (failed.length > 0
+                    ? `\n\n⚠️ Couldn't queue ${failed.map(({ item }) => item.fileName).join(', ')}. Please send ${failed.length === 1 ? 'it' : 'them'} again.`
+                    : '');
+        }
+        if (queued.length > 0) {
+            // The order is ready when its last job in the schedule finishes
+            const ids = queued.map(({ job }) => job.id);
+            const last = printQueue.getSchedule().filter(entry => ids.includes(entry.job.id)).pop();
+            message += `\n\n🖨️ ${await this.getQueueMessage(sender, last ? last.job : queued[queued.length - 1].job)}`;
+            message += this.chargeWallet(order);
+            message += this.formatPaymentPrompt(order);
+        }
+        await this.sendMessage(sender, message);
+    }
+
+    // Carts (documents waiting for instructions/confirmation)
+    getCart(sender) {
+        return this.carts.get(sender);
     }
 
-    setPendingJob(sender, job) {
-        this.pendingJobs.set(sender, job);
-        // Auto-remove after 5 minutes
-        setTimeout(() => {
-            this.pendingJobs.delete(sender);
-        }, 5 * 60 * 1000);
+    saveCart(sender, cart) {
+        this.carts.set(sender, cart);
+        // Drop the cart once the session would have timed out; every update restarts the clock
+        clearTimeout(this.cartTimers.get(sender));
+        this.cartTimers.set(sender, setTimeout(() => {
+            this.carts.delete(sender);
+            this.cartTimers.delete(sender);
+        }, this.SESSION_TIMEOUT_MS));
     }
 
-    removePendingJob(sender) {
-        this.pendingJobs.delete(sender);
+    removeCart(sender) {
+        this.carts.delete(sender);
+        clearTimeout(this.cartTimers.get(sender));
+        this.cartTimers.delete(sender);
     }
 
     async monitorJobStatus(jobId, recipient) {
-        const printQueue = require('../print/queue');
+        const printQueue = require('../queue/printQueue');
         const checkStatus = async () => {
             try {
                 const status = await printQueue.getJobStatus(jobId);
@@ -1014,6 +1485,43 @@ Type "exit" anytime to end this session.`);
         }
     }
 
+    async sendImage(to, buffer, caption = '') {
+        try {
+            if (!this.isReady()) {
+                console.warn('Skipping sendImage: WhatsApp client not ready');
+                return { success: false, message: 'not ready' };
+            }
+            await this.client.sendMessage(to, { image: buffer, mimetype: 'image/jpeg', caption });
+
+            this.storeMessage(to, {
+                key: { fromMe: true, remoteJid: to },
+                message: { imageMessage: { caption } },
+                messageTimestamp: Date.now() / 1000
+            });
+
+            return { success: true };
+        } catch (error) {
+            console.error('Error sending image:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Send the cached page previews of a stored document as WhatsApp images.
+     * @returns {Promise<number[]>} The pages sent; empty when the document has no previews.
+     */
+    async sendPreviews(sender, fileId, label) {
+        const documentManager = require('../storage/documentManager');
+        const previews = await documentManager.getPreviews(fileId);
+        if (previews.length === 0) return [];
+        const pageCount = await documentManager.getPageCount(fileId).catch(() => null);
+        for (const preview of previews) {
+            const of = pageCount ? ` of ${pageCount}` : '';
+            await this.sendImage(sender, await fs.promises.readFile(preview.path), `👀 ${label} · page ${preview.page}${of}`);
+        }
+        return previews.map(preview => preview.page);
+    }
+
     storeMessage(remoteJid, message) {
         if (!this.chatHistory.has(remoteJid)) {
             this.chatHistory.set(remoteJid, []);
@@ -1080,33 +1588,458 @@ Type "exit" anytime to end this session.`);
     // Helper to get queue message for a user
     async getQueueMessage(sender, job) {
         try {
-            const printQueue = require('../print/queue');
-            const queued = Array.from(printQueue.jobs.values())
-                .filter(j => j.status === 'queued')
-                .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
-            const idx = queued.findIndex(j => j.id === job.id);
-            if (idx === -1) return 'Your job is in the queue. ETA: unknown. Type "cancel job" to cancel.';
-            const position = idx + 1;
-            // Estimate ETA: assume 2 minutes per job (very rough)
-            const eta = position * 2;
-            return `Status: ${position === 1 ? 'Next' : 'In queue'}\nQueue position: ${position}\nETA: ${eta} minutes (approx)\nType "cancel job" to cancel your job.`;
+            const printQueue = require('../queue/printQueue');
+            const entry = printQueue.getSchedule().find(e => e.job.id === job.id);
+            if (!entry) return `Your job is in the queue. ETA: unknown. Type "cancel ${job.id}" to cancel it.`;
+            const eta = Math.max(1, Math.ceil((new Date(entry.estimatedFinish) - Date.now()) / 60000));
+            let message = `Status: ${entry.position === 1 ? 'Next' : 'In queue'}\nQueue position: ${entry.position}\nETA: ${eta} minutes (approx)`;
+            if (entry.atRisk) {
+                message += `\n⚠️ The queue is busy, your deadline (${deadlines.format(entry.deadline)}) may be missed.`;
+            }
+            return `${message}\nType "status" to track it or "cancel ${job.id}" to cancel it.`;
         } catch (e) {
-            return 'Your job is in the queue. ETA: unknown. Type "cancel job" to cancel.';
+            return `Your job is in the queue. ETA: unknown. Type "cancel ${job.id}" to cancel it.`;
         }
     }
 
     // Listen for job status updates and notify user
+    // One message per order once all of its jobs have printed
+    onOrderReady(order) {
+        const pricingEngine = require('../pricing/pricingEngine');
+        const printed = order.items.filter(item => item.status === 'completed');
+        const skipped = order.items.length - printed.length;
+        this.sendMessage(order.customer.jid,
+            `✅ Your order ${order.id} is ready for pickup!\n\n` +
+            printed.map(item => `📄 ${item.fileName} (Job #${item.jobId})`).join('\n') +
+            (skipped > 0 ? `\n⚠️ ${skipped} file${skipped === 1 ? ' was' : 's were'} not printed.` : '') +
+            (order.symbol ? `\n\n💰 Total: ${pricingEngine.formatAmount(order.total, order)}${order.paid ? ' (paid)' : ', payable at the counter'}` : '') +
+            `\n\n🔑 Pickup code: *${order.pickupCode}*\nShow this code at the counter to collect your prints.` +
+            this.formatPaymentPrompt(order)
+        );
+    }
+
+    // How to pay an unpaid order, and whether printing waits for it ('' once paid or when nothing is owed)
+    formatPaymentPrompt(order) {
+        if (!order || order.paid || !order.symbol || !(order.total > 0)) return '';
+        const config = require('../../config');
+        const pricingEngine = require('../pricing/pricingEngine');
+        const lines = [];
+        if (config.upiId) {
+            lines.push(`💳 Pay ${pricingEngine.formatAmount(order.total, order)} by UPI to *${config.upiId}* and reply with the UPI transaction ID (UTR), or pay at the counter.`);
+        }
+        if (config.requirePaymentAbove > 0 && order.total > config.requirePaymentAbove && order.status !== 'ready') {
+            lines.push('⏸️ This order will print once your payment is confirmed.');
+        }
+        return lines.length > 0 ? `\n\n${lines.join('\n')}` : '';
+    }
+
+    // "1 copy, A4, single-sided, plain paper" for a customer's defaults (or the shop's)
+    describeDefaults(preferences) {
+        const instructionParser = require('../parser/instructionParser');
+        const settings = { ...instructionParser.DEFAULT_INSTRUCTIONS, ...preferences };
+        return [
+            `${settings.copies} ${settings.copies === 1 ? 'copy' : 'copies'}`,
+            settings.paperSize.toUpperCase(),
+            settings.duplex ? 'front & back' : 'single-sided',
+            `${settings.paperType} paper`
+        ].concat(settings.pagesPerSheet > 1 ? [`${settings.pagesPerSheet} pages per sheet`] : [])
+            .concat(settings.priority !== 'normal' ? [settings.priority] : []).join(', ');
+    }
+
+    async handleSetDefaults(sender, text) {
+        const instructionParser = require('../parser/instructionParser');
+        const customerDirectory = require('../customers/customerDirectory');
+        const found = instructionParser.reusable(instructionParser.extract(text));
+        if (Object.keys(found).length === 0) {
+            await this.sendMessage(sender,
+                `🤔 I couldn't find any settings to save in "${text}".\n` +
+                `You can save copies, paper type, front & back, pages per sheet and priority, e.g. "set default duplex, 2 copies".`);
+            return;
+        }
+        const preferences = { ...customerDirectory.getPreferences(sender), ...found };
+        customerDirectory.setPreferences(sender, preferences);
+        await this.sendMessage(sender,
+            `💾 Saved! Your documents will now print as ${this.describeDefaults(preferences)} unless you say otherwise.\n` +
+            `Reply "my defaults" to check them or "clear defaults" to go back to the shop's.`);
+    }
+
+    // Reuse the settings of the customer's previous order for the documents in their cart
+    async handleSameAsLastTime(sender) {
+        const instructionParser = require('../parser/instructionParser');
+        const customerDirectory = require('../customers/customerDirectory');
+        const customer = customerDirectory.getCustomer(sender);
+        const previous = customer && customer.lastInstructions;
+        if (!previous) {
+            await this.sendMessage(sender, `🤔 I don't have a previous order from you yet. Send your instructions, e.g. "2 copies, front and back".`);
+            return;
+        }
+        const cart = this.getCart(sender);
+        if (!cart) {
+            await this.sendMessage(sender,
+                `📄 Send the document first, then reply "same as last time" to print it as ${this.describeDefaults(previous)}.`);
+            return;
+        }
+        await this.reviewCart(sender, cart, instructionParser.reusable(previous));
+    }
+
+    /**
+     * Cancel the customer's jobs and stop anything already sent to a printer.
+     * @param {number|'all'|null} target - A job ID, every job not yet printed, or null: the only such job,
+     *                                     or a list to choose from when there are several
+     */
+    async handleCancel(sender, target) {
+        const printQueue = require('../queue/printQueue');
+        const orderManager = require('../orders/orderManager');
+        const ledger = require('../payments/ledger');
+        const pricingEngine = require('../pricing/pricingEngine');
+        const name = job => job.data.fileName || `${(job.data.images || []).length} photos`;
+        const cancellable = this.getCustomerJobs(sender)
+            .filter(job => ['queued', 'processing'].includes(job.status))
+            .sort((a, b) => a.id - b.id);
+
+        let jobs = cancellable;
+        if (typeof target === 'number') {
+            const job = printQueue.getJob(target);
+            if (!job || !job.data || job.data.sender !== sender) {
+                await this.sendMessage(sender, `🤔 I couldn't find job #${target}. Reply "status" to see your jobs in progress.`);
+                return;
+            }
+            jobs = [job];
+        } else if (target === null && cancellable.length > 1) {
+            await this.sendMessage(sender,
+                `🗑️ Which job should I cancel?\n\n` +
+                cancellable.map(job => `• Job #${job.id} · ${name(job)} · ${JOB_STATUS_LABELS[job.status]}`).join('\n') +
+                `\n\nReply "cancel ${cancellable[0].id}" to cancel one job, or "cancel all" to cancel all of them.`);
+            return;
+        }
+        if (jobs.length === 0) {
+            await this.sendMessage(sender, 'No pending print job found to cancel.');
+            return;
+        }
+
+        const lines = [];
+        const orders = new Map();
+        for (const job of jobs) {
+            try {
+                await printQueue.cancelJob(job.id, { by: 'Customer' });
+                lines.push(`❌ Job #${job.id} (${name(job)}) cancelled.`);
+                const order = orderManager.getOrderForJob(job.id);
+                if (order) orders.set(order.id, order);
+            } catch (error) {
+                console.error(`Error cancelling job ${job.id} for ${sender}:`, error.message);
+                lines.push(`⚠️ Job #${job.id} (${name(job)}) couldn't be cancelled: ${error.message}.`);
+            }
+        }
+        // Wallet refunds are announced by the wallet itself; cash and UPI are handed back at the counter
+        for (const order of orders.values()) {
+            const due = ledger.refundDue(orderManager.getOrder(order.id));
+            if (due > 0) {
+                lines.push(`💰 ${pricingEngine.formatAmount(due, order)} you paid for order ${order.id} will be refunded at the counter.`);
+            }
+        }
+        await this.sendMessage(sender, lines.join('\n'));
+    }
+
+    // Jobs the customer is still waiting on: queued or printing, or printed/failed in an order not yet collected
+    isJobActive(job) {
+        if (['queued', 'processing'].includes(job.status)) return true;
+        if (!['completed', 'failed'].includes(job.status)) return false;
+        const orderManager = require('../orders/orderManager');
+        const order = orderManager.getOrderForJob(job.id);
+        return !!order && !['collected', 'cancelled'].includes(order.status);
+    }
+
+    /**
+     * Where the customer's jobs are: state, live position in the queue, ETA and printer, one block per job ID.
+     * @param {number|null} jobId - Only this job (it must be the customer's); null for every job in progress
+     */
+    async formatJobStatus(sender, jobId = null) {
+        const printQueue = require('../queue/printQueue');
+        let jobs;
+        if (jobId !== null) {
+            const job = printQueue.getJob(jobId);
+            if (!job || !job.data || job.data.sender !== sender) {
+                return `🤔 I couldn't find job #${jobId}. Reply "status" to see all your jobs in progress.`;
+            }
+            jobs = [job];
+        } else {
+            jobs = this.getCustomerJobs(sender).filter(job => this.isJobActive(job)).sort((a, b) => a.id - b.id);
+        }
+        if (jobs.length === 0) {
+            return `📭 You have no jobs in progress. Send a document to print, or reply "my jobs" to see past jobs.`;
+        }
+
+        const schedule = printQueue.getSchedule();
+        const blocks = [];
+        for (const job of jobs) {
+            blocks.push(await this.describeJobStatus(job, schedule));
+        }
+        return (jobs.length > 1 ? `🖨️ You have ${jobs.length} jobs in progress:\n\n` : '') +
+            blocks.join('\n\n') +
+            (jobs.length > 1 ? `\n\nReply "status ${jobs[0].id}" for one job.` : '');
+    }
+
+    async describeJobStatus(job, schedule) {
+        const orderManager = require('../orders/orderManager');
+        const ledger = require('../payments/ledger');
+        const scheduler = require('../queue/scheduler');
+        const order = orderManager.getOrderForJob(job.id);
+        const entry = schedule.find(e => e.job.id === job.id);
+        const name = job.data.fileName || `${(job.data.images || []).length} photos`;
+        const lines = [`🧾 *Job #${job.id}* · ${name}${order && order.items.length > 1 ? ` (order ${order.id})` : ''}`];
+        let eta = null;
+
+        if (job.status === 'queued') {
+            if (ledger.paymentHold(job)) {
+                lines.push('⏸️ Status: Waiting for your payment before it prints');
+            } else {
+                lines.push(`⏳ Status: Queued${config.autoProcessQueue ? '' : ', waiting for the shop to accept it'}`);
+            }
+            if (entry) {
+                lines.push(`📍 Queue position: ${entry.position} of ${schedule.length}`);
+                eta = new Date(entry.estimatedFinish);
+            }
+        } else if (job.status === 'processing') {
+            lines.push(`🖨️ Status: Accepted and printing${job.progress ? ` (${job.progress}%)` : ''}`);
+            eta = new Date(Date.now() + scheduler.durationMs(job) * (1 - (job.progress || 0) / 100));
+        } else if (job.status === 'completed') {
+            if (order && order.status === 'ready') {
+                lines.push(`✅ Status: Ready for pickup. Show code *${order.pickupCode}* at the counter`);
+            } else if (order && order.status !== 'collected') {
+                lines.push(`✅ Status: Printed, waiting for the rest of order ${order.id}`);
+            } else {
+                lines.push(`✅ Status: Printed${order ? ' and collected' : ''}`);
+            }
+        } else if (job.status === 'failed') {
+            lines.push(`⚠️ Status: Couldn't be printed, the shop is looking into it`);
+        } else {
+            lines.push(`❌ Status: ${job.status.charAt(0).toUpperCase()}${job.status.slice(1)}`);
+        }
+
+        if (eta) {
+            const minutes = Math.max(1, Math.ceil((eta - Date.now()) / 60000));
+            lines.push(`🕐 ETA: about ${minutes} minute${minutes === 1 ? '' : 's'} (${deadlines.format(eta)})`);
+        }
+        const printer = await this.assignedPrinter(job);
+        if (printer) {
+            lines.push(`🖨️ Printer: ${printer}${job.status === 'queued' ? ' (planned)' : ''}`);
+        }
+        if (entry && entry.atRisk) {
+            lines.push(`⚠️ The queue is busy, your deadline (${deadlines.format(entry.deadline)}) may be missed.`);
+        }
+        return lines.join('\n');
+    }
+
+    // The printer(s) a job went to, or for work not sent yet, the one it would go to now
+    async assignedPrinter(job) {
+        const sent = (job.subJobs || []).map(subJob => subJob.printer).filter(Boolean);
+        if (sent.length > 0) return [...new Set(sent)].join(' + ');
+        if (job.result && job.result.printer) return job.result.printer;
+        if (!['queued', 'processing'].includes(job.status)) return null;
+        const printerManager = require('../printer/printerManager');
+        return printerManager.selectBestPrinter(job.data.instructions || {});
+    }
+
+    // The customer's jobs, newest first; "reprint 2" counts from the top of this list
+    getCustomerJobs(sender) {
+        const printQueue = require('../queue/printQueue');
+        return printQueue.getJobs()
+            .filter(job => job.data && job.data.sender === sender)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    // Why a job can no longer be reprinted, or null when it can
+    async reprintBlocker(job) {
+        const documentManager = require('../storage/documentManager');
+        // Photo jobs from before photo sheets were stored as PDFs have no file to print again
+        if (!job.data.fileId) {
+            return 'the photos for this job were not kept';
+        }
+        if (config.reprintDays > 0 && Date.now() - new Date(job.createdAt) > config.reprintDays * 24 * 60 * 60 * 1000) {
+            return `we only keep files for ${config.reprintDays} days`;
+        }
+        if (!(await documentManager.hasDocument(job.data.fileId))) {
+            return 'the file is no longer stored';
+        }
+        return null;
+    }
+
+    async formatJobHistory(sender) {
+        const jobs = this.getCustomerJobs(sender).slice(0, MY_JOBS_LIMIT);
+        if (jobs.length === 0) {
+            return `🗂️ You don't have any print jobs with us yet. Send a document to get started.`;
+        }
+        const lines = await Promise.all(jobs.map(async (job, index) => {
+            const instructions = job.data.instructions || {};
+            const copies = instructions.copies || 1;
+            const name = job.data.fileName || `${(job.data.images || []).length} photos`;
+            const blocker = await this.reprintBlocker(job);
+            return `${index + 1}. ${name} · ${copies} ${copies === 1 ? 'copy' : 'copies'}` +
+                `${instructions.duplex ? ', front & back' : ''} · ${deadlines.format(new Date(job.createdAt))} · ${JOB_STATUS_LABELS[job.status] || job.status}` +
+                (blocker ? `\n   ⚠️ Can't reprint: ${blocker}` : '');
+        }));
+        return `🗂️ Your recent jobs:\n${lines.join('\n')}\n\n` +
+            `🔁 Reply "reprint 1" (or "reprint last") to print one again, or change the copies with e.g. "reprint 2, 5 copies".`;
+    }
+
+    /**
+     * Put a previous job's document back in the cart with its original instructions
+     * (less the old deadline), plus anything the customer changed, and review it like a new upload.
+     * @param {string} ref - 'last', a number from "my jobs", or a job ID ("#14", "job 14")
+     * @param {string} text - Instructions to change, e.g. "5 copies"
+     */
+    async handleReprint(sender, ref, text) {
+        const instructionParser = require('../parser/instructionParser');
+        const documentManager = require('../storage/documentManager');
+        const orderManager = require('../orders/orderManager');
+        const customerDirectory = require('../customers/customerDirectory');
+
+        const jobs = this.getCustomerJobs(sender);
+        let job;
+        if (ref === 'last') {
+            job = jobs[0];
+        } else if (/^(?:job|#)/.test(ref)) {
+            job = jobs.find(j => j.id === parseInt(ref.replace(/\D/g, ''), 10));
+        } else {
+            job = jobs[parseInt(ref, 10) - 1];
+        }
+        if (!job) {
+            await this.sendMessage(sender, jobs.length > 0
+                ? `🤔 I couldn't find that job. Reply "my jobs" to see your recent jobs and their numbers.`
+                : `🗂️ You don't have any print jobs with us yet. Send a document to get started.`);
+            return;
+        }
+        const blocker = await this.reprintBlocker(job);
+        if (blocker) {
+            await this.sendMessage(sender, `😕 ${job.data.fileName || 'That job'} can't be reprinted: ${blocker}.\nPlease send the file again.`);
+            return;
+        }
+
+        // The old deadline has passed; the customer gives a new one if they need it
+        const original = { ...job.data.instructions };
+        delete original.deadline;
+        const changes = instructionParser.extract(text || '');
+        const metadata = await documentManager.getMetadata(job.data.fileId);
+        const cart = this.getCart(sender) || new Cart(sender, orderManager.newOrderId(), customerDirectory.getPreferences(sender));
+        const item = cart.addDocument({
+            fileId: job.data.fileId,
+            fileName: job.data.fileName,
+            fileSize: job.data.fileSize,
+            inspection: metadata.inspection || null
+        });
+        item.reprintOf = job.id;
+        this.saveCart(sender, cart);
+        console.log(`🔁 Reprint of job ${job.id} added to ${sender}'s cart (order ${cart.orderId})`);
+        await this.reviewCart(sender, cart, { ...original, ...changes }, [item]);
+    }
+
+    // Customers with a prepaid account pay for new orders from it; returns a line for the order message
+    chargeWallet(order) {
+        const accountManager = require('../accounts/accountManager');
+        const pricingEngine = require('../pricing/pricingEngine');
+        const account = accountManager.getAccount(order.customer.jid);
+        if (!account || order.paid || !(order.total > 0)) return '';
+        try {
+            accountManager.chargeOrder(order.id);
+            return `\n\n💳 Paid from your prepaid balance. Available now: ${pricingEngine.formatAmount(accountManager.available(account), account)}`;
+        } catch (error) {
+            console.log(`Wallet not charged for order ${order.id}: ${error.message}`);
+            return `\n\n⚠️ ${error.message}. Top up at the counter, or pay for this order as below.`;
+        }
+    }
+
+    formatBalance(sender) {
+        const config = require('../../config');
+        const accountManager = require('../accounts/accountManager');
+        const pricingEngine = require('../pricing/pricingEngine');
+        const account = accountManager.getAccount(sender);
+        if (!account) {
+            return `💳 You don't have a prepaid account yet. Ask at the counter to open one and top up.`;
+        }
+        const money = amount => pricingEngine.formatAmount(amount, account);
+        const labels = {
+            topup: txn => `Top-up (${txn.method}) +${money(txn.amount)}`,
+            debit: txn => `Job #${txn.jobId} printed -${money(txn.amount)}`,
+            refund: txn => `Job #${txn.jobId} refunded +${money(txn.amount)}`,
+            adjustment: txn => `${txn.note || 'Adjustment'} ${txn.amount < 0 ? '-' : '+'}${money(Math.abs(txn.amount))}`
+        };
+        const recent = account.transactions.filter(txn => labels[txn.type]).slice(-5).reverse();
+        const day = at => new Intl.DateTimeFormat('en-GB', { timeZone: config.shopTimezone, day: 'numeric', month: 'short' }).format(new Date(at));
+        return `💳 Prepaid balance: ${money(account.balance)}` +
+            (account.held > 0 ? `\n⏳ Held for jobs in progress: ${money(account.held)}` : '') +
+            (account.creditLimit > 0 ? `\n🧾 Credit limit: ${money(account.creditLimit)}` : '') +
+            `\n✅ Available to spend: ${money(accountManager.available(account))}` +
+            (recent.length > 0 ? `\n\nRecent activity:\n${recent.map(txn => `• ${day(txn.at)} ${labels[txn.type](txn)}`).join('\n')}` : '');
+    }
+
+    onAccountTransaction(account, transaction) {
+        const pricingEngine = require('../pricing/pricingEngine');
+        const accountManager = require('../accounts/accountManager');
+        const available = pricingEngine.formatAmount(accountManager.available(account), account);
+        if (transaction.type === 'topup') {
+            this.sendMessage(account.id, `💳 ${pricingEngine.formatAmount(transaction.amount, account)} added to your prepaid balance. Available: ${available}`);
+        } else if (transaction.type === 'refund') {
+            this.sendMessage(account.id, `↩️ ${pricingEngine.formatAmount(transaction.amount, account)} for job #${transaction.jobId} is back in your prepaid balance. Available: ${available}`);
+        }
+    }
+
+    // "upi 412345678901", "utr: 4123 4567 8901", "paid, txn id T2310191234567890" or a bare 12-digit UTR
+    parseUpiReference(text) {
+        const bare = text.replace(/\s+/g, '').match(/^\d{12}$/);
+        if (bare) return bare[0];
+        const match = text.match(/^(?:paid\W*)?(?:upi|utr|txn|transaction|ref(?:erence)?)(?:\s*(?:id|no\.?|number|ref(?:erence)?|utr))?\s*[:#.\-]?\s*([a-z]{0,4}\d[\d ]{4,34}\d)$/);
+        return match ? match[1].replace(/\s+/g, '') : null;
+    }
+
+    async handleUpiReference(sender, reference) {
+        const orderManager = require('../orders/orderManager');
+        const ledger = require('../payments/ledger');
+        const pricingEngine = require('../pricing/pricingEngine');
+        // The latest unpaid order, skipping ones that already have a reference waiting to be checked
+        const unpaid = orderManager.getOrders({ sender, paid: false }).filter(o => o.status !== 'cancelled' && o.total > 0);
+        const order = unpaid.find(o => ledger.getPayments({ orderId: o.id, status: 'pending' }).length === 0) || unpaid[0];
+        if (!order) {
+            await this.sendMessage(sender, `🧾 Thanks! I couldn't find an unpaid order to match UPI reference ${reference.toUpperCase()} with. Please show it at the counter.`);
+            return;
+        }
+        try {
+            const payment = ledger.recordPayment({ orderId: order.id, method: 'upi', reference, by: sender, source: 'whatsapp' });
+            await this.sendMessage(sender,
+                `🧾 Thanks! UPI reference ${payment.reference} noted for order ${order.id} (${pricingEngine.formatAmount(payment.amount, order)}).\n` +
+                `We'll confirm it against our account and let you know.`);
+        } catch (error) {
+            await this.sendMessage(sender, `❌ ${error.message}. Please check the reference or pay at the counter.`);
+        }
+    }
+
+    onPaymentUpdate(payment) {
+        const pricingEngine = require('../pricing/pricingEngine');
+        const amount = pricingEngine.formatAmount(payment.amount, payment);
+        if (payment.status === 'confirmed') {
+            this.sendMessage(payment.customer,
+                `✅ Payment of ${amount} for order ${payment.orderId} received${payment.reference ? ` (ref ${payment.reference})` : ''}. Thank you!`);
+        } else if (payment.status === 'rejected') {
+            this.sendMessage(payment.customer,
+                `❌ We couldn't find UPI payment ${payment.reference} for order ${payment.orderId}` +
+                `${payment.rejectedReason ? `: ${payment.rejectedReason}` : ''}.\nPlease check the reference and send it again, or pay at the counter.`);
+        }
+    }
+
     onJobStatusUpdate(jobId, status, details) {
-        const printQueue = require('../print/queue');
-        const job = printQueue.queue.find(j => j.id === jobId) || printQueue.completedJobs.find(j => j.id === jobId);
-        if (!job || !job.sender) return;
-        const sender = job.sender;
+        const printQueue = require('../queue/printQueue');
+        const job = printQueue.getJob(jobId);
+        if (!job || !job.data || !job.data.sender) return;
+        const sender = job.data.sender;
         if (status === 'completed') {
+            // Jobs that belong to an order are announced together once the whole order is ready
+            if (job.data.orderId) return;
             this.sendMessage(sender, `✅ Your print job is ready!\nJob ID: ${jobId}\nPlease collect your prints.`);
         } else if (status === 'failed') {
             this.sendMessage(sender, `❌ Your print job failed.\nJob ID: ${jobId}\nPlease try again or contact support.`);
         } else if (status === 'removed' || status === 'cancelled') {
-            this.sendMessage(sender, `❌ Your print job was cancelled.\nJob ID: ${jobId}`);
+            // handleCancel has already replied to cancellations the customer asked for
+            if (job.cancelledBy === 'Customer') return;
+            this.sendMessage(sender, `❌ Your print job was cancelled.\n\n📄 ${job.data.fileName || 'Document'}\n📋 Job ID: ${jobId}`);
         }
     }
 }
@@ -0,0 +1,160 @@
+const { describe, it, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the job, order, payment and account journals and the WhatsApp session out of the working tree
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inkoro-cancel-'));
+process.env.DATA_PATH = path.join(tempDir, 'data');
+process.env.STORAGE_PATH = path.join(tempDir, 'storage');
+process.env.WHATSAPP_AUTH_PATH = path.join(tempDir, 'whatsapp_auth');
+
+const config = require('../config');
+const printQueue = require('../src/queue/printQueue');
+const printerManager = require('../src/printer/printerManager');
+const orderManager = require('../src/orders/orderManager');
+const ledger = require('../src/payments/ledger');
+const accountManager = require('../src/accounts/accountManager');
+const WhatsAppClient = require('../src/whatsapp/client');
+
+const customer = '919800000001@s.whatsapp.net';
+
+// Queueing logs progress to stdout, which the test runner reads its results from
+mock.method(console, 'log', () => {});
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+// An order over one queued job per amount, priced as the WhatsApp client quotes them
+async function placeOrder(sender, ...amounts) {
+    const id = orderManager.newOrderId();
+    const jobs = [];
+    for (const [index, total] of amounts.entries()) {
+        const quote = { total, printedPages: 1, currency: 'INR', symbol: '₹' };
+        jobs.push(await printQueue.addJob({ fileName: `file-${index + 1}.pdf`, sender, instructions: { copies: 1 }, quote, orderId: id }));
+    }
+    return orderManager.createOrder({ id, sender, jobs });
+}
+
+// The printer taking a job; the backend still holds it until it has printed
+function sendToPrinter(jobId, backendJobId) {
+    printQueue._setStatus(printQueue.getJob(jobId), 'completed', { progress: 100, result: { printer: 'Office Laser', backendJobId } });
+}
+
+describe('cancelling jobs', () => {
+    let client;
+    let sent;
+
+    before(() => {
+        client = new WhatsAppClient();
+        client.client = { sendMessage: async (to, content) => sent.push(content.text) };
+        client.isConnected = true;
+        client.connectionStatus = 'connected';
+        mock.method(printerManager, 'cancelJob', async () => true);
+    });
+
+    beforeEach(() => {
+        sent = [];
+        for (const job of printQueue.jobs.all()) printQueue.jobs.remove(job.id);
+        config.autoProcessQueue = false;
+    });
+
+    it('asks which job to cancel when the customer has several', async () => {
+        const order = await placeOrder(customer, 10, 20);
+
+        await client.handleCancel(customer, null);
+
+        assert.match(sent[0], /Which job should I cancel\?/);
+        assert.match(sent[0], new RegExp(`Reply "cancel ${order.items[0].jobId}" to cancel one job`));
+        assert.ok(order.items.every(item => printQueue.getJob(item.jobId).status === 'queued'));
+    });
+
+    it('cancels one job by ID and says the cash paid for it is due back', async () => {
+        const order = await placeOrder(customer, 10, 20);
+        ledger.recordPayment({ orderId: order.id, method: 'cash' });
+        const [first, second] = order.items.map(item => item.jobId);
+
+        await client.handleCancel(customer, second);
+        client.onJobStatusUpdate(second, 'cancelled', {});
+
+        assert.equal(printQueue.getJob(first).status, 'queued');
+        assert.equal(printQueue.getJob(second).status, 'cancelled');
+        assert.equal(ledger.refundDue(orderManager.getOrder(order.id)), 20);
+        assert.deepEqual(sent, [`❌ Job #${second} (file-2.pdf) cancelled.\n💰 ₹20.00 you paid for order ${order.id} will be refunded at the counter.`]);
+    });
+
+    it('records a refund as a negative entry until nothing is due', async () => {
+        const order = await placeOrder(customer, 15, 5);
+        ledger.recordPayment({ orderId: order.id, method: 'upi', reference: '412345678901' });
+        await printQueue.cancelJob(order.items[1].jobId, { by: 'Dashboard' });
+
+        const refund = ledger.refund(order.id, { by: 'Counter 1' });
+
+        assert.deepEqual([refund.kind, refund.method, refund.amount], ['refund', 'upi', -5]);
+        assert.equal(ledger.refundDue(orderManager.getOrder(order.id)), 0);
+        assert.throws(() => ledger.refund(order.id), /Nothing to refund/);
+    });
+
+    it('tells the customer once when the shop cancels a job', async () => {
+        const order = await placeOrder(customer, 10);
+        const jobId = order.items[0].jobId;
+
+        await printQueue.cancelJob(jobId, { by: 'Dashboard' });
+        client.onJobStatusUpdate(jobId, 'cancelled', {});
+
+        assert.deepEqual(sent, [`❌ Your print job was cancelled.\n\n📄 file-1.pdf\n📋 Job ID: ${jobId}`]);
+    });
+
+    it('stops a printed job the printer still holds and refunds the wallet it was debited from', async () => {
+        mock.method(printerManager, 'getJobStatus', async () => ({ state: 'pending' }));
+        await accountManager.openAccount({ jid: customer });
+        accountManager.topUp(customer, { amount: 50 });
+        const order = await placeOrder(customer, 12);
+        accountManager.chargeOrder(order.id);
+        const jobId = order.items[0].jobId;
+        sendToPrinter(jobId, 301);
+        assert.equal(accountManager.getAccount(customer).balance, 38);
+
+        const result = await printQueue.cancelJob(jobId, { by: 'Dashboard' });
+
+        assert.match(result.message, /stopped 1 of 1 printer jobs/);
+        assert.equal(accountManager.getAccount(customer).balance, 50);
+        assert.equal(accountManager.getAccount(customer).transactions.at(-1).note, 'Job cancelled at the printer');
+        assert.equal(ledger.refundDue(orderManager.getOrder(order.id)), 0);
+    });
+
+    it('will not cancel a job the printer has finished', async () => {
+        mock.method(printerManager, 'getJobStatus', async () => ({ state: 'completed' }));
+        const order = await placeOrder('919800000002@s.whatsapp.net', 10);
+        sendToPrinter(order.items[0].jobId, 302);
+
+        await assert.rejects(printQueue.cancelJob(order.items[0].jobId), /Job has already printed/);
+    });
+
+    it('takes a removed queued job out of its order', async () => {
+        const order = await placeOrder(customer, 10, 20);
+
+        await printQueue.removeJob(order.items[0].jobId);
+
+        assert.equal(orderManager.getOrder(order.id).items[0].status, 'cancelled');
+    });
+
+    it('leaves the order and payment of a printed job alone when it is removed from the list', async () => {
+        const sender = '919800000003@s.whatsapp.net';
+        const order = await placeOrder(sender, 10);
+        ledger.recordPayment({ orderId: order.id, method: 'cash' });
+        sendToPrinter(order.items[0].jobId, 303);
+        const statuses = [];
+        const listener = update => statuses.push(update.status);
+        printQueue.on('statusUpdated', listener);
+
+        await printQueue.removeJob(order.items[0].jobId);
+        printQueue.off('statusUpdated', listener);
+
+        const kept = orderManager.getOrder(order.id);
+        assert.deepEqual(statuses, []);
+        assert.equal(kept.items[0].status, 'completed');
+        assert.equal(kept.status, 'ready');
+        assert.equal(ledger.refundDue(kept), 0);
+    });
+});
@@ -0,0 +1,169 @@
+const { describe, it, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+
+// Keep documents, job data and the WhatsApp session out of the working tree
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inkoro-cart-'));
+process.env.DATA_PATH = path.join(tempDir, 'data');
+process.env.STORAGE_PATH = path.join(tempDir, 'storage');
+process.env.WHATSAPP_AUTH_PATH = path.join(tempDir, 'whatsapp_auth');
+
+const config = require('../config');
+const documentManager = require('../src/storage/documentManager');
+const printQueue = require('../src/queue/printQueue');
+const WhatsAppClient = require('../src/whatsapp/client');
+const Cart = require('../src/whatsapp/cart');
+const orderManager = require('../src/orders/orderManager');
+
+const customer = '919800000001@s.whatsapp.net';
+
+// Queueing logs progress to stdout, which the test runner reads its results from
+mock.method(console, 'log', () => {});
+
+async function makePdf(pageCount) {
+    const pdf = await PDFDocument.create();
+    for (let page = 0; page < pageCount; page++) {
+        pdf.addPage([595, 842]);
+    }
+    return Buffer.from(await pdf.save());
+}
+
+function cartOf(...fileNames) {
+    const cart = new Cart(customer, orderManager.newOrderId());
+    fileNames.forEach((fileName, index) => cart.addDocument({ fileId: `f-${index + 1}`, fileName, fileSize: 1024 }));
+    return cart;
+}
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+describe('Cart', () => {
+    it('numbers files in the order they arrive', () => {
+        const cart = cartOf('notes.pdf', 'form.pdf', 'slides.pdf');
+        assert.equal(cart.size, 3);
+        assert.deepEqual(cart.items.map(item => [item.number, item.fileName]), [[1, 'notes.pdf'], [2, 'form.pdf'], [3, 'slides.pdf']]);
+        assert.match(cart.orderId, /^ORD-/);
+    });
+
+    it('finds the file a reply names by number or by name', () => {
+        const cart = cartOf('notes.pdf', 'form.pdf');
+        assert.deepEqual(cart.target('file 2: 3 copies'), { items: [cart.items[1]], text: '3 copies' });
+        assert.deepEqual(cart.target('#1 duplex'), { items: [cart.items[0]], text: 'duplex' });
+        assert.deepEqual(cart.target('notes.pdf: colour pages 1-2'), { items: [cart.items[0]], text: 'colour pages 1-2' });
+        assert.deepEqual(cart.target('2 copies'), { items: null, text: '2 copies' });
+        assert.equal(cart.target('file 5: 2 copies').missing, 'file 5');
+    });
+
+    it('layers per-file instructions over the reply for every file', () => {
+        const cart = cartOf('notes.pdf', 'form.pdf');
+        cart.apply({ copies: 3 }, [cart.items[1]]);
+        cart.apply({ duplex: true });
+
+        assert.deepEqual(cart.items.map(item => [item.instructions.copies, item.instructions.duplex]), [[1, true], [3, true]]);
+
+        // A new reply for every file replaces the last one, but what was said about file 2 stays
+        cart.apply({ paperSize: 'a3' });
+        assert.deepEqual(cart.items.map(item => [item.instructions.copies, item.instructions.duplex, item.instructions.paperSize]),
+            [[1, false, 'a3'], [3, false, 'a3']]);
+    });
+
+    it('renumbers the remaining files when one is removed', () => {
+        const cart = cartOf('notes.pdf', 'form.pdf', 'slides.pdf');
+        cart.awaitingConfirmation = true;
+        cart.removeItem(cart.items[0]);
+
+        assert.deepEqual(cart.items.map(item => [item.number, item.fileName]), [[1, 'form.pdf'], [2, 'slides.pdf']]);
+        assert.equal(cart.findItem('2').fileName, 'slides.pdf');
+        assert.equal(cart.awaitingConfirmation, false);
+    });
+
+    it('totals the quoted files', () => {
+        const cart = cartOf('notes.pdf', 'form.pdf', 'slides.pdf');
+        cart.items[0].quote = { total: 20 };
+        cart.items[1].quote = { total: 7.5 };
+        assert.equal(cart.total(), 27.5);
+    });
+});
+
+describe('ordering several files over WhatsApp', () => {
+    let client;
+    let sent;
+    let fileIds;
+
+    const lastMessage = () => sent[sent.length - 1];
+
+    before(async () => {
+        await documentManager.ensureStorageDir();
+        fileIds = [];
+        for (const pageCount of [5, 2]) {
+            fileIds.push((await documentManager.saveDocument(await makePdf(pageCount), `doc-${pageCount}.pdf`)).fileId);
+        }
+        client = new WhatsAppClient();
+        client.client = { sendMessage: async (to, content) => sent.push(content.text) };
+        client.isConnected = true;
+        client.connectionStatus = 'connected';
+    });
+
+    beforeEach(() => {
+        sent = [];
+        for (const job of printQueue.jobs.all()) printQueue.jobs.remove(job.id);
+        config.autoConfirmMaxPrice = 0;
+        const cart = new Cart(customer, orderManager.newOrderId());
+        cart.addDocument({ fileId: fileIds[0], fileName: 'notes.pdf', fileSize: 1024 });
+        cart.addDocument({ fileId: fileIds[1], fileName: 'form.pdf', fileSize: 1024 });
+        client.saveCart(customer, cart);
+    });
+
+    after(() => client.removeCart(customer));
+
+    it('applies "file 2: 3 copies" to that file only and totals the order', async () => {
+        await client.handleCartInstructions(customer, client.getCart(customer), 'file 2: 3 copies');
+
+        const cart = client.getCart(customer);
+        assert.deepEqual(cart.items.map(item => item.instructions.copies), [1, 3]);
+        assert.deepEqual(cart.items.map(item => item.quote.total), [10, 12]);
+        assert.match(lastMessage(), /Please check your order/);
+        assert.match(lastMessage(), /Order total: ₹22\.00/);
+    });
+
+    it('submits every file as a print job linked by the order ID', async () => {
+        await client.handleCartInstructions(customer, client.getCart(customer), 'file 2: 3 copies');
+        const { orderId } = client.getCart(customer);
+        await client.handleConfirmationReply(customer, client.getCart(customer), 'yes');
+
+        const jobs = printQueue.jobs.all();
+        assert.deepEqual(jobs.map(job => [job.data.fileName, job.data.orderId, job.data.orderItem, job.data.orderSize]),
+            [['notes.pdf', orderId, 1, 2], ['form.pdf', orderId, 2, 2]]);
+        assert.equal(client.getCart(customer), undefined);
+        assert.match(lastMessage(), new RegExp(`Order ${orderId} placed`));
+    });
+
+    it('says so when a reply names a file that is not in the order', async () => {
+        await client.handleCartInstructions(customer, client.getCart(customer), 'file 3: 2 copies');
+
+        assert.match(lastMessage(), /There's no file 3 in your order/);
+        assert.equal(client.getCart(customer).items[1].instructions.copies, 1);
+    });
+
+    it('removes a file and shows a fresh summary if the order was being confirmed', async () => {
+        await client.handleCartInstructions(customer, client.getCart(customer), '2 copies');
+        await client.handleConfirmationReply(customer, client.getCart(customer), 'remove file 1');
+
+        const cart = client.getCart(customer);
+        assert.deepEqual(cart.items.map(item => [item.number, item.fileName, item.instructions.copies]), [[1, 'form.pdf', 2]]);
+        assert.equal(cart.awaitingConfirmation, true);
+        assert.match(sent[sent.length - 2], /Removed notes\.pdf/);
+        assert.match(lastMessage(), /Please check your print job/);
+        assert.match(lastMessage(), /form\.pdf/);
+    });
+
+    it('drops the order once its last file is removed', async () => {
+        await client.handleCartInstructions(customer, client.getCart(customer), 'remove notes.pdf');
+        await client.handleCartInstructions(customer, client.getCart(customer), 'remove file 1');
+
+        assert.equal(client.getCart(customer), undefined);
+        assert.match(lastMessage(), /Removed form\.pdf\. Your order is empty/);
+    });
+});
@@ -0,0 +1,113 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const colorSplitter = require('../src/print/colorSplitter');
+const pdfPages = require('../src/processing/pdfPages');
+const { PrinterManager } = require('../src/printer/printerManager');
+
+// Page n is 200 + n points wide, so the pages can be told apart after extraction
+async function makePdf(pageCount) {
+    const pdf = await PDFDocument.create();
+    for (let page = 1; page <= pageCount; page++) {
+        pdf.addPage([200 + page, 300]);
+    }
+    return Buffer.from(await pdf.save());
+}
+
+async function pageWidths(buffer) {
+    const pdf = await PDFDocument.load(buffer);
+    return pdf.getPages().map(page => page.getWidth() - 200);
+}
+
+// In-memory print backend with one colour and one mono printer from the shop's printerConfig
+function memoryBackend() {
+    return {
+        name: 'memory',
+        submitted: [],
+        async discoverPrinters() {
+            return [
+                { name: 'Epson_3250', info: 'Epson 3250', status: 'idle', available: true },
+                { name: 'Canon_6565', info: 'Canon 6565', status: 'idle', available: true }
+            ];
+        },
+        async getDefaultPrinter() {
+            return 'Canon_6565';
+        },
+        getFallbackPrinter() {
+            return null;
+        },
+        async submitJob(filePath, options, printerName) {
+            this.submitted.push({ filePath, options, printerName });
+            return { jobId: this.submitted.length, state: 'pending' };
+        }
+    };
+}
+
+describe('colorSplitter.plan', () => {
+    it('splits colour pages from mono pages', () => {
+        assert.deepEqual(colorSplitter.plan({ colorPages: [2, 5] }, 6), {
+            pageCount: 6,
+            parts: [
+                { kind: 'color', pages: [2, 5] },
+                { kind: 'mono', pages: [1, 3, 4, 6] }
+            ]
+        });
+    });
+
+    it('leaves jobs that fit on one printer alone', () => {
+        assert.equal(colorSplitter.plan({ colorPages: [] }, 6), null);
+        assert.equal(colorSplitter.plan({ colorPages: [1, 2, 3] }, 3), null);
+        assert.equal(colorSplitter.plan({ colorPages: [1] }, 1), null);
+        assert.equal(colorSplitter.plan({ colorPages: [9] }, 6), null);
+    });
+
+    it('formats page runs', () => {
+        assert.equal(colorSplitter.formatPages([1, 2, 3, 7, 9, 10]), '1-3, 7, 9-10');
+    });
+});
+
+describe('splitting a mixed PDF across printers', () => {
+    let tempDir;
+    let buffer;
+
+    before(async () => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inkoro-split-'));
+        buffer = await makePdf(6);
+    });
+
+    after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+    it('extracts each part with its own pages in order', async () => {
+        const plan = await colorSplitter.planForDocument({ path: 'report.pdf', buffer }, { colorPages: [2, 5] });
+        const [color, mono] = plan.parts;
+
+        assert.deepEqual(await pageWidths(await pdfPages.extractPages(buffer, color.pages)), [2, 5]);
+        assert.deepEqual(await pageWidths(await pdfPages.extractPages(buffer, mono.pages)), [1, 3, 4, 6]);
+    });
+
+    it('does not split documents that are not PDFs', async () => {
+        assert.equal(await colorSplitter.planForDocument({ path: 'photo.jpg', buffer }, { colorPages: [1] }), null);
+    });
+
+    it('sends colour pages to the Epson, mono pages to the Canon and says how to collate them', async () => {
+        const backend = memoryBackend();
+        const printerManager = new PrinterManager(backend);
+        const plan = colorSplitter.plan({ colorPages: [2, 5] }, 6);
+
+        const printers = {};
+        for (const part of plan.parts) {
+            const filePath = path.join(tempDir, `${part.kind}.pdf`);
+            fs.writeFileSync(filePath, await pdfPages.extractPages(buffer, part.pages));
+            const result = await printerManager.printDocument(filePath, { colorPages: [], color: part.kind === 'color' });
+            printers[part.kind] = result.printer;
+        }
+
+        assert.deepEqual(printers, { color: 'Epson 3250', mono: 'Canon 6565' });
+        assert.deepEqual(backend.submitted.map(job => job.printerName), ['Epson_3250', 'Canon_6565']);
+        assert.equal(colorSplitter.buildCollationHint(plan, printers),
+            'Collate in page order: p1 Canon 6565 → p2 Epson 3250 → p3-4 Canon 6565 → p5 Epson 3250 → p6 Canon 6565');
+    });
+});
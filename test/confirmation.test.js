@@ -0,0 +1,159 @@
+const { describe, it, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+
+// Keep documents, job data and the WhatsApp session out of the working tree
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inkoro-confirm-'));
+process.env.DATA_PATH = path.join(tempDir, 'data');
+process.env.STORAGE_PATH = path.join(tempDir, 'storage');
+process.env.WHATSAPP_AUTH_PATH = path.join(tempDir, 'whatsapp_auth');
+
+const config = require('../config');
+const documentManager = require('../src/storage/documentManager');
+const printQueue = require('../src/queue/printQueue');
+const WhatsAppClient = require('../src/whatsapp/client');
+const Cart = require('../src/whatsapp/cart');
+const orderManager = require('../src/orders/orderManager');
+
+const customer = '919800000001@s.whatsapp.net';
+
+// Queueing logs progress to stdout, which the test runner reads its results from
+mock.method(console, 'log', () => {});
+
+async function makePdf(pageCount) {
+    const pdf = await PDFDocument.create();
+    for (let page = 0; page < pageCount; page++) {
+        pdf.addPage([595, 842]);
+    }
+    return Buffer.from(await pdf.save());
+}
+
+describe('confirming a print job', () => {
+    let client;
+    let sent;
+    let fileId;
+
+    // The cart as it is right after the document arrives, before any instructions
+    const receivedCart = () => {
+        const cart = new Cart(customer, orderManager.newOrderId());
+        cart.addDocument({ fileId, fileName: 'notes.pdf', fileSize: 1024 });
+        client.saveCart(customer, cart);
+        return cart;
+    };
+    const lastMessage = () => sent[sent.length - 1];
+    const queuedJobs = () => printQueue.jobs.all();
+
+    before(async () => {
+        await documentManager.ensureStorageDir();
+        ({ fileId } = await documentManager.saveDocument(await makePdf(5), 'notes.pdf'));
+        client = new WhatsAppClient();
+        client.client = { sendMessage: async (to, content) => sent.push(content.text) };
+        client.isConnected = true;
+        client.connectionStatus = 'connected';
+    });
+
+    beforeEach(() => {
+        sent = [];
+        client.removeCart(customer);
+        for (const job of printQueue.jobs.all()) printQueue.jobs.remove(job.id);
+        config.autoConfirmMaxPrice = 0;
+    });
+
+    after(() => {
+        client.removeCart(customer);
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('shows the instructions and price and waits for a reply', async () => {
+        await client.reviewCart(customer, receivedCart(), { copies: 2 });
+
+        const cart = client.getCart(customer);
+        assert.equal(cart.awaitingConfirmation, true);
+        assert.equal(cart.items[0].instructions.copies, 2);
+        assert.equal(cart.items[0].quote.total, 20);
+        assert.match(lastMessage(), /Please check your print job/);
+        assert.match(lastMessage(), /Copies: 2/);
+        assert.match(lastMessage(), /Price: ₹20\.00/);
+        assert.equal(queuedJobs().length, 0);
+    });
+
+    it('queues the job when the customer says yes', async () => {
+        await client.reviewCart(customer, receivedCart(), { copies: 2 });
+        await client.handleConfirmationReply(customer, client.getCart(customer), 'yes');
+
+        const [job] = queuedJobs();
+        assert.equal(job.data.instructions.copies, 2);
+        assert.equal(job.data.quote.total, 20);
+        assert.equal(client.getCart(customer), undefined);
+        assert.match(lastMessage(), /Print job created/);
+        assert.match(lastMessage(), /Queue position: 1/);
+    });
+
+    it('asks for new instructions on edit, which replace the earlier ones', async () => {
+        await client.reviewCart(customer, receivedCart(), { copies: 2 });
+        await client.handleConfirmationReply(customer, client.getCart(customer), 'edit');
+
+        assert.equal(client.getCart(customer).awaitingConfirmation, false);
+        assert.match(lastMessage(), /Send the new instructions for notes\.pdf/);
+
+        await client.reviewCart(customer, client.getCart(customer), { duplex: true });
+        const cart = client.getCart(customer);
+        assert.equal(cart.items[0].instructions.copies, 1);
+        assert.equal(cart.items[0].instructions.duplex, true);
+        assert.equal(cart.awaitingConfirmation, true);
+    });
+
+    it('reads any other reply as corrected instructions', async () => {
+        await client.reviewCart(customer, receivedCart(), { copies: 2 });
+        await client.handleConfirmationReply(customer, client.getCart(customer), '3 copies');
+
+        assert.equal(client.getCart(customer).items[0].instructions.copies, 3);
+        assert.match(lastMessage(), /Copies: 3/);
+        assert.equal(queuedJobs().length, 0);
+    });
+
+    it('discards the job on cancel', async () => {
+        await client.reviewCart(customer, receivedCart(), {});
+        await client.handleConfirmationReply(customer, client.getCart(customer), 'cancel');
+
+        assert.equal(client.getCart(customer), undefined);
+        assert.equal(queuedJobs().length, 0);
+        assert.match(lastMessage(), /Print job for notes\.pdf discarded/);
+    });
+
+    it('queues single-copy jobs up to autoConfirmMaxPrice without asking', async () => {
+        config.autoConfirmMaxPrice = 10;
+        await client.reviewCart(customer, receivedCart(), {});
+
+        assert.equal(queuedJobs().length, 1);
+        assert.equal(client.getCart(customer), undefined);
+        assert.match(lastMessage(), /Print job created/);
+    });
+
+    it('still asks when the job costs more than autoConfirmMaxPrice', async () => {
+        config.autoConfirmMaxPrice = 9.99;
+        await client.reviewCart(customer, receivedCart(), {});
+
+        assert.equal(queuedJobs().length, 0);
+        assert.equal(client.getCart(customer).awaitingConfirmation, true);
+    });
+
+    it('never skips confirmation for several copies, urgent jobs, unpriced jobs or when the limit is off', () => {
+        const cart = (instructions, quote = { total: 5 }) => {
+            const items = [{ instructions: { copies: 1, priority: 'normal', ...instructions }, quote }];
+            return { items, total: () => (quote ? quote.total : 0) };
+        };
+
+        config.autoConfirmMaxPrice = 50;
+        assert.equal(client.canSkipConfirmation(cart({})), true);
+        assert.equal(client.canSkipConfirmation(cart({ copies: 2 })), false);
+        assert.equal(client.canSkipConfirmation(cart({ priority: 'urgent' })), false);
+        assert.equal(client.canSkipConfirmation(cart({}, null)), false);
+
+        config.autoConfirmMaxPrice = 0;
+        assert.equal(client.canSkipConfirmation(cart({})), false);
+    });
+});
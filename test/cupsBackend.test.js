@@ -0,0 +1,173 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { OPERATIONS, encodeRequest, decodeResponse } = require('../src/printer/backends/ippProtocol');
+const CupsBackend = require('../src/printer/backends/cupsBackend');
+
+// A response has the same layout as a request with the status code in place of the operation id
+function encodeResponse(statusCode, groups, requestId) {
+    const buf = encodeRequest('Get-Jobs', groups, requestId);
+    buf.writeUInt16BE(statusCode, 2);
+    return buf;
+}
+
+const charset = [
+    { name: 'attributes-charset', type: 'charset', value: 'utf-8' },
+    { name: 'attributes-natural-language', type: 'naturalLanguage', value: 'en' }
+];
+
+describe('ippProtocol', () => {
+    it('round-trips attributes of every type through encodeRequest and decodeResponse', () => {
+        const buf = encodeRequest('Print-Job', {
+            operation: charset.concat([
+                { name: 'printer-uri', type: 'uri', value: 'ipp://localhost/printers/Canon_6565' },
+                { name: 'requested-attributes', type: 'keyword', value: ['job-id', 'job-state'] },
+                { name: 'skipped', type: 'keyword', value: null }
+            ]),
+            job: [
+                { name: 'copies', type: 'integer', value: 3 },
+                { name: 'print-color-mode', type: 'keyword', value: 'monochrome' },
+                { name: 'page-ranges', type: 'rangeOfInteger', value: [[1, 3], [7, 7]] },
+                { name: 'job-hold', type: 'boolean', value: false }
+            ]
+        }, 42);
+
+        const decoded = decodeResponse(buf);
+        assert.equal(decoded.version, '2.0');
+        assert.equal(decoded.statusCode, OPERATIONS['Print-Job']);
+        assert.equal(decoded.requestId, 42);
+        assert.equal(decoded.operation['attributes-charset'], 'utf-8');
+        assert.equal(decoded.operation['printer-uri'], 'ipp://localhost/printers/Canon_6565');
+        assert.deepEqual([...decoded.operation['requested-attributes']], ['job-id', 'job-state']);
+        assert.equal('skipped' in decoded.operation, false);
+        assert.equal(decoded.jobs.length, 1);
+        assert.equal(decoded.jobs[0].copies, 3);
+        assert.equal(decoded.jobs[0]['print-color-mode'], 'monochrome');
+        assert.deepEqual([...decoded.jobs[0]['page-ranges']], [[1, 3], [7, 7]]);
+        assert.equal(decoded.jobs[0]['job-hold'], false);
+    });
+
+    it('names status codes', () => {
+        const decoded = decodeResponse(encodeResponse(0x0000, {
+            operation: charset,
+            job: [{ name: 'job-id', type: 'integer', value: 1 }]
+        }, 7));
+        assert.equal(decoded.status, 'successful-ok');
+
+        const notFound = decodeResponse(encodeResponse(0x0406, { operation: charset }, 8));
+        assert.equal(notFound.status, 'client-error-not-found');
+    });
+
+    it('rejects truncated responses', () => {
+        assert.throws(() => decodeResponse(Buffer.alloc(4)), /Truncated IPP response/);
+    });
+});
+
+describe('CupsBackend against a local IPP server', () => {
+    let server;
+    let backend;
+    let requests;
+    let reply;
+    let tempDir;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => {
+                const body = Buffer.concat(chunks);
+                const request = decodeResponse(body);
+                requests.push({ path: req.url, contentType: req.headers['content-type'], body, request });
+                const { status = 0x0000, groups = {} } = reply(request);
+                res.writeHead(200, { 'Content-Type': 'application/ipp' });
+                res.end(encodeResponse(status, { operation: charset.concat(groups.operation || []), job: groups.job }, request.requestId));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        backend = new CupsBackend({ url: `http://127.0.0.1:${server.address().port}`, timeout: 5000 });
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inkoro-ipp-'));
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        requests = [];
+        reply = () => ({});
+    });
+
+    it('submits a job with its print options and the document', async () => {
+        const filePath = path.join(tempDir, 'notes.pdf');
+        const document = Buffer.from('%PDF-1.4 test document');
+        fs.writeFileSync(filePath, document);
+        reply = () => ({
+            groups: {
+                job: [
+                    { name: 'job-id', type: 'integer', value: 42 },
+                    { name: 'job-state', type: 'enum', value: 3 },
+                    { name: 'job-uri', type: 'uri', value: 'ipp://localhost/jobs/42' }
+                ]
+            }
+        });
+
+        const submission = await backend.submitJob(filePath, { copies: 2, duplex: true, paperSize: 'A4', color: false }, 'Canon_6565');
+
+        assert.deepEqual(submission, { jobId: 42, state: 'pending', uri: 'ipp://localhost/jobs/42' });
+        assert.equal(requests.length, 1);
+        const [{ path: requestPath, contentType, body, request }] = requests;
+        assert.equal(requestPath, '/printers/Canon_6565');
+        assert.equal(contentType, 'application/ipp');
+        assert.equal(request.statusCode, OPERATIONS['Print-Job']);
+        assert.equal(request.operation['printer-uri'], `ipp://127.0.0.1:${server.address().port}/printers/Canon_6565`);
+        assert.equal(request.operation['document-format'], 'application/pdf');
+        assert.equal(request.operation['job-name'], 'notes.pdf');
+        assert.equal(request.jobs[0].copies, 2);
+        assert.equal(request.jobs[0].sides, 'two-sided-long-edge');
+        assert.equal(request.jobs[0]['print-color-mode'], 'monochrome');
+        assert.equal(request.jobs[0].media, 'iso_a4_210x297mm');
+        assert.ok(body.subarray(body.length - document.length).equals(document));
+    });
+
+    it('reads a job state', async () => {
+        reply = (request) => ({
+            groups: {
+                job: [
+                    { name: 'job-id', type: 'integer', value: request.operation['job-id'] },
+                    { name: 'job-state', type: 'enum', value: 5 },
+                    { name: 'job-state-reasons', type: 'keyword', value: ['job-printing'] }
+                ]
+            }
+        });
+
+        const status = await backend.getJobStatus('42', 'Canon_6565');
+
+        assert.deepEqual(status, { id: 42, state: 'processing', reasons: ['job-printing'] });
+        assert.equal(requests[0].request.statusCode, OPERATIONS['Get-Job-Attributes']);
+    });
+
+    it('cancels a job', async () => {
+        const result = await backend.cancelJob(42, 'Canon_6565');
+
+        assert.equal(result.success, true);
+        assert.equal(requests[0].request.statusCode, OPERATIONS['Cancel-Job']);
+        assert.equal(requests[0].request.operation['job-id'], 42);
+    });
+
+    it('turns an error status into an error carrying the IPP status', async () => {
+        reply = () => ({
+            status: 0x0406,
+            groups: { operation: [{ name: 'status-message', type: 'text', value: 'Job #99 does not exist.' }] }
+        });
+
+        await assert.rejects(backend.cancelJob(99, 'Canon_6565'), (error) => {
+            assert.equal(error.ippStatus, 'client-error-not-found');
+            assert.match(error.message, /IPP Cancel-Job failed: Job #99 does not exist\./);
+            return true;
+        });
+    });
+});
@@ -0,0 +1,87 @@
+const { describe, it, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the job and customer journals out of the working tree
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inkoro-customers-'));
+process.env.DATA_PATH = path.join(tempDir, 'data');
+process.env.STORAGE_PATH = path.join(tempDir, 'storage');
+
+const printQueue = require('../src/queue/printQueue');
+const customerDirectory = require('../src/customers/customerDirectory');
+
+// Restores and queue events log to stdout, which the test runner reads its results from
+mock.method(console, 'log', () => {});
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+function addJob(sender, total) {
+    const quote = { total, printedPages: 1, currency: 'INR', symbol: '₹' };
+    return printQueue.addJob({ fileName: 'notes.pdf', sender, instructions: { copies: 1 }, quote });
+}
+
+describe('customer directory', () => {
+    it('creates a profile on first contact and follows WhatsApp renames until staff set a name', () => {
+        const jid = '919800000001@s.whatsapp.net';
+        const customer = customerDirectory.recordMessage(jid, { name: 'Asha' });
+        assert.equal(customer.phone, '919800000001');
+        assert.equal(customer.messageCount, 1);
+
+        customerDirectory.recordMessage(jid, { name: 'Asha K' });
+        assert.equal(customerDirectory.displayName(jid), 'Asha K');
+
+        customerDirectory.updateCustomer(jid, { name: 'Asha (college)', notes: 'Pays monthly' });
+        customerDirectory.recordMessage(jid, { name: 'Asha' });
+        assert.equal(customerDirectory.displayName(jid), 'Asha (college)');
+        assert.equal(customerDirectory.getCustomer(jid).messageCount, 3);
+    });
+
+    it('finds customers by name, number or notes, and filters blocked ones', () => {
+        const jid = '919800000002@s.whatsapp.net';
+        customerDirectory.recordMessage(jid, { name: 'Ravi' });
+        customerDirectory.block(jid, { reason: 'Spam', by: 'Owner' });
+
+        assert.deepEqual(customerDirectory.getCustomers({ search: 'monthly' }).map(c => c.name), ['Asha (college)']);
+        assert.deepEqual(customerDirectory.getCustomers({ search: '98000 00002' }).map(c => c.name), ['Ravi']);
+        assert.deepEqual(customerDirectory.getCustomers({ blocked: true }).map(c => c.id), [jid]);
+        assert.equal(customerDirectory.isBlocked(jid), true);
+
+        customerDirectory.unblock(jid);
+        assert.equal(customerDirectory.isBlocked(jid), false);
+    });
+
+    it('counts printed jobs and spend', async () => {
+        const jid = '919800000003@s.whatsapp.net';
+        for (const total of [12, 8.5]) {
+            const job = await addJob(jid, total);
+            printQueue._setStatus(job, 'completed', { progress: 100 });
+        }
+
+        const customer = customerDirectory.getCustomer(jid);
+        assert.equal(customer.totalJobs, 2);
+        assert.equal(customer.totalSpend, 20.5);
+    });
+
+    it('takes a printed job back off the totals when it is cancelled at the printer', async () => {
+        const jid = '919800000004@s.whatsapp.net';
+        const kept = await addJob(jid, 10);
+        const stopped = await addJob(jid, 30);
+        printQueue._setStatus(kept, 'completed', { progress: 100 });
+        printQueue._setStatus(stopped, 'completed', { progress: 100 });
+        assert.equal(customerDirectory.getCustomer(jid).totalSpend, 40);
+
+        printQueue._setStatus(stopped, 'cancelled');
+        printQueue._setStatus(stopped, 'cancelled');
+
+        const customer = customerDirectory.getCustomer(jid);
+        assert.equal(customer.totalJobs, 1);
+        assert.equal(customer.totalSpend, 10);
+
+        // A retry that prints counts once more
+        printQueue._setStatus(stopped, 'queued');
+        printQueue._setStatus(stopped, 'completed', { progress: 100 });
+        assert.equal(customerDirectory.getCustomer(jid).totalSpend, 40);
+    });
+});
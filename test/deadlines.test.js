@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const deadlines = require('../src/parser/deadlines');
+
+// Monday 19 Oct 2026, 10:00 in the shop (Asia/Kolkata, UTC+5:30); the shop is open 09:00-19:00
+const timeZone = 'Asia/Kolkata';
+const now = new Date('2026-10-19T04:30:00Z');
+const parse = text => deadlines.parse(text, { now, timeZone });
+
+describe('deadlines.parse', () => {
+    it('reads times later today in the shop timezone', () => {
+        assert.deepEqual(parse('need it by 5pm'), { at: '2026-10-19T11:30:00.000Z', phrase: '5pm', unclear: null });
+        assert.equal(parse('eod').at, '2026-10-19T13:30:00.000Z');
+    });
+
+    it('reads relative times, days and parts of the day', () => {
+        assert.equal(parse('in 2 hours').at, '2026-10-19T06:30:00.000Z');
+        assert.equal(parse('tomorrow morning').at, '2026-10-20T04:30:00.000Z');
+        // A day on its own means by closing time
+        assert.equal(parse('by friday').at, '2026-10-23T13:30:00.000Z');
+    });
+
+    it('moves a time that has passed today to tomorrow', () => {
+        assert.equal(parse('by 9am').at, '2026-10-20T03:30:00.000Z');
+    });
+
+    it('reads a bare hour as the one inside shop hours', () => {
+        assert.equal(parse('by 5').at, '2026-10-19T11:30:00.000Z');
+        assert.equal(parse('by 10').at, '2026-10-20T04:30:00.000Z');
+    });
+
+    it('asks when the deadline is unclear', () => {
+        assert.deepEqual(parse('by 8'), { at: null, phrase: 'by 8', unclear: 'Did you mean 8am or 8pm?' });
+        assert.equal(parse('deadline').unclear, 'When do you need it by?');
+        assert.match(parse('by 25:00').unclear, /isn't a time I recognise/);
+    });
+
+    it('finds nothing in text without a deadline', () => {
+        assert.equal(parse('2 copies, double sided'), null);
+    });
+});
+
+describe('deadlines.resolve and format', () => {
+    it('resolves stored timestamps and old raw phrases', () => {
+        assert.equal(deadlines.resolve('2026-10-19T11:30:00.000Z').toISOString(), '2026-10-19T11:30:00.000Z');
+        assert.equal(deadlines.resolve(null), null);
+        assert.ok(deadlines.resolve('5pm', now) instanceof Date);
+    });
+
+    it('formats deadlines relative to today', () => {
+        assert.equal(deadlines.format('2026-10-19T11:30:00.000Z', { now, timeZone }), 'today 5:00 pm');
+        assert.equal(deadlines.format('2026-10-20T04:30:00.000Z', { now, timeZone }), 'tomorrow 10:00 am');
+        assert.equal(deadlines.format('2026-10-23T13:30:00.000Z', { now, timeZone }), 'Fri 23 Oct, 7:00 pm');
+        assert.equal(deadlines.format(null, { now, timeZone }), 'No deadline');
+    });
+});
@@ -0,0 +1,131 @@
+const { describe, it, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+
+// Keep documents, job data and the WhatsApp session out of the working tree
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inkoro-defaults-'));
+process.env.DATA_PATH = path.join(tempDir, 'data');
+process.env.STORAGE_PATH = path.join(tempDir, 'storage');
+process.env.WHATSAPP_AUTH_PATH = path.join(tempDir, 'whatsapp_auth');
+
+const config = require('../config');
+const documentManager = require('../src/storage/documentManager');
+const instructionParser = require('../src/parser/instructionParser');
+const customerDirectory = require('../src/customers/customerDirectory');
+const orderManager = require('../src/orders/orderManager');
+const WhatsAppClient = require('../src/whatsapp/client');
+const Cart = require('../src/whatsapp/cart');
+
+const customer = '919800000001@s.whatsapp.net';
+
+// Queueing logs progress to stdout, which the test runner reads its results from
+mock.method(console, 'log', () => {});
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+describe('InstructionParser.reusable', () => {
+    it('keeps copies, paper type, duplex and priority', () => {
+        const instructions = instructionParser.extract('2 copies glossy front and back urgent');
+        assert.deepEqual(instructionParser.reusable(instructions), { copies: 2, paperType: 'glossy', duplex: true, priority: 'urgent' });
+    });
+
+    it('leaves out page selections and deadlines, which belong to one job', () => {
+        const instructions = { ...instructionParser.extract('pages 1-3, 3 copies'), deadline: new Date().toISOString() };
+        assert.deepEqual(instructionParser.reusable(instructions), { copies: 3 });
+    });
+
+    it('returns nothing for missing or empty instructions', () => {
+        assert.deepEqual(instructionParser.reusable(null), {});
+        assert.deepEqual(instructionParser.reusable({ copies: null, duplex: undefined }), {});
+    });
+});
+
+describe('saved defaults and "same as last time"', () => {
+    let client;
+    let sent;
+    let fileId;
+
+    const lastMessage = () => sent[sent.length - 1];
+
+    before(async () => {
+        await documentManager.ensureStorageDir();
+        const pdf = await PDFDocument.create();
+        pdf.addPage([595, 842]);
+        pdf.addPage([595, 842]);
+        fileId = (await documentManager.saveDocument(Buffer.from(await pdf.save()), 'notes.pdf')).fileId;
+
+        client = new WhatsAppClient();
+        client.client = { sendMessage: async (to, content) => sent.push(content.text) };
+        client.isConnected = true;
+        client.connectionStatus = 'connected';
+        config.autoConfirmMaxPrice = 0;
+    });
+
+    beforeEach(() => {
+        sent = [];
+        client.removeCart(customer);
+        customerDirectory.setPreferences(customer, {});
+    });
+
+    after(() => client.removeCart(customer));
+
+    function startCart() {
+        const cart = new Cart(customer, orderManager.newOrderId(), customerDirectory.getPreferences(customer));
+        cart.addDocument({ fileId, fileName: 'notes.pdf', fileSize: 1024 });
+        client.saveCart(customer, cart);
+        return cart;
+    }
+
+    it('saves the reusable settings from "set default ..." on top of earlier ones', async () => {
+        await client.handleSetDefaults(customer, 'duplex');
+        await client.handleSetDefaults(customer, '2 copies, pages 1-2');
+
+        assert.deepEqual(customerDirectory.getPreferences(customer), { duplex: true, copies: 2 });
+        assert.match(lastMessage(), /Saved! Your documents will now print as 2 copies, A4, front & back, plain paper/);
+    });
+
+    it('saves nothing when the reply has no settings it can keep', async () => {
+        await client.handleSetDefaults(customer, 'pages 3-4');
+
+        assert.deepEqual(customerDirectory.getPreferences(customer), {});
+        assert.match(lastMessage(), /couldn't find any settings to save in "pages 3-4"/);
+    });
+
+    it('starts new documents from the saved defaults', async () => {
+        await client.handleSetDefaults(customer, 'glossy');
+        const cart = startCart();
+        await client.reviewCart(customer, cart, {});
+
+        assert.equal(cart.items[0].instructions.paperType, 'glossy');
+        assert.equal(cart.items[0].instructions.copies, 1);
+    });
+
+    it('prints the cart with the settings of the last order', async () => {
+        customerDirectory.recordInstructions(customer, { copies: 3, duplex: true, pages: [2] });
+        startCart();
+
+        await client.handleSameAsLastTime(customer);
+
+        const cart = client.getCart(customer);
+        assert.deepEqual([cart.items[0].instructions.copies, cart.items[0].instructions.duplex], [3, true]);
+        assert.equal(cart.items[0].instructions.pages, null);
+        assert.equal(cart.awaitingConfirmation, true);
+    });
+
+    it('asks for the document first when there is no cart', async () => {
+        customerDirectory.recordInstructions(customer, { copies: 3 });
+
+        await client.handleSameAsLastTime(customer);
+
+        assert.match(lastMessage(), /Send the document first, then reply "same as last time" to print it as 3 copies/);
+    });
+
+    it('says so when the customer has no previous order', async () => {
+        await client.handleSameAsLastTime('919800000009@s.whatsapp.net');
+
+        assert.match(lastMessage(), /don't have a previous order from you yet/);
+    });
+});
@@ -0,0 +1,93 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { PDFDocument, PageSizes } = require('pdf-lib');
+const { layoutImages } = require('../src/processing/imageLayout');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+// A solid grey RGB PNG of the given size
+function png(width, height) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header.set([8, 2, 0, 0, 0], 8);
+    const row = Buffer.concat([Buffer.from([0]), Buffer.alloc(width * 3, 0x80)]);
+    const pixels = zlib.deflateSync(Buffer.concat(Array(height).fill(row)));
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        chunk('IDAT', pixels),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+const photos = (count, width = 40, height = 30) =>
+    Array.from({ length: count }, (_, index) => ({ buffer: png(width, height), caption: `IMG_${index + 1}.png` }));
+
+async function pageSizes(buffer) {
+    const pdf = await PDFDocument.load(buffer);
+    return pdf.getPages().map(page => {
+        const { width, height } = page.getSize();
+        return [Math.round(width), Math.round(height)];
+    });
+}
+
+describe('layoutImages', () => {
+    it('fills a grid per sheet and starts a new sheet when it is full', async () => {
+        const layout = await layoutImages(photos(5), { perPage: 4, orientation: 'portrait' });
+
+        assert.deepEqual([layout.sheets, layout.columns, layout.rows, layout.orientation], [2, 2, 2, 'portrait']);
+        assert.deepEqual(await pageSizes(layout.buffer), [[595, 842], [595, 842]]);
+    });
+
+    it('swaps columns and rows on a landscape sheet', async () => {
+        const layout = await layoutImages(photos(6), { perPage: 6, orientation: 'landscape', paperSize: 'A3' });
+
+        assert.deepEqual([layout.sheets, layout.columns, layout.rows], [1, 3, 2]);
+        assert.deepEqual(await pageSizes(layout.buffer), [PageSizes.A3.slice().reverse().map(Math.round)]);
+    });
+
+    it('picks the orientation that shows the photos larger', async () => {
+        const wide = await layoutImages(photos(1, 60, 20), { rotate: false });
+        assert.equal(wide.orientation, 'landscape');
+
+        const tall = await layoutImages(photos(1, 20, 60), { rotate: false });
+        assert.equal(tall.orientation, 'portrait');
+
+        // Turning the photo fills a portrait sheet just as well, and ties stay portrait
+        const turned = await layoutImages(photos(1, 60, 20));
+        assert.equal(turned.orientation, 'portrait');
+    });
+
+    it('draws captions, dropping characters the standard fonts cannot encode', async () => {
+        const layout = await layoutImages([{ buffer: png(30, 30), caption: '🎉 Party photo' }], { captions: true });
+        assert.equal(layout.sheets, 1);
+    });
+
+    it('refuses layouts, paper sizes and files it cannot print', async () => {
+        await assert.rejects(layoutImages(photos(1), { perPage: 5 }), /Unsupported layout: 5 per page/);
+        await assert.rejects(layoutImages(photos(1), { paperSize: 'tabloid' }), /Unsupported paper size: tabloid/);
+        await assert.rejects(layoutImages([]), /No images to lay out/);
+        await assert.rejects(layoutImages([{ buffer: Buffer.from('GIF89a') }]), /Photo 1 is not a JPEG or PNG image/);
+    });
+});
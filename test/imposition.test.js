@@ -0,0 +1,115 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument, PageSizes } = require('pdf-lib');
+const imposition = require('../src/processing/imposition');
+const instructionParser = require('../src/parser/instructionParser');
+
+// A PDF with one page per size given, A4 portrait by default
+async function makePdf(sizes) {
+    const pdf = await PDFDocument.create();
+    for (const size of sizes) {
+        pdf.addPage(size).drawText('page', { x: 20, y: 20 });
+    }
+    return Buffer.from(await pdf.save());
+}
+
+async function sheetSizes(buffer) {
+    const pdf = await PDFDocument.load(buffer);
+    return pdf.getPages().map(page => {
+        const { width, height } = page.getSize();
+        return [Math.round(width), Math.round(height)];
+    });
+}
+
+const range = count => Array.from({ length: count }, (_, index) => index + 1);
+const A4_PORTRAIT = [595, 842];
+const A4_LANDSCAPE = [842, 595];
+
+describe('imposition.planSides', () => {
+    it('puts N pages on each side in reading order, leaving the last side short', () => {
+        assert.deepEqual(imposition.planSides(range(5), { pagesPerSheet: 2 }), [[1, 2], [3, 4], [5]]);
+        assert.deepEqual(imposition.planSides([2, 4, 6, 8, 10], { pagesPerSheet: 4 }), [[2, 4, 6, 8], [10]]);
+        assert.deepEqual(imposition.planSides(range(2)), [[1], [2]]);
+    });
+
+    it('orders a booklet so the folded stack reads in sequence', () => {
+        assert.deepEqual(imposition.planSides(range(8), { booklet: true }), [[8, 1], [2, 7], [6, 3], [4, 5]]);
+    });
+
+    it('pads a booklet to a multiple of four pages with blanks', () => {
+        assert.deepEqual(imposition.planSides(range(6), { booklet: true }), [[null, 1], [2, null], [6, 3], [4, 5]]);
+        assert.deepEqual(imposition.planSides(range(1), { booklet: true }), [[null, 1], [null, null]]);
+    });
+
+    it('maps source pages to the printed sides that carry them', () => {
+        const sides = imposition.planSides(range(8), { booklet: true });
+        assert.deepEqual(imposition.mapPages(sides, [1, 5]), [1, 4]);
+        assert.deepEqual(imposition.mapPages(imposition.planSides(range(6), { pagesPerSheet: 2 }), [3, 4, 6]), [2, 3]);
+    });
+});
+
+describe('imposition.impose', () => {
+    it('lays portrait pages two to a landscape sheet', async () => {
+        const result = await imposition.impose(await makePdf(Array(5).fill(PageSizes.A4)), range(5), { pagesPerSheet: 2 });
+
+        assert.equal(result.orientation, 'landscape');
+        assert.deepEqual(result.sides, [[1, 2], [3, 4], [5]]);
+        assert.deepEqual(await sheetSizes(result.buffer), Array(3).fill(A4_LANDSCAPE));
+    });
+
+    it('keeps four up on a portrait sheet, or landscape when asked', async () => {
+        const source = await makePdf(Array(4).fill(PageSizes.A4));
+
+        assert.deepEqual(await sheetSizes((await imposition.impose(source, range(4), { pagesPerSheet: 4 })).buffer), [A4_PORTRAIT]);
+        const turned = await imposition.impose(source, range(4), { pagesPerSheet: 4, orientation: 'landscape' });
+        assert.deepEqual(await sheetSizes(turned.buffer), [A4_LANDSCAPE]);
+    });
+
+    it('prints a padded booklet on landscape sheets', async () => {
+        const result = await imposition.impose(await makePdf(Array(6).fill(PageSizes.A4)), range(6), { booklet: true });
+
+        assert.deepEqual(result.sides, [[null, 1], [2, null], [6, 3], [4, 5]]);
+        assert.deepEqual(await sheetSizes(result.buffer), Array(4).fill(A4_LANDSCAPE));
+    });
+
+    it('fits pages of any size to the paper, one to a sheet', async () => {
+        const source = await makePdf([PageSizes.A3, PageSizes.Letter, [300, 200]]);
+
+        const result = await imposition.impose(source, range(3), { paperSize: 'a4' });
+
+        assert.deepEqual(result.sides, [[1], [2], [3]]);
+        assert.deepEqual(await sheetSizes(result.buffer), Array(3).fill(A4_PORTRAIT));
+        assert.deepEqual(await sheetSizes((await imposition.impose(source, [1], { paperSize: 'a5' })).buffer), [[420, 595]]);
+    });
+
+    it('only lays out the selected pages that exist', async () => {
+        const result = await imposition.impose(await makePdf(Array(3).fill(PageSizes.A4)), [3, 1, 9], { pagesPerSheet: 2 });
+        assert.deepEqual(result.sides, [[3, 1]]);
+    });
+
+    it('refuses layouts, paper sizes and page selections it cannot print', async () => {
+        const source = await makePdf([PageSizes.A4]);
+        await assert.rejects(imposition.impose(source, [1], { pagesPerSheet: 3 }), /Unsupported layout: 3 pages per sheet/);
+        await assert.rejects(imposition.impose(source, [1], { paperSize: 'tabloid' }), /Unsupported paper size: tabloid/);
+        await assert.rejects(imposition.impose(source, [4]), /No valid pages to lay out/);
+    });
+});
+
+describe('imposition instructions', () => {
+    it('reads N-up, booklet, fit-to-paper and orientation from a reply', () => {
+        assert.deepEqual(instructionParser.extract('2 per page'), { pagesPerSheet: 2 });
+        assert.deepEqual(instructionParser.extract('landscape 4-up, pages 1-8'),
+            { pages: range(8), pagesPerSheet: 4, orientation: 'landscape' });
+        assert.deepEqual(instructionParser.extract('booklet'), { booklet: true, duplex: true });
+        assert.deepEqual(instructionParser.extract('booklet single sided'), { booklet: true, duplex: false });
+        assert.deepEqual(instructionParser.extract('fit to a3'), { fitToPage: true, paperSize: 'a3' });
+        assert.deepEqual(instructionParser.extract('3 per page'), {});
+    });
+
+    it('only imposes when the layout changes, and describes it', () => {
+        assert.equal(imposition.needsImposition({ pages: [1, 2], duplex: true }), false);
+        assert.equal(imposition.needsImposition({ pagesPerSheet: 2 }), true);
+        assert.equal(imposition.describe({ pagesPerSheet: 4, orientation: 'landscape' }), '4 per sheet, landscape');
+        assert.equal(imposition.describe({ booklet: true, pagesPerSheet: 2, fitToPage: true, paperSize: 'a3' }), 'booklet, fit to A3');
+    });
+});
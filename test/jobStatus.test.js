@@ -0,0 +1,127 @@
+const { describe, it, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the job and order journals and the WhatsApp session out of the working tree
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inkoro-status-'));
+process.env.DATA_PATH = path.join(tempDir, 'data');
+process.env.STORAGE_PATH = path.join(tempDir, 'storage');
+process.env.WHATSAPP_AUTH_PATH = path.join(tempDir, 'whatsapp_auth');
+
+const config = require('../config');
+const printQueue = require('../src/queue/printQueue');
+const printerManager = require('../src/printer/printerManager');
+const orderManager = require('../src/orders/orderManager');
+const WhatsAppClient = require('../src/whatsapp/client');
+
+const customer = '919800000001@s.whatsapp.net';
+const someoneElse = '919800000002@s.whatsapp.net';
+
+// Queueing logs progress to stdout, which the test runner reads its results from
+mock.method(console, 'log', () => {});
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+// An order over one queued job per file name, the way the WhatsApp client submits a cart
+async function placeOrder(sender, ...fileNames) {
+    const id = orderManager.newOrderId();
+    const jobs = [];
+    for (const fileName of fileNames) {
+        jobs.push(await printQueue.addJob({ fileName, sender, instructions: { copies: 1 }, orderId: id }));
+    }
+    return orderManager.createOrder({ id, sender, jobs });
+}
+
+describe('job status over WhatsApp', () => {
+    let client;
+
+    before(() => {
+        client = new WhatsAppClient();
+        // No printers are configured here; the planned printer is whatever the manager would pick
+        mock.method(printerManager, 'selectBestPrinter', async () => 'Office Laser');
+    });
+
+    beforeEach(() => {
+        for (const job of printQueue.jobs.all()) printQueue.jobs.remove(job.id);
+        config.autoProcessQueue = false;
+        config.requirePaymentAbove = 0;
+    });
+
+    it('shows a queued job with its position, ETA and planned printer', async () => {
+        await placeOrder(someoneElse, 'ahead.pdf');
+        const order = await placeOrder(customer, 'notes.pdf');
+        const jobId = order.items[0].jobId;
+
+        const status = await client.formatJobStatus(customer);
+
+        assert.match(status, new RegExp(`Job #${jobId}\\* · notes\\.pdf`));
+        assert.match(status, /Status: Queued, waiting for the shop to accept it/);
+        assert.match(status, /Queue position: 2 of 2/);
+        assert.match(status, /ETA: about \d+ minutes?/);
+        assert.match(status, /Printer: Office Laser \(planned\)/);
+    });
+
+    it('lists every job in progress and points at the per-job command', async () => {
+        const order = await placeOrder(customer, 'notes.pdf', 'form.pdf');
+
+        const status = await client.formatJobStatus(customer);
+
+        assert.match(status, /You have 2 jobs in progress/);
+        assert.match(status, new RegExp(`\\(order ${order.id}\\)`));
+        assert.match(status, new RegExp(`Reply "status ${order.items[0].jobId}" for one job`));
+    });
+
+    it('only shows a job to the customer who sent it', async () => {
+        const order = await placeOrder(someoneElse, 'private.pdf');
+        const jobId = order.items[0].jobId;
+
+        assert.match(await client.formatJobStatus(customer, jobId), new RegExp(`couldn't find job #${jobId}`));
+        assert.match(await client.formatJobStatus(customer), /no jobs in progress/);
+    });
+
+    it('gives the pickup code once the order is ready', async () => {
+        const order = await placeOrder(customer, 'notes.pdf');
+        const job = printQueue.getJob(order.items[0].jobId);
+        printQueue._setStatus(job, 'completed', { progress: 100, result: { printer: 'Office Laser' } });
+
+        const status = await client.describeJobStatus(job, printQueue.getSchedule());
+
+        assert.match(status, new RegExp(`Ready for pickup\\. Show code \\*${orderManager.getOrder(order.id).pickupCode}\\*`));
+        assert.match(status, /Printer: Office Laser$/);
+    });
+
+    it('says a printed job is waiting for the rest of its order', async () => {
+        const order = await placeOrder(customer, 'notes.pdf', 'form.pdf');
+        const job = printQueue.getJob(order.items[0].jobId);
+        printQueue._setStatus(job, 'completed', { progress: 100 });
+
+        const status = await client.describeJobStatus(job, printQueue.getSchedule());
+
+        assert.match(status, new RegExp(`Printed, waiting for the rest of order ${order.id}`));
+    });
+
+    it('says a job is waiting for payment when the order must be paid first', async () => {
+        config.requirePaymentAbove = 5;
+        const id = orderManager.newOrderId();
+        const quote = { total: 20, printedPages: 2, currency: 'INR', symbol: '₹' };
+        const job = await printQueue.addJob({ fileName: 'notes.pdf', sender: customer, instructions: { copies: 1 }, quote, orderId: id });
+        orderManager.createOrder({ id, sender: customer, jobs: [job] });
+
+        const status = await client.describeJobStatus(job, printQueue.getSchedule());
+
+        assert.match(status, /Waiting for your payment before it prints/);
+    });
+
+    it('reports printing progress and failures', async () => {
+        const order = await placeOrder(customer, 'notes.pdf', 'form.pdf');
+        const [printing, failed] = order.items.map(item => printQueue.getJob(item.jobId));
+        printQueue._setStatus(printing, 'processing', { progress: 40 });
+        printQueue._setStatus(failed, 'failed', { error: 'Paper jam' });
+        const schedule = printQueue.getSchedule();
+
+        assert.match(await client.describeJobStatus(printing, schedule), /Accepted and printing \(40%\)/);
+        assert.match(await client.describeJobStatus(failed, schedule), /Couldn't be printed, the shop is looking into it/);
+    });
+});
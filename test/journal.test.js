@@ -0,0 +1,93 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Journal = require('../src/utils/journal');
+
+const readLines = filePath => fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+describe('Journal', () => {
+    let tempDir;
+    let filePath;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inkoro-journal-'));
+        filePath = path.join(tempDir, 'records.jsonl');
+    });
+
+    afterEach(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+    it('restores the latest snapshot of each record and keeps IDs counting up', () => {
+        const journal = new Journal(filePath);
+        const first = { id: journal.nextId(), status: 'queued', createdAt: new Date() };
+        journal.save(first, 'added');
+        journal.save({ ...first, status: 'completed' }, 'statusUpdated');
+        const second = { id: journal.nextId(), status: 'queued' };
+        journal.save(second, 'added');
+        journal.remove(second.id);
+
+        const restored = new Journal(filePath);
+        assert.deepEqual(restored.all().map(record => [record.id, record.status]), [[1, 'completed']]);
+        assert.ok(restored.get(1).createdAt instanceof Date);
+        assert.equal(restored.nextId(), 3);
+    });
+
+    it('compacts while running once the journal outgrows its records', () => {
+        const journal = new Journal(filePath);
+        const job = { id: journal.nextId(), progress: 0 };
+        for (let progress = 1; progress <= 600; progress++) {
+            journal.save({ ...job, progress }, 'progress');
+        }
+
+        assert.ok(readLines(filePath).length < 600);
+        const restored = new Journal(filePath);
+        assert.equal(restored.get(1).progress, 600);
+        assert.equal(restored.nextId(), 2);
+    });
+
+    it('journals appendOnly lists as their new entries', () => {
+        const journal = new Journal(filePath, { appendOnly: ['transactions'] });
+        const account = { id: 'a', balance: 0, transactions: [] };
+        for (let i = 1; i <= 3; i++) {
+            account.balance += 10;
+            account.transactions.push({ id: i, amount: 10 });
+            journal.save(account, 'topup');
+        }
+
+        const lines = readLines(filePath);
+        assert.deepEqual(lines.map(line => line.appended.transactions.map(txn => txn.id)), [[1], [2], [3]]);
+        assert.ok(lines.every(line => !('transactions' in line.record)));
+
+        const restored = new Journal(filePath, { appendOnly: ['transactions'] });
+        assert.equal(restored.get('a').balance, 30);
+        assert.deepEqual(restored.get('a').transactions.map(txn => txn.id), [1, 2, 3]);
+    });
+
+    it('keeps appendOnly lists whole across compaction', () => {
+        const journal = new Journal(filePath, { appendOnly: ['transactions'] });
+        const account = { id: 'a', transactions: [] };
+        for (let i = 1; i <= 600; i++) {
+            account.transactions.push({ id: i });
+            journal.save(account, 'topup');
+        }
+
+        assert.ok(readLines(filePath).length < 600);
+        const restored = new Journal(filePath, { appendOnly: ['transactions'] });
+        assert.equal(restored.get('a').transactions.length, 600);
+    });
+
+    it('drops a line cut short by a crash so later appends are not lost', () => {
+        const journal = new Journal(filePath);
+        journal.save({ id: journal.nextId(), status: 'queued' }, 'added');
+        const partial = JSON.stringify({ at: new Date().toISOString(), event: 'added', record: { id: 2, status: 'queued' } });
+        fs.appendFileSync(filePath, partial.slice(0, 30));
+
+        const afterCrash = new Journal(filePath);
+        assert.deepEqual(afterCrash.all().map(record => record.id), [1]);
+        afterCrash.save({ id: afterCrash.nextId(), status: 'queued' }, 'added');
+
+        assert.deepEqual(readLines(filePath).map(line => line.record.id), [1, 2]);
+        assert.deepEqual(new Journal(filePath).all().map(record => record.id), [1, 2]);
+    });
+});
@@ -0,0 +1,155 @@
+const { describe, it, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the job, order and payment journals out of the working tree
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inkoro-ledger-'));
+process.env.DATA_PATH = path.join(tempDir, 'data');
+process.env.STORAGE_PATH = path.join(tempDir, 'storage');
+process.env.WHATSAPP_AUTH_PATH = path.join(tempDir, 'whatsapp_auth');
+
+const config = require('../config');
+const printQueue = require('../src/queue/printQueue');
+const orderManager = require('../src/orders/orderManager');
+const ledger = require('../src/payments/ledger');
+const shopClock = require('../src/utils/shopClock');
+const WhatsAppClient = require('../src/whatsapp/client');
+
+const customer = '919800000001@s.whatsapp.net';
+
+// Restores and queue events log to stdout, which the test runner reads its results from
+mock.method(console, 'log', () => {});
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+// An order over one queued job per amount, priced as the WhatsApp client quotes them
+async function placeOrder(...amounts) {
+    const id = orderManager.newOrderId();
+    const jobs = [];
+    for (const total of amounts) {
+        const quote = { total, printedPages: 1, currency: 'INR', symbol: '₹' };
+        jobs.push(await printQueue.addJob({ fileName: 'notes.pdf', sender: customer, instructions: { copies: 1 }, quote, orderId: id }));
+    }
+    return orderManager.createOrder({ id, sender: customer, jobs });
+}
+
+function finishOrder(order) {
+    for (const item of order.items) {
+        printQueue._setStatus(printQueue.getJob(item.jobId), 'completed', { progress: 100 });
+    }
+}
+
+describe('payment ledger', () => {
+    beforeEach(() => {
+        config.requirePaymentAbove = 0;
+    });
+
+    it('marks an order paid once confirmed payments cover its total', async () => {
+        const order = await placeOrder(30, 20);
+
+        const part = ledger.recordPayment({ orderId: order.id, method: 'cash', amount: 20 });
+        assert.equal(part.status, 'confirmed');
+        assert.equal(ledger.outstanding(order), 30);
+        assert.equal(orderManager.getOrder(order.id).paid, false);
+
+        const rest = ledger.recordPayment({ orderId: order.id, method: 'cash' });
+        assert.equal(rest.amount, 30);
+        assert.equal(orderManager.getOrder(order.id).paid, true);
+        assert.throws(() => ledger.recordPayment({ orderId: order.id, method: 'cash' }), /already paid/);
+    });
+
+    it('holds a UPI reference sent on WhatsApp until staff confirm it', async () => {
+        const order = await placeOrder(25);
+
+        const payment = ledger.recordPayment({ orderId: order.id, method: 'upi', reference: '4123 4567 8901', source: 'whatsapp' });
+        assert.equal(payment.status, 'pending');
+        assert.equal(payment.reference, '412345678901');
+        assert.equal(orderManager.getOrder(order.id).paid, false);
+
+        ledger.confirm(payment.id, { by: 'Counter 1' });
+        assert.equal(orderManager.getOrder(order.id).paid, true);
+        assert.equal(orderManager.getOrder(order.id).payment.reference, '412345678901');
+        assert.throws(() => ledger.confirm(payment.id), /already confirmed/);
+    });
+
+    it('lets a rejected reference be sent again but never reused while it stands', async () => {
+        const order = await placeOrder(15);
+        const first = ledger.recordPayment({ orderId: order.id, method: 'upi', reference: 'T2406101234', source: 'whatsapp' });
+
+        assert.throws(() => ledger.recordPayment({ orderId: order.id, method: 'upi', reference: 't2406101234', source: 'whatsapp' }),
+            /already been used/);
+        ledger.reject(first.id, { reason: 'Not in the statement' });
+        assert.equal(ledger.recordPayment({ orderId: order.id, method: 'upi', reference: 'T2406101234', source: 'whatsapp' }).status, 'pending');
+        assert.throws(() => ledger.recordPayment({ orderId: order.id, method: 'upi', source: 'whatsapp' }), /needs its transaction reference/);
+    });
+
+    it('cashes up the day by method, with pending references and unpaid hand-overs', async () => {
+        // Earlier tests in this file recorded takings today as well; compare against where they left off
+        const before = ledger.cashUp();
+
+        const cash = await placeOrder(40);
+        ledger.recordPayment({ orderId: cash.id, method: 'cash' });
+        const upi = await placeOrder(12.5);
+        ledger.recordPayment({ orderId: upi.id, method: 'upi', reference: '998877665544' });
+        const waiting = await placeOrder(9);
+        ledger.recordPayment({ orderId: waiting.id, method: 'upi', reference: '112233445566', source: 'whatsapp' });
+        const unpaid = await placeOrder(7);
+        finishOrder(unpaid);
+        orderManager.confirmPickup(unpaid.id, { by: 'Owner' });
+
+        const report = ledger.cashUp();
+        assert.equal(report.date, shopClock.dayKey());
+        assert.equal(report.byMethod.cash.amount - before.byMethod.cash.amount, 40);
+        assert.equal(report.byMethod.upi.count - before.byMethod.upi.count, 1);
+        assert.equal(report.expectedCash, report.byMethod.cash.amount);
+        assert.equal(report.total, report.byMethod.cash.amount + report.byMethod.upi.amount + report.byMethod.prepaid.amount);
+        assert.ok(report.pending.payments.some(payment => payment.orderId === waiting.id));
+        assert.deepEqual(report.unpaidCollected.map(order => [order.id, order.outstanding, order.collectedBy]), [[unpaid.id, 7, 'Owner']]);
+
+        const yesterday = shopClock.dayKey(new Date(Date.now() - 24 * 60 * 60 * 1000));
+        assert.equal(ledger.cashUp(yesterday).total, 0);
+    });
+
+    it('holds unpaid orders above REQUIRE_PAYMENT_ABOVE back from printing', async () => {
+        const large = await placeOrder(120);
+        const small = await placeOrder(30);
+        const jobOf = order => printQueue.getJob(order.items[0].jobId);
+
+        assert.equal(ledger.paymentHold(jobOf(large)), null);
+
+        config.requirePaymentAbove = 50;
+        assert.equal(ledger.paymentHold(jobOf(large)).id, large.id);
+        assert.equal(ledger.paymentHold(jobOf(small)), null);
+        assert.equal(ledger.paymentHold({ id: 99, data: {} }), null);
+
+        ledger.recordPayment({ orderId: large.id, method: 'cash' });
+        assert.equal(ledger.paymentHold(jobOf(large)), null);
+    });
+});
+
+describe('WhatsAppClient.parseUpiReference', () => {
+    const client = new WhatsAppClient();
+    // Incoming text is lowercased before it gets here
+    const cases = [
+        ['412345678901', '412345678901'],
+        ['4123 4567 8901', '412345678901'],
+        ['utr: 4123 4567 8901', '412345678901'],
+        ['utr 412345678901', '412345678901'],
+        ['upi ref 412345678901', '412345678901'],
+        ['utr no. 412345678901', '412345678901'],
+        ['paid, txn id t2406101234567890', 't2406101234567890'],
+        ['paid - reference: 412345678901', '412345678901'],
+        ['41234567890', null],
+        ['2 copies', null],
+        ['pages 1-10', null],
+        ['paid', null]
+    ];
+
+    for (const [text, expected] of cases) {
+        it(`reads "${text}" as ${expected === null ? 'no reference' : expected}`, () => {
+            assert.equal(client.parseUpiReference(text), expected);
+        });
+    }
+});
@@ -0,0 +1,66 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Each boot is a fresh process, as it would be after a server restart; the jobs are its last line of output
+function bootQueue(env) {
+    const script = `
+        const printQueue = require(${JSON.stringify(path.join(__dirname, '../src/queue/printQueue'))});
+        console.log(JSON.stringify(printQueue.getJobs()));
+        process.exit(0);
+    `;
+    const output = execFileSync(process.execPath, ['-e', script], { env: { ...process.env, ...env }, encoding: 'utf8', timeout: 30000 });
+    return JSON.parse(output.trim().split('\n').pop());
+}
+
+describe('importing the legacy JSON queue', () => {
+    let tempDir;
+    let env;
+
+    before(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inkoro-legacy-'));
+        env = {
+            DATA_PATH: path.join(tempDir, 'data'),
+            STORAGE_PATH: path.join(tempDir, 'storage'),
+            WHATSAPP_AUTH_PATH: path.join(tempDir, 'whatsapp_auth')
+        };
+        fs.mkdirSync(env.DATA_PATH, { recursive: true });
+        fs.writeFileSync(path.join(env.DATA_PATH, 'queue.json'), JSON.stringify({
+            queue: [{
+                id: '1718000000000abc', status: 'pending', priority: 1, estimatedPages: 4, progress: 0,
+                createdAt: '2024-06-10T06:13:20.000Z', fileId: 'f-1', fileName: 'notes.pdf',
+                sender: '919800000001@s.whatsapp.net', instructions: { copies: 2, priority: 'normal' }
+            }],
+            completedJobs: [{
+                id: '1717990000000def', status: 'completed', progress: 100, createdAt: '2024-06-10T03:26:40.000Z',
+                fileId: 'f-2', fileName: 'form.pdf', sender: '919800000002@s.whatsapp.net', instructions: { copies: 1 }
+            }]
+        }));
+    });
+
+    after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+    it('imports the old jobs with new IDs once and keeps them on the next boot without duplicates', () => {
+        const firstBoot = bootQueue(env);
+        assert.deepEqual(firstBoot.map(job => [job.id, job.legacyId, job.status]), [
+            [1, '1718000000000abc', 'queued'],
+            [2, '1717990000000def', 'completed']
+        ]);
+        assert.equal(firstBoot[0].data.sender, '919800000001@s.whatsapp.net');
+        assert.equal(firstBoot[0].data.instructions.copies, 2);
+        assert.equal(firstBoot[0].estimatedPages, 4);
+        assert.ok(!fs.existsSync(path.join(env.DATA_PATH, 'queue.json')));
+        assert.ok(fs.existsSync(path.join(env.DATA_PATH, 'queue.json.imported')));
+
+        const secondBoot = bootQueue(env);
+        assert.deepEqual(secondBoot.map(job => job.id), [1, 2]);
+    });
+
+    it('skips jobs it already imported if the old file is still there', () => {
+        fs.copyFileSync(path.join(env.DATA_PATH, 'queue.json.imported'), path.join(env.DATA_PATH, 'queue.json'));
+        assert.deepEqual(bootQueue(env).map(job => job.legacyId), ['1718000000000abc', '1717990000000def']);
+    });
+});
@@ -0,0 +1,132 @@
+const { describe, it, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+
+// Keep documents out of the working tree, and convert with a stand-in for LibreOffice
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inkoro-office-'));
+const samplePdf = path.join(tempDir, 'sample.pdf');
+const conversionLog = path.join(tempDir, 'conversions.log');
+const fakeSoffice = path.join(tempDir, 'soffice');
+process.env.DATA_PATH = path.join(tempDir, 'data');
+process.env.STORAGE_PATH = path.join(tempDir, 'storage');
+process.env.SOFFICE_PATH = fakeSoffice;
+
+// Called as: -env:UserInstallation=... --headless --norestore --nolockcheck --convert-to pdf --outdir <dir> <input>.
+// FAKE_SOFFICE picks what it does: convert (copy sample.pdf), hang, crash, or exit cleanly without output like a file it cannot open
+fs.writeFileSync(fakeSoffice, [
+    '#!/bin/sh',
+    `echo "start $(basename "$9")" >> "${conversionLog}"`,
+    'case "$FAKE_SOFFICE" in',
+    '  hang) exec sleep 10 ;;',
+    '  crash) echo "soffice crashed" >&2; exit 1 ;;',
+    '  unreadable) ;;',
+    `  *) sleep 0.2; cp "${samplePdf}" "$8/$(basename "$9" | sed 's/\\.[^.]*$//').pdf" ;;`,
+    'esac',
+    `echo "end $(basename "$9")" >> "${conversionLog}"`
+].join('\n'), { mode: 0o755 });
+
+const config = require('../config');
+const documentManager = require('../src/storage/documentManager');
+const officeConverter = require('../src/processing/officeConverter');
+
+// Saving documents logs to stdout, which the test runner reads its results from
+mock.method(console, 'log', () => {});
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const saveOffice = (name = 'report.docx') => documentManager.saveDocument(Buffer.from('PK office document'), name);
+
+describe('office conversion', () => {
+    before(async () => {
+        await documentManager.ensureStorageDir();
+        const pdf = await PDFDocument.create();
+        for (let page = 0; page < 3; page++) pdf.addPage([595, 842]);
+        fs.writeFileSync(samplePdf, await pdf.save());
+    });
+
+    beforeEach(() => {
+        fs.rmSync(conversionLog, { force: true });
+        process.env.FAKE_SOFFICE = 'convert';
+        config.sofficePath = fakeSoffice;
+        config.conversionTimeoutSeconds = 120;
+    });
+
+    it('knows which files it can convert', () => {
+        assert.ok(['Report.DOCX', 'slides.pptx', 'sheet.ods', 'notes.txt'].every(officeConverter.isConvertible));
+        assert.ok(!['scan.pdf', 'photo.jpg', 'archive.zip', null].some(officeConverter.isConvertible));
+    });
+
+    it('stores the PDF alongside the original and links the two', async () => {
+        const original = await saveOffice();
+
+        const pdf = await documentManager.convertToPdf(original.fileId);
+
+        assert.equal(pdf.derivedFrom, original.fileId);
+        assert.equal(pdf.originalName, 'report (PDF).pdf');
+        assert.equal(await documentManager.getPageCount(pdf.fileId), 3);
+        const metadata = await documentManager.getMetadata(original.fileId);
+        assert.deepEqual([metadata.convertedTo, metadata.conversionError], [pdf.fileId, null]);
+    });
+
+    it('runs one conversion at a time', async () => {
+        const [first, second] = [await saveOffice('a.docx'), await saveOffice('b.docx')];
+
+        await Promise.all([documentManager.convertToPdf(first.fileId), documentManager.convertToPdf(second.fileId)]);
+
+        const lines = fs.readFileSync(conversionLog, 'utf8').trim().split('\n').map(line => line.split(' ')[0]);
+        assert.deepEqual(lines, ['start', 'end', 'start', 'end']);
+    });
+
+    it('gives up on a conversion that takes too long and records why', async () => {
+        process.env.FAKE_SOFFICE = 'hang';
+        config.conversionTimeoutSeconds = 0.5;
+        const original = await saveOffice();
+
+        await assert.rejects(documentManager.convertToPdf(original.fileId), /conversion took longer than 0\.5 seconds/);
+        assert.match((await documentManager.getMetadata(original.fileId)).conversionError, /took longer/);
+    });
+
+    it('reports a file the converter could not open', async () => {
+        process.env.FAKE_SOFFICE = 'unreadable';
+        const original = await saveOffice();
+
+        await assert.rejects(documentManager.convertToPdf(original.fileId), /the file could not be opened/);
+        assert.equal((await documentManager.getMetadata(original.fileId)).convertedTo, undefined);
+    });
+
+    it('passes on a converter crash', async () => {
+        process.env.FAKE_SOFFICE = 'crash';
+        const original = await saveOffice();
+
+        await assert.rejects(documentManager.convertToPdf(original.fileId), /soffice crashed/);
+    });
+
+    it('says when no converter is installed', async () => {
+        config.sofficePath = path.join(tempDir, 'no-such-soffice');
+        const original = await saveOffice();
+
+        await assert.rejects(documentManager.convertToPdf(original.fileId), /no document converter is installed/);
+    });
+
+    it('keeps converting after a failed conversion', async () => {
+        process.env.FAKE_SOFFICE = 'crash';
+        await assert.rejects(documentManager.convertToPdf((await saveOffice()).fileId));
+
+        process.env.FAKE_SOFFICE = 'convert';
+        const pdf = await documentManager.convertToPdf((await saveOffice()).fileId);
+        assert.equal(await documentManager.getPageCount(pdf.fileId), 3);
+    });
+
+    it('deletes the converted PDF with the original', async () => {
+        const original = await saveOffice();
+        const pdf = await documentManager.convertToPdf(original.fileId);
+
+        await documentManager.deleteDocument(original.fileId);
+
+        assert.equal(await documentManager.hasDocument(original.fileId), false);
+        assert.equal(await documentManager.hasDocument(pdf.fileId), false);
+    });
+});
@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const pageRanges = require('../src/parser/pageRanges');
+
+describe('pageRanges.parseSelection', () => {
+    it('reads ranges and single pages', () => {
+        assert.deepEqual(pageRanges.parseSelection('pages 1-3, 7'), { ranges: [[1, 3], [7, 7]], parity: null, except: [] });
+        assert.deepEqual(pageRanges.parseSelection('page 4 to 6 and 9'), { ranges: [[4, 6], [9, 9]], parity: null, except: [] });
+    });
+
+    it('reads open-ended, parity and exception phrases', () => {
+        assert.deepEqual(pageRanges.parseSelection('pages 10-end except 12'), { ranges: [[10, 'end']], parity: null, except: [[12, 12]] });
+        assert.deepEqual(pageRanges.parseSelection('pages 5 onwards'), { ranges: [[5, 'end']], parity: null, except: [] });
+        assert.deepEqual(pageRanges.parseSelection('odd pages'), { ranges: [], parity: 'odd', except: [] });
+        assert.deepEqual(pageRanges.parseSelection('last 2 pages'), { ranges: [['end-1', 'end']], parity: null, except: [] });
+        assert.deepEqual(pageRanges.parseSelection('first page'), { ranges: [[1, 1]], parity: null, except: [] });
+    });
+
+    it('ignores numbers that are not pages', () => {
+        assert.equal(pageRanges.parseSelection('2 copies'), null);
+        assert.deepEqual(pageRanges.parseSelection('page 3 2 copies'), { ranges: [[3, 3]], parity: null, except: [] });
+        assert.deepEqual(pageRanges.parseSelection('1-3', { armed: true }), { ranges: [[1, 3]], parity: null, except: [] });
+    });
+});
+
+describe('pageRanges.resolve', () => {
+    it('expands specs against the page count', () => {
+        assert.deepEqual(pageRanges.resolve(pageRanges.parseSelection('pages 10-end except 12'), 14), [10, 11, 13, 14]);
+        assert.deepEqual(pageRanges.resolve(pageRanges.parseSelection('odd pages'), 7), [1, 3, 5, 7]);
+        assert.deepEqual(pageRanges.resolve(pageRanges.parseSelection('last 2 pages'), 14), [13, 14]);
+    });
+
+    it('needs the page count for open-ended selections', () => {
+        assert.equal(pageRanges.resolve(pageRanges.parseSelection('odd pages')), null);
+        assert.equal(pageRanges.resolve(null, 10), null);
+    });
+
+    it('dedupes, sorts and clips page arrays', () => {
+        assert.deepEqual(pageRanges.resolve([7, 1, 3, 3, 12], 10), [1, 3, 7]);
+    });
+});
+
+describe('pageRanges.normalize and format', () => {
+    it('stores closed selections as arrays and open ones as specs', () => {
+        assert.deepEqual(pageRanges.normalize(pageRanges.parseSelection('pages 1-3, 7')), [1, 2, 3, 7]);
+        const open = pageRanges.normalize(pageRanges.parseSelection('pages 5 onwards'));
+        assert.deepEqual(open, { ranges: [[5, 'end']], parity: null, except: [] });
+    });
+
+    it('collapses runs of pages', () => {
+        assert.deepEqual(pageRanges.toRanges([1, 2, 3, 7, 9, 10]), [[1, 3], [7, 7], [9, 10]]);
+    });
+
+    it('describes selections for customers', () => {
+        assert.equal(pageRanges.format([1, 2, 3, 7]), '1-3, 7');
+        assert.equal(pageRanges.format(pageRanges.parseSelection('pages 10-end except 12')), '10-end except 12');
+        assert.equal(pageRanges.format(pageRanges.parseSelection('last 2 pages')), 'last 2');
+        assert.equal(pageRanges.format(null), 'All');
+    });
+});
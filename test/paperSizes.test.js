@@ -0,0 +1,82 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { PrinterManager } = require('../src/printer/printerManager');
+const instructionParser = require('../src/parser/instructionParser');
+
+// A shop with the given configured printers online, the first of them the system default
+function shopWith(...names) {
+    const manager = new PrinterManager({ getFallbackPrinter: () => null });
+    for (const name of names) {
+        manager.availablePrinters.set(name, { ...manager.printerConfig[name], queue: name, available: true });
+    }
+    manager.defaultPrinter = names[0] || null;
+    manager.initialized = true;
+    return manager;
+}
+
+describe('PrinterManager.canFeed', () => {
+    const manager = shopWith();
+
+    it('checks the paper against the sizes a printer lists', () => {
+        const epson = manager.printerConfig['Epson 3250'];
+        assert.equal(manager.canFeed(epson, 'legal'), true);
+        assert.equal(manager.canFeed(epson, 'A3'), false);
+        assert.equal(manager.canFeed(manager.printerConfig['Canon 6565'], 'a3'), true);
+    });
+
+    it('assumes a printer without a media list, or a job without a size, fits', () => {
+        assert.equal(manager.canFeed({ capabilities: ['bw'] }, 'a3'), true);
+        assert.equal(manager.canFeed(manager.printerConfig['Epson 3250'], null), true);
+    });
+});
+
+describe('PrinterManager.checkPaperSize', () => {
+    const manager = shopWith();
+
+    it('accepts sizes some printer in the shop can feed', () => {
+        assert.equal(manager.checkPaperSize({}), null);
+        assert.equal(manager.checkPaperSize({ paperSize: 'a3' }), null);
+        assert.equal(manager.checkPaperSize({ paperSize: 'Legal', colorPages: [1] }), null);
+    });
+
+    it('refuses colour on paper only the mono printers take', () => {
+        assert.equal(manager.checkPaperSize({ paperSize: 'a3', colorPages: [2] }), 'None of our colour printers take A3 paper');
+        assert.equal(manager.checkPaperSize({ paperSize: 'a3', color: true }), 'None of our colour printers take A3 paper');
+        assert.equal(manager.checkPaperSize({ paperSize: 'a3', paperType: 'photo' }), 'None of our colour printers take A3 paper');
+    });
+
+    it('refuses sizes the shop does not stock', () => {
+        assert.equal(manager.checkPaperSize({ paperSize: 'tabloid' }), "We don't print on TABLOID paper");
+    });
+
+    it('stops an unprintable job before it reaches a printer', () => {
+        assert.throws(() => manager.validateOptions({ paperSize: 'a3', colorPages: [1] }), /None of our colour printers take A3 paper/);
+    });
+});
+
+describe('routing by paper size', () => {
+    beforeEach(() => {
+        mock.method(console, 'warn', () => {});
+    });
+
+    it('sends A3 mono work to a Canon even when an Epson is the default', async () => {
+        const manager = shopWith('Epson 3250', 'Canon ir6000');
+        assert.equal(await manager.selectBestPrinter({ paperSize: 'a3' }), 'Canon ir6000');
+    });
+
+    it('does not fall back to a default printer that cannot feed the paper', async () => {
+        const manager = shopWith('Epson 3250', 'Epson L500');
+        assert.equal(await manager.selectBestPrinter({ paperSize: 'a3' }), null);
+        assert.equal(await manager.selectBestPrinter({ paperSize: 'a4' }), 'Epson 3250');
+    });
+});
+
+describe('paper sizes in instructions', () => {
+    it('reads the sizes customers ask for', () => {
+        assert.deepEqual(instructionParser.extract('A3 paper'), { paperSize: 'a3' });
+        assert.deepEqual(instructionParser.extract('us letter'), { paperSize: 'letter' });
+        assert.deepEqual(instructionParser.extract('legal size'), { paperSize: 'legal' });
+        assert.deepEqual(instructionParser.extract('big paper'), { paperSize: 'a3' });
+        assert.deepEqual(instructionParser.extract('colour on tabloid'), {});
+    });
+});
@@ -0,0 +1,119 @@
+const { describe, it, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the job and order journals out of the working tree
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inkoro-pickup-'));
+process.env.DATA_PATH = path.join(tempDir, 'data');
+process.env.STORAGE_PATH = path.join(tempDir, 'storage');
+
+const printQueue = require('../src/queue/printQueue');
+const orderManager = require('../src/orders/orderManager');
+
+const customer = '919800000001@s.whatsapp.net';
+
+// Restores and queue events log to stdout, which the test runner reads its results from
+mock.method(console, 'log', () => {});
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+// An order over `count` queued jobs, the way the WhatsApp client submits a cart
+async function placeOrder(count = 1) {
+    const id = orderManager.newOrderId();
+    const jobs = [];
+    for (let item = 1; item <= count; item++) {
+        jobs.push(await printQueue.addJob({ fileName: `file-${item}.pdf`, sender: customer, instructions: { copies: 1 }, orderId: id }));
+    }
+    return orderManager.createOrder({ id, sender: customer, jobs });
+}
+
+// The printer finishing a job, as the queue reports it
+function finishJob(jobId) {
+    printQueue._setStatus(printQueue.getJob(jobId), 'completed', { progress: 100 });
+}
+
+describe('pickup codes', () => {
+    let readyOrders;
+
+    beforeEach(() => {
+        readyOrders = [];
+        orderManager.removeAllListeners('orderReady');
+        orderManager.on('orderReady', order => readyOrders.push(order.id));
+    });
+
+    it('issues a six-digit code once every job in the order is ready, and says so once', async () => {
+        const order = await placeOrder(2);
+        assert.equal(order.pickupCode, null);
+
+        finishJob(order.items[0].jobId);
+        assert.equal(orderManager.getOrder(order.id).status, 'queued');
+        assert.equal(orderManager.getOrder(order.id).pickupCode, null);
+
+        finishJob(order.items[1].jobId);
+        const ready = orderManager.getOrder(order.id);
+        assert.equal(ready.status, 'ready');
+        assert.match(ready.pickupCode, /^\d{6}$/);
+        assert.deepEqual(readyOrders, [order.id]);
+    });
+
+    it('never hands out a code that an uncollected order still holds', () => {
+        const outstanding = orderManager.orders.all().find(order => order.status === 'ready');
+        const draws = [Number(outstanding.pickupCode), 42];
+        const randomInt = mock.method(require('crypto'), 'randomInt', () => draws.shift());
+
+        assert.equal(orderManager._newPickupCode(), '000042');
+        assert.equal(randomInt.mock.callCount(), 2);
+        randomInt.mock.restore();
+    });
+
+    it('moves a ready order to collected with the right code, typed with spaces or dashes', async () => {
+        const order = await placeOrder();
+        finishJob(order.items[0].jobId);
+        const { pickupCode } = orderManager.getOrder(order.id);
+        const typed = `${pickupCode.slice(0, 3)} - ${pickupCode.slice(3)}`;
+
+        const collected = orderManager.collectByCode(typed, { by: 'Counter 1' });
+
+        assert.equal(collected.id, order.id);
+        assert.equal(collected.status, 'collected');
+        assert.equal(collected.collectedBy, 'Counter 1');
+        assert.equal(collected.history.at(-1).verifiedBy, 'pickup code');
+    });
+
+    it('refuses a wrong code and leaves the order ready', async () => {
+        const order = await placeOrder();
+        finishJob(order.items[0].jobId);
+        const { pickupCode } = orderManager.getOrder(order.id);
+        const wrong = String((Number(pickupCode) + 1) % 1e6).padStart(6, '0');
+
+        assert.throws(() => orderManager.confirmPickup(order.id, { code: wrong }), /Pickup code does not match/);
+        assert.equal(orderManager.getOrder(order.id).status, 'ready');
+        assert.throws(() => orderManager.collectByCode('abc'), /No order with pickup code abc/);
+    });
+
+    it('does not collect an order twice', async () => {
+        const order = await placeOrder();
+        finishJob(order.items[0].jobId);
+        const { pickupCode } = orderManager.getOrder(order.id);
+
+        orderManager.collectByCode(pickupCode);
+        assert.throws(() => orderManager.collectByCode(pickupCode), /is collected, not ready for pickup/);
+        assert.equal(orderManager.getOrder(order.id).history.filter(entry => entry.status === 'collected').length, 1);
+    });
+
+    it('does not hand over an order that is still printing', async () => {
+        const order = await placeOrder();
+        assert.throws(() => orderManager.confirmPickup(order.id), /is queued, not ready for pickup/);
+    });
+
+    it('allows a manual hand-over without a code', async () => {
+        const order = await placeOrder();
+        finishJob(order.items[0].jobId);
+
+        const collected = orderManager.confirmPickup(order.id, { by: 'Owner' });
+        assert.equal(collected.status, 'collected');
+        assert.equal(collected.history.at(-1).verifiedBy, 'manual');
+    });
+});
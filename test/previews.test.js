@@ -0,0 +1,135 @@
+const { describe, it, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+
+// Keep documents and previews out of the working tree, and render with a stand-in for pdftoppm
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inkoro-previews-'));
+const renderLog = path.join(tempDir, 'renders.log');
+const fakePdftoppm = path.join(tempDir, 'pdftoppm');
+process.env.DATA_PATH = path.join(tempDir, 'data');
+process.env.STORAGE_PATH = path.join(tempDir, 'storage');
+process.env.WHATSAPP_AUTH_PATH = path.join(tempDir, 'whatsapp_auth');
+process.env.PDFTOPPM_PATH = fakePdftoppm;
+process.env.PREVIEW_PAGES = '2';
+
+// Called as: -jpeg -jpegopt quality=75 -f <first> -l <last> -scale-to <size> <pdf> <prefix>;
+// writes <prefix>-NN.jpg zero-padded to two digits, like pdftoppm for a 10-99 page document
+fs.writeFileSync(fakePdftoppm, [
+    '#!/bin/sh',
+    `echo "$5-$7" >> "${renderLog}"`,
+    'page=$5',
+    'while [ "$page" -le "$7" ]; do',
+    '  printf "jpeg %s" "$page" > "$(printf "%s-%02d.jpg" "${11}" "$page")"',
+    '  page=$((page + 1))',
+    'done'
+].join('\n'), { mode: 0o755 });
+
+const config = require('../config');
+const documentManager = require('../src/storage/documentManager');
+const pagePreviews = require('../src/processing/pagePreviews');
+const WhatsAppClient = require('../src/whatsapp/client');
+
+const customer = '919800000001@s.whatsapp.net';
+
+// Saving documents logs to stdout, which the test runner reads its results from
+mock.method(console, 'log', () => {});
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+async function savePdf(pageCount) {
+    const pdf = await PDFDocument.create();
+    for (let page = 0; page < pageCount; page++) {
+        pdf.addPage([595, 842]);
+    }
+    return (await documentManager.saveDocument(Buffer.from(await pdf.save()), `doc-${pageCount}.pdf`)).fileId;
+}
+
+const renders = () => fs.existsSync(renderLog) ? fs.readFileSync(renderLog, 'utf8').trim().split('\n') : [];
+
+describe('page previews', () => {
+    before(() => documentManager.ensureStorageDir());
+
+    beforeEach(() => {
+        fs.rmSync(renderLog, { force: true });
+        config.pdftoppmPath = fakePdftoppm;
+        documentManager.previewsUnavailable = false;
+    });
+
+    it('renames pdftoppm\'s zero-padded output to page-<n>.jpg', async () => {
+        const outputDir = path.join(tempDir, 'render-test');
+        const rendered = await pagePreviews.renderPages(path.join(tempDir, 'any.pdf'), outputDir, { first: 2, last: 3 });
+
+        assert.deepEqual(rendered, [2, 3].map(page => ({ page, path: path.join(outputDir, `page-${page}.jpg`) })));
+        assert.deepEqual(fs.readdirSync(outputDir).sort(), ['page-2.jpg', 'page-3.jpg']);
+    });
+
+    it('renders the first pages of a PDF once and serves them from the cache after', async () => {
+        const fileId = await savePdf(5);
+
+        const previews = await documentManager.getPreviews(fileId);
+        assert.deepEqual(previews.map(preview => preview.page), [1, 2]);
+        assert.equal(fs.readFileSync(previews[1].path, 'utf8'), 'jpeg 2');
+
+        await documentManager.getPreviews(fileId);
+        assert.deepEqual(renders(), ['1-2']);
+    });
+
+    it('renders only the pages missing from the cache, and no more than the document has', async () => {
+        const fileId = await savePdf(3);
+        await documentManager.getPreviews(fileId, { pages: 1 });
+
+        const previews = await documentManager.getPreviews(fileId, { pages: 5 });
+
+        assert.deepEqual(previews.map(preview => preview.page), [1, 2, 3]);
+        assert.deepEqual(renders(), ['1-1', '2-3']);
+    });
+
+    it('has no previews for files that are not PDFs, or when previews are off', async () => {
+        const { fileId: textId } = await documentManager.saveDocument(Buffer.from('hello'), 'notes.txt');
+        assert.deepEqual(await documentManager.getPreviews(textId), []);
+
+        const pdfId = await savePdf(2);
+        assert.deepEqual(await documentManager.getPreviews(pdfId, { pages: 0 }), []);
+        assert.deepEqual(renders(), []);
+    });
+
+    it('turns previews off when pdftoppm is not installed', async () => {
+        const warn = mock.method(console, 'warn', () => {});
+        config.pdftoppmPath = path.join(tempDir, 'no-such-pdftoppm');
+        const fileId = await savePdf(2);
+
+        assert.deepEqual(await documentManager.getPreviews(fileId), []);
+        assert.equal(documentManager.previewsUnavailable, true);
+        assert.match(warn.mock.calls[0].arguments[0], /not found; page previews are off/);
+        warn.mock.restore();
+    });
+
+    it('deletes a document\'s previews with it', async () => {
+        const fileId = await savePdf(2);
+        const [preview] = await documentManager.getPreviews(fileId);
+
+        await documentManager.deleteDocument(fileId);
+
+        assert.equal(fs.existsSync(path.dirname(preview.path)), false);
+    });
+
+    it('sends the previews on WhatsApp captioned with the page and page count', async () => {
+        const client = new WhatsAppClient();
+        const sent = [];
+        client.client = { sendMessage: async (to, content) => sent.push(content) };
+        client.isConnected = true;
+        client.connectionStatus = 'connected';
+        const fileId = await savePdf(4);
+
+        const pages = await client.sendPreviews(customer, fileId, 'notes.pdf');
+
+        assert.deepEqual(pages, [1, 2]);
+        assert.deepEqual(sent.map(message => [message.mimetype, message.caption, message.image.toString()]), [
+            ['image/jpeg', '👀 notes.pdf · page 1 of 4', 'jpeg 1'],
+            ['image/jpeg', '👀 notes.pdf · page 2 of 4', 'jpeg 2']
+        ]);
+    });
+});
@@ -0,0 +1,87 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the rate card and document storage out of the working tree
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inkoro-pricing-'));
+process.env.DATA_PATH = path.join(tempDir, 'data');
+process.env.STORAGE_PATH = path.join(tempDir, 'storage');
+
+const pricingEngine = require('../src/pricing/pricingEngine');
+const rateCard = require('../src/pricing/rateCard');
+
+const card = rateCard.DEFAULT_RATE_CARD;
+const labels = quote => quote.lines.map(line => line.label);
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+describe('pricingEngine.calculate', () => {
+    it('charges mono pages per copy', () => {
+        const quote = pricingEngine.calculate({ copies: 2 }, 10, card);
+        assert.equal(quote.total, 40);
+        assert.equal(quote.monoPages, 10);
+        assert.equal(quote.sheets, 20);
+        assert.deepEqual(labels(quote), ['10 mono × 2 @ ₹2']);
+    });
+
+    it('prices colour pages at the colour rate', () => {
+        const quote = pricingEngine.calculate({ colorPages: [1, 2] }, 5, card);
+        assert.equal(quote.colorPages, 2);
+        assert.equal(quote.monoPages, 3);
+        assert.equal(quote.total, 26);
+    });
+
+    it('only prices the selected pages', () => {
+        const quote = pricingEngine.calculate({ pages: [1, 2, 3] }, 10, card);
+        assert.equal(quote.printedPages, 3);
+        assert.equal(quote.total, 6);
+    });
+
+    it('prices N-up jobs per printed side, in colour if any page on the side is', () => {
+        const quote = pricingEngine.calculate({ pagesPerSheet: 2, colorPages: [3] }, 4, card);
+        assert.equal(quote.printedPages, 2);
+        assert.equal(quote.colorPages, 1);
+        assert.equal(quote.total, 12);
+    });
+
+    it('discounts front and back printing and counts sheets', () => {
+        const quote = pricingEngine.calculate({ duplex: true }, 10, card);
+        assert.equal(quote.total, 18);
+        assert.equal(quote.sheets, 5);
+    });
+
+    it('adds paper surcharges per printed side', () => {
+        const quote = pricingEngine.calculate({ paperSize: 'a3', paperType: 'glossy' }, 3, card);
+        assert.equal(quote.total, 45);
+        assert.deepEqual(labels(quote), ['3 mono × 1 @ ₹2', 'A3 glossy paper × 3']);
+    });
+
+    it('applies bulk tiers and the urgent surcharge', () => {
+        assert.equal(pricingEngine.calculate({}, 100, card).total, 190);
+        assert.equal(pricingEngine.calculate({ priority: 'urgent' }, 10, card).total, 25);
+    });
+
+    it('never goes below the minimum charge', () => {
+        const quote = pricingEngine.calculate({}, 1, card);
+        assert.equal(quote.total, 5);
+        assert.deepEqual(labels(quote), ['1 mono × 1 @ ₹2', 'Minimum charge']);
+    });
+});
+
+describe('pricingEngine.quote', () => {
+    it('uses the saved rate card', async () => {
+        await rateCard.update({ perPage: { mono: 3 } });
+        const quote = await pricingEngine.quote({}, 10);
+        assert.equal(quote.total, 30);
+        await rateCard.reset();
+        assert.equal((await pricingEngine.quote({}, 10)).total, 20);
+    });
+
+    it('formats amounts and quotes for messages', () => {
+        assert.equal(pricingEngine.formatAmount(-2.5), '-₹2.50');
+        const quote = pricingEngine.calculate({}, 10, card);
+        assert.equal(pricingEngine.formatQuote(quote), '💰 Price: ₹20.00\n  • 10 mono × 1 @ ₹2: ₹20.00');
+    });
+});
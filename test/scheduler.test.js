@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const scheduler = require('../src/queue/scheduler');
+
+const now = new Date('2026-10-19T10:00:00Z');
+const minutesAgo = minutes => new Date(now.getTime() - minutes * 60000).toISOString();
+const inMinutes = minutes => new Date(now.getTime() + minutes * 60000).toISOString();
+
+function job(id, { priority = 'normal', deadline = null, waited = 0, pages = 1 } = {}) {
+    return {
+        id,
+        createdAt: minutesAgo(waited),
+        estimatedPages: pages,
+        data: { instructions: { priority, deadline } }
+    };
+}
+
+const order = entries => entries.map(entry => entry.job.id);
+
+describe('scheduler.schedule', () => {
+    const { agingMinutes, pagesPerMinute, jobHandlingMinutes } = scheduler;
+
+    it('prints higher priority classes first', () => {
+        const entries = scheduler.schedule([
+            job(1, { priority: 'low' }),
+            job(2, { priority: 'normal' }),
+            job(3, { priority: 'urgent' }),
+            job(4, { priority: 'high' })
+        ], { now });
+        assert.deepEqual(order(entries), [3, 4, 2, 1]);
+        assert.deepEqual(entries.map(entry => entry.position), [1, 2, 3, 4]);
+    });
+
+    it('orders a class by earliest deadline, then oldest first', () => {
+        const entries = scheduler.schedule([
+            job(1, { waited: 5 }),
+            job(2, { waited: 1, deadline: inMinutes(120) }),
+            job(3, { waited: 10 }),
+            job(4, { waited: 2, deadline: inMinutes(60) })
+        ], { now });
+        assert.deepEqual(order(entries), [4, 2, 3, 1]);
+    });
+
+    it('moves waiting jobs up a class as they age', () => {
+        const entries = scheduler.schedule([
+            job(1, { priority: 'high', waited: 0 }),
+            job(2, { priority: 'low', waited: agingMinutes * 2 + 1 })
+        ], { now });
+        assert.deepEqual(order(entries), [2, 1]);
+        assert.equal(entries[0].priorityClass, 3);
+        assert.equal(entries[0].effectiveClass, 1);
+    });
+
+    it('projects start and finish times and flags deadlines at risk', () => {
+        const minutesPerJob = 20 / pagesPerMinute + jobHandlingMinutes;
+        const entries = scheduler.schedule([
+            job(1, { pages: 20, waited: 2, deadline: inMinutes(5 + minutesPerJob / 2) }),
+            job(2, { pages: 20, waited: 1 })
+        ], { now, busyUntil: new Date(inMinutes(5)) });
+
+        assert.deepEqual(order(entries), [1, 2]);
+        assert.equal(entries[0].estimatedStart, inMinutes(5));
+        assert.equal(entries[0].estimatedFinish, inMinutes(5 + minutesPerJob));
+        assert.equal(entries[0].atRisk, true);
+        assert.equal(entries[0].overdue, false);
+        assert.equal(entries[1].estimatedStart, inMinutes(5 + minutesPerJob));
+        assert.equal(entries[1].deadline, null);
+        assert.equal(entries[1].atRisk, false);
+    });
+
+    it('flags deadlines that have already passed', () => {
+        const [entry] = scheduler.schedule([job(1, { deadline: minutesAgo(1) })], { now });
+        assert.equal(entry.overdue, true);
+        assert.equal(entry.atRisk, true);
+    });
+});
@@ -0,0 +1,101 @@
+const { describe, it, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the job, order, payment and account journals out of the working tree
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inkoro-wallet-'));
+process.env.DATA_PATH = path.join(tempDir, 'data');
+process.env.STORAGE_PATH = path.join(tempDir, 'storage');
+process.env.WHATSAPP_AUTH_PATH = path.join(tempDir, 'whatsapp_auth');
+
+const printQueue = require('../src/queue/printQueue');
+const orderManager = require('../src/orders/orderManager');
+const ledger = require('../src/payments/ledger');
+const accountManager = require('../src/accounts/accountManager');
+
+// Restores and queue events log to stdout, which the test runner reads its results from
+mock.method(console, 'log', () => {});
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+// An order over one queued job per amount; a null amount is a job the client could not quote
+async function placeOrder(customer, ...amounts) {
+    const id = orderManager.newOrderId();
+    const jobs = [];
+    for (const total of amounts) {
+        const quote = total === null ? null : { total, printedPages: 1, currency: 'INR', symbol: '₹' };
+        jobs.push(await printQueue.addJob({ fileName: 'notes.pdf', sender: customer, instructions: { copies: 1 }, quote, orderId: id }));
+    }
+    return orderManager.createOrder({ id, sender: customer, jobs });
+}
+
+async function openWallet(number, amount) {
+    await accountManager.openAccount({ jid: number });
+    accountManager.topUp(number, { amount });
+    return accountManager.toJid(number);
+}
+
+describe('prepaid wallets', () => {
+    it('holds each job and pays the order from the wallet', async () => {
+        const jid = await openWallet('919800000001', 100);
+        const order = await placeOrder(jid, 30, 20);
+
+        const account = accountManager.chargeOrder(order.id);
+
+        assert.equal(account.held, 50);
+        assert.equal(accountManager.available(account), 50);
+        assert.equal(orderManager.getOrder(order.id).paid, true);
+        assert.throws(() => accountManager.chargeOrder(order.id), /already paid/);
+    });
+
+    it('records only what it held when an item has no quote', async () => {
+        const jid = await openWallet('919800000002', 100);
+        const order = await placeOrder(jid, 25, null);
+
+        const account = accountManager.chargeOrder(order.id);
+
+        const [payment] = ledger.getPayments({ orderId: order.id });
+        assert.equal(payment.method, 'prepaid');
+        assert.equal(payment.amount, 25);
+        assert.equal(account.held, 25);
+        assert.equal(account.balance, 100);
+        assert.equal(accountManager.available(account), 75);
+    });
+
+    it('does not charge for items that were already cancelled', async () => {
+        const jid = await openWallet('919800000003', 100);
+        const order = await placeOrder(jid, 40, 15);
+        printQueue._setStatus(printQueue.getJob(order.items[0].jobId), 'cancelled');
+
+        const account = accountManager.chargeOrder(order.id);
+
+        assert.equal(ledger.getPayments({ orderId: order.id })[0].amount, 15);
+        assert.equal(account.held, 15);
+        assert.equal(accountManager.available(account), 85);
+    });
+
+    it('debits a job when it prints and refunds one that fails', async () => {
+        const jid = await openWallet('919800000004', 100);
+        const order = await placeOrder(jid, 30, 20);
+        accountManager.chargeOrder(order.id);
+
+        printQueue._setStatus(printQueue.getJob(order.items[0].jobId), 'completed', { progress: 100 });
+        printQueue._setStatus(printQueue.getJob(order.items[1].jobId), 'failed');
+
+        const account = accountManager.getAccount(jid);
+        assert.equal(account.balance, 70);
+        assert.equal(account.held, 0);
+        assert.deepEqual(account.transactions.slice(-2).map(txn => [txn.type, txn.amount]), [['debit', 30], ['refund', 20]]);
+    });
+
+    it('refuses an order the wallet cannot cover', async () => {
+        const jid = await openWallet('919800000005', 10);
+        const order = await placeOrder(jid, 30);
+
+        assert.throws(() => accountManager.chargeOrder(order.id), /Not enough prepaid balance/);
+        assert.equal(accountManager.getAccount(jid).held, 0);
+        assert.equal(orderManager.getOrder(order.id).paid, false);
+    });
+});